@@ -1,6 +1,10 @@
 const app = require('./src/app');
+const { startRecurrenceJob } = require('./src/services/recurrences.service');
+const { startTrashPurgeJob } = require('./src/services/trash.service');
 const PORT = 3000;
 
 app.listen(PORT, () => {
   console.log(`Servidor rodando em http://localhost:${PORT}`);
-});
\ No newline at end of file
+  startRecurrenceJob();
+  startTrashPurgeJob();
+});
@@ -8,7 +8,18 @@ const cookieParser = require('cookie-parser');
 const financialRecordsRouter = require('./routes/financialRecords.routes.js');
 const userDataRouter = require('./routes/userData.routes.js');
 const categoriesRouter = require('./routes/categories.routes.js');
+const recurrencesRouter = require('./routes/recurrences.routes.js');
+const reportsRouter = require('./routes/reports.routes.js');
+const backupRouter = require('./routes/backup.routes.js');
+const rulesRouter = require('./routes/rules.routes.js');
+const accountsRouter = require('./routes/accounts.routes.js');
+const exchangeRatesRouter = require('./routes/exchangeRates.routes.js');
+const adminRouter = require('./routes/admin.routes.js');
+const auditRouter = require('./routes/audit.routes.js');
+const trashRouter = require('./routes/trash.routes.js');
 const requestLogger = require('./middlewares/requestLogger');
+const localizeErrors = require('./middlewares/localizeErrors');
+const { apiRateLimit } = require('./middlewares/rateLimit');
 
 const app = express();
 
@@ -16,16 +27,28 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3001',
     credentials: true, // IMPORTANT: Allows cookies to be sent
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept-Language'],
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 
 app.use(express.json());
 app.use(cookieParser());
 app.use(requestLogger); // Move logger before routes
+app.use(localizeErrors); // Before anything that can answer with an error
+app.use(apiRateLimit);
 app.use('/records', financialRecordsRouter);
 app.use('/users', userDataRouter);
 app.use('/categories', categoriesRouter);
+app.use('/recurrences', recurrencesRouter);
+app.use('/reports', reportsRouter);
+app.use('/backup', backupRouter);
+app.use('/rules', rulesRouter);
+app.use('/accounts', accountsRouter);
+app.use('/exchange-rates', exchangeRatesRouter);
+app.use('/admin', adminRouter);
+app.use('/audit', auditRouter);
+app.use('/trash', trashRouter);
 
 app.get('/test-env', (req, res) => {
     res.json({
@@ -0,0 +1,15 @@
+const createMemoryCounters = require('./memory.counters');
+
+// RATE_LIMIT_STORE selects where rate limiting and login throttling keep
+// their counters. Only `memory` exists for now; a shared driver (e.g. Redis)
+// only has to implement hit / get / reset.
+const createCounters = () => {
+    const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+    if (driver === 'memory') {
+        return createMemoryCounters();
+    }
+    throw new Error(`RATE_LIMIT_STORE inválido: ${driver}`);
+};
+
+module.exports = createCounters();
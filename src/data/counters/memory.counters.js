@@ -0,0 +1,50 @@
+// Fixed-window hit counters kept in process memory: each key counts hits from
+// its first one until `windowMs` later, then starts over. Fine for a single
+// process; several instances need a shared implementation of the same
+// interface (every method is async for that reason).
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryCounters = () => {
+    const windows = new Map();
+
+    const current = (key, now = Date.now()) => {
+        const entry = windows.get(key);
+        if (entry && entry.resetAt <= now) {
+            windows.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Expired windows would otherwise pile up, one per client ever seen
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= now) windows.delete(key);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return {
+        // Counts one hit; returns { count, resetAt }
+        async hit(key, windowMs) {
+            const now = Date.now();
+            const entry = current(key, now) || { count: 0, resetAt: now + windowMs };
+            entry.count++;
+            windows.set(key, entry);
+            return { ...entry };
+        },
+
+        // { count, resetAt } of the running window, or null
+        async get(key) {
+            const entry = current(key);
+            return entry ? { ...entry } : null;
+        },
+
+        async reset(key) {
+            windows.delete(key);
+        }
+    };
+};
+
+module.exports = createMemoryCounters;
@@ -0,0 +1,38 @@
+const { DEFAULT_LOCALE } = require('../utils/locale.utils');
+const { UNCATEGORIZED_KEY } = require('../utils/categories.utils');
+
+// Categories every user starts with, named in the locale chosen at
+// registration. `key` is stored on the category (`defaultKey`) so defaults are
+// recognized whatever the user renames them to.
+const DEFAULT_CATEGORY_TEMPLATES = [
+    { key: 'food', type: 'debito', color: '#FF6B6B', names: { 'pt-BR': 'Alimentação', en: 'Food', es: 'Alimentación' } },
+    { key: 'transport', type: 'debito', color: '#4ECDC4', names: { 'pt-BR': 'Transporte', en: 'Transportation', es: 'Transporte' } },
+    { key: 'health', type: 'debito', color: '#45B7D1', names: { 'pt-BR': 'Saúde', en: 'Health', es: 'Salud' } },
+    { key: 'bills', type: 'debito', color: '#FFA07A', names: { 'pt-BR': 'Contas', en: 'Bills', es: 'Facturas' } },
+    { key: 'leisure', type: 'debito', color: '#98D8C8', names: { 'pt-BR': 'Lazer', en: 'Leisure', es: 'Ocio' } },
+    { key: 'other', type: 'debito', color: '#F7DC6F', names: { 'pt-BR': 'Outros', en: 'Other', es: 'Otros' } },
+    { key: 'salary', type: 'credito', color: '#82E0AA', names: { 'pt-BR': 'Salário', en: 'Salary', es: 'Salario' } },
+    { key: 'freelance', type: 'credito', color: '#AED6F1', names: { 'pt-BR': 'Freelance', en: 'Freelance', es: 'Freelance' } },
+    { key: UNCATEGORIZED_KEY, type: 'debito', color: '#D5DBDB', names: { 'pt-BR': 'Sem Categoria', en: 'Uncategorized', es: 'Sin categoría' } }
+];
+
+const templatesFor = (locale = DEFAULT_LOCALE) => DEFAULT_CATEGORY_TEMPLATES.map(template => ({
+    key: template.key,
+    name: template.names[locale] || template.names[DEFAULT_LOCALE],
+    type: template.type,
+    color: template.color
+}));
+
+// Key of the template a default category stored without `defaultKey` came
+// from, matched by its (untouched, since defaults could not be edited) name
+const findDefaultKey = (category) => {
+    const template = DEFAULT_CATEGORY_TEMPLATES.find(entry =>
+        entry.type === category.type && Object.values(entry.names).includes(category.name));
+    return template ? template.key : null;
+};
+
+module.exports = {
+    DEFAULT_CATEGORY_TEMPLATES,
+    templatesFor,
+    findDefaultKey
+};
@@ -0,0 +1,30 @@
+const { createDefaultAccount } = require('../userData');
+
+const COLLECTIONS = ['transactions', 'recurrentCredits', 'recurrentDebits'];
+
+// Users created before accounts existed get a default account, and every
+// transaction or recurrent entry without an account is moved into it.
+// Returns the number of changes, so it is a no-op once applied.
+const migrateAccounts = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        if (!user.accounts || user.accounts.length === 0) {
+            user.accounts = [createDefaultAccount(user.id, user.locale)];
+            changed++;
+        }
+        const defaultAccount = user.accounts.find(account => account.isDefault) || user.accounts[0];
+
+        COLLECTIONS.forEach(collection => {
+            (user[collection] || []).forEach(entry => {
+                if (entry.accountId) return;
+                entry.accountId = defaultAccount.id;
+                changed++;
+            });
+        });
+    });
+
+    return changed;
+};
+
+module.exports = migrateAccounts;
@@ -0,0 +1,17 @@
+// Categories created before subcategories existed are top-level ones.
+// Returns the number of changes.
+const migrateCategoryHierarchy = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        (user.categories || []).forEach(category => {
+            if (category.parentId !== undefined) return;
+            category.parentId = null;
+            changed++;
+        });
+    });
+
+    return changed;
+};
+
+module.exports = migrateCategoryHierarchy;
@@ -0,0 +1,34 @@
+const { isUncategorized } = require('../../utils/categories.utils');
+
+const COLLECTIONS = ['transactions', 'recurrentCredits', 'recurrentDebits'];
+
+// Transactions and recurrent entries used to store the category name (or,
+// sometimes, the id). Rewrites every name to the matching category id; names
+// left behind by a rename or delete go to "Sem Categoria".
+// Returns the number of rewritten entries, so it is a no-op once applied.
+const migrateCategoryIds = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        const categories = user.categories || [];
+        const categoryIds = new Set(categories.map(category => category.id));
+        const uncategorized = categories.find(isUncategorized);
+
+        COLLECTIONS.forEach(collection => {
+            (user[collection] || []).forEach(entry => {
+                // Transfer legs have no category
+                if (entry.transferId || categoryIds.has(entry.category)) return;
+
+                const category = categories.find(cat => cat.name === entry.category) || uncategorized;
+                if (category) {
+                    entry.category = category.id;
+                    changed++;
+                }
+            });
+        });
+    });
+
+    return changed;
+};
+
+module.exports = migrateCategoryIds;
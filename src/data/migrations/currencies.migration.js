@@ -0,0 +1,34 @@
+const { DEFAULT_CURRENCY } = require('../../utils/currency.utils');
+
+// Everything stored before currencies existed is in the default currency:
+// users get it as base currency, accounts as their currency, and transactions
+// take the currency of their account. Recurrent entries keep none, so the
+// transactions they generate follow their account. Returns the number of changes.
+const migrateCurrencies = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        if (!user.baseCurrency) {
+            user.baseCurrency = DEFAULT_CURRENCY;
+            changed++;
+        }
+
+        const accounts = user.accounts || [];
+        accounts.forEach(account => {
+            if (account.currency) return;
+            account.currency = DEFAULT_CURRENCY;
+            changed++;
+        });
+
+        (user.transactions || []).forEach(record => {
+            if (record.currency) return;
+            const account = accounts.find(entry => entry.id === record.accountId);
+            record.currency = account ? account.currency : DEFAULT_CURRENCY;
+            changed++;
+        });
+    });
+
+    return changed;
+};
+
+module.exports = migrateCurrencies;
@@ -0,0 +1,16 @@
+// Users registered before email verification existed never confirmed their
+// address: they are marked as unverified (and can ask for a new link).
+// Returns the number of changes.
+const migrateEmailVerification = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        if (user.emailVerified !== undefined) return;
+        user.emailVerified = false;
+        changed++;
+    });
+
+    return changed;
+};
+
+module.exports = migrateEmailVerification;
@@ -0,0 +1,28 @@
+const migrateLocales = require('./locales.migration');
+const migrateCategoryIds = require('./categoryIds.migration');
+const migrateAccounts = require('./accounts.migration');
+const migrateCurrencies = require('./currencies.migration');
+const migrateEmailVerification = require('./emailVerification.migration');
+const migrateTwoFactor = require('./twoFactor.migration');
+const migrateRoles = require('./roles.migration');
+const migrateCategoryHierarchy = require('./categoryHierarchy.migration');
+const migrateRecurrences = require('./recurrences.migration');
+
+// Every migration must be idempotent: they all run on each startup and
+// return how many entries they changed. Locales come first: the others find
+// the uncategorized fallback by its `defaultKey`.
+const MIGRATIONS = [
+    migrateLocales,
+    migrateCategoryIds,
+    migrateAccounts,
+    migrateCurrencies,
+    migrateEmailVerification,
+    migrateTwoFactor,
+    migrateRoles,
+    migrateCategoryHierarchy,
+    migrateRecurrences
+];
+
+const runMigrations = (users) => MIGRATIONS.reduce((changed, migrate) => changed + migrate(users), 0);
+
+module.exports = runMigrations;
@@ -0,0 +1,28 @@
+const { DEFAULT_LOCALE } = require('../../utils/locale.utils');
+const { findDefaultKey } = require('../defaultCategories');
+
+// Users created before locales existed use the default one, and their default
+// categories get the `defaultKey` of the template they came from, which is how
+// the uncategorized fallback is found. Returns the number of changes.
+const migrateLocales = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        if (!user.locale) {
+            user.locale = DEFAULT_LOCALE;
+            changed++;
+        }
+        (user.categories || []).forEach(category => {
+            if (!category.isDefault || category.defaultKey) return;
+            const key = findDefaultKey(category);
+            if (key) {
+                category.defaultKey = key;
+                changed++;
+            }
+        });
+    });
+
+    return changed;
+};
+
+module.exports = migrateLocales;
@@ -0,0 +1,21 @@
+// Recurrent entries stored before the recurrence engine existed were never
+// materialized: their past occurrences were recorded by hand, if at all. They
+// start running from the migration on instead of catching up from their start
+// date. Entries created through /recurrences carry `lastRunAt: null` and keep
+// catching up. Returns the number of changes.
+const migrateRecurrences = (users) => {
+    const now = new Date();
+    let changed = 0;
+
+    users.forEach(user => {
+        [...(user.recurrentCredits || []), ...(user.recurrentDebits || [])].forEach(entry => {
+            if (entry.lastRunAt !== undefined) return;
+            entry.lastRunAt = now;
+            changed++;
+        });
+    });
+
+    return changed;
+};
+
+module.exports = migrateRecurrences;
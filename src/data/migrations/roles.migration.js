@@ -0,0 +1,23 @@
+const { isBootstrapAdmin } = require('../../utils/users.utils');
+
+// Users created before roles existed are regular users; the addresses in
+// ADMIN_EMAILS are promoted to admin. Users that already have a role keep it,
+// so a demotion is not undone on the next startup. Returns the number of changes.
+const migrateRoles = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        if (user.role === undefined) {
+            user.role = isBootstrapAdmin(user.email) ? 'admin' : 'user';
+            changed++;
+        }
+        if (user.disabled === undefined) {
+            user.disabled = false;
+            changed++;
+        }
+    });
+
+    return changed;
+};
+
+module.exports = migrateRoles;
@@ -0,0 +1,15 @@
+// Users created before two-factor authentication existed have it off.
+// Returns the number of changes.
+const migrateTwoFactor = (users) => {
+    let changed = 0;
+
+    users.forEach(user => {
+        if (user.twoFactorEnabled !== undefined) return;
+        user.twoFactorEnabled = false;
+        changed++;
+    });
+
+    return changed;
+};
+
+module.exports = migrateTwoFactor;
@@ -0,0 +1,72 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+const getAccounts = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.accounts) {
+        user.accounts = [];
+    }
+    return user.accounts;
+};
+
+const listByUser = (userId) => getAccounts(userId) || [];
+
+const findById = (userId, id) => listByUser(userId).find(account => account.id === id);
+
+// Account that receives transactions created without an explicit account
+const findDefault = (userId) => listByUser(userId).find(account => account.isDefault);
+
+const create = (userId, account) => {
+    const accounts = getAccounts(userId);
+    if (!accounts) {
+        return null;
+    }
+    accounts.push(account);
+    store.commit();
+    return account;
+};
+
+const update = (userId, id, changes) => {
+    const account = findById(userId, id);
+    if (!account) {
+        return null;
+    }
+    Object.assign(account, changes);
+    store.commit();
+    return account;
+};
+
+// Swaps the whole account list (used when restoring a backup)
+const replaceAll = (userId, accounts) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    user.accounts = accounts;
+    store.commit();
+    return accounts;
+};
+
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const accounts = listByUser(userId);
+    if (!accounts.some(account => account.id === id)) {
+        return false;
+    }
+    user.accounts = accounts.filter(account => account.id !== id);
+    store.commit();
+    return true;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    findDefault,
+    create,
+    update,
+    replaceAll,
+    remove
+};
@@ -0,0 +1,50 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+// Pending one-time tokens of a user ({ id, purpose, expiresAt }, `id` being
+// the hash of the token id)
+const getTokens = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.actionTokens) {
+        user.actionTokens = [];
+    }
+    return user.actionTokens;
+};
+
+const isActive = (token, now = new Date()) => new Date(token.expiresAt) > now;
+
+const findActive = (userId, id, purpose) => (getTokens(userId) || [])
+    .find(token => token.id === id && token.purpose === purpose && isActive(token));
+
+// Only the newest token of each purpose is valid: older (and expired) ones are dropped
+const replace = (userId, token) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    user.actionTokens = [
+        ...getTokens(userId).filter(entry => entry.purpose !== token.purpose && isActive(entry)),
+        token
+    ];
+    store.commit();
+    return token;
+};
+
+const removeByPurpose = (userId, purpose) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return false;
+    }
+    user.actionTokens = getTokens(userId).filter(token => token.purpose !== purpose);
+    store.commit();
+    return true;
+};
+
+module.exports = {
+    findActive,
+    replace,
+    removeByPurpose
+};
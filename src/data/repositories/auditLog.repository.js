@@ -0,0 +1,35 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+// The audit trail is append-only: entries are never updated nor removed
+// (they go away only with the user)
+const getEntries = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.auditLog) {
+        user.auditLog = [];
+    }
+    return user.auditLog;
+};
+
+// Newest first (entries written together keep the reverse of their order)
+const listByUser = (userId) => [...(getEntries(userId) || [])]
+    .reverse()
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+const appendMany = (userId, entries) => {
+    const log = getEntries(userId);
+    if (!log) {
+        return [];
+    }
+    log.push(...entries);
+    store.commit();
+    return entries;
+};
+
+module.exports = {
+    listByUser,
+    appendMany
+};
@@ -0,0 +1,82 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+const { isUncategorized } = require('../../utils/categories.utils');
+
+const getCategories = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.categories) {
+        user.categories = [];
+    }
+    return user.categories;
+};
+
+const listByUser = (userId) => getCategories(userId) || [];
+
+const findById = (userId, id) => listByUser(userId).find(category => category.id === id);
+
+const findByName = (userId, name) => listByUser(userId).find(category => category.name === name);
+
+// Request bodies may name a category or give its id; stored entries always use the id
+const findByRef = (userId, ref) => listByUser(userId).find(category =>
+    category.name === ref || category.id === ref
+);
+
+// Fallback category that receives the transactions of deleted categories
+const findUncategorized = (userId) => listByUser(userId).find(isUncategorized);
+
+const create = (userId, category) => {
+    const categories = getCategories(userId);
+    if (!categories) {
+        return null;
+    }
+    categories.push(category);
+    store.commit();
+    return category;
+};
+
+const update = (userId, id, changes) => {
+    const category = findById(userId, id);
+    if (!category) {
+        return null;
+    }
+    Object.assign(category, changes);
+    store.commit();
+    return category;
+};
+
+// Swaps the whole category list (used when restoring a backup)
+const replaceAll = (userId, categories) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    user.categories = categories;
+    store.commit();
+    return categories;
+};
+
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const categories = listByUser(userId);
+    if (!categories.some(category => category.id === id)) {
+        return false;
+    }
+    user.categories = categories.filter(category => category.id !== id);
+    store.commit();
+    return true;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    findByName,
+    findByRef,
+    findUncategorized,
+    create,
+    update,
+    replaceAll,
+    remove
+};
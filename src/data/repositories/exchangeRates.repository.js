@@ -0,0 +1,78 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+const { toDateKey } = require('../../utils/recurrence.utils');
+
+const getRates = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.exchangeRates) {
+        user.exchangeRates = [];
+    }
+    return user.exchangeRates;
+};
+
+// Oldest first
+const listByUser = (userId) => [...(getRates(userId) || [])]
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+const findById = (userId, id) => listByUser(userId).find(rate => rate.id === id);
+
+// There is at most one rate per currency pair and day
+const isSameQuote = (a, b) => a.from === b.from && a.to === b.to && toDateKey(a.date) === toDateKey(b.date);
+
+// Adds the rates, replacing the value of those already entered for the same
+// pair and day. Returns { created, updated } with the stored rates.
+const upsertMany = (userId, rates) => {
+    const stored = getRates(userId);
+    if (!stored) {
+        return null;
+    }
+
+    const created = [];
+    const updated = [];
+    rates.forEach(rate => {
+        const existing = stored.find(entry => isSameQuote(entry, rate));
+        if (existing) {
+            existing.rate = rate.rate;
+            updated.push(existing);
+        } else {
+            stored.push(rate);
+            created.push(rate);
+        }
+    });
+
+    store.commit();
+    return { created, updated };
+};
+
+// Swaps the whole rate table (used when restoring a backup)
+const replaceAll = (userId, rates) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    user.exchangeRates = rates;
+    store.commit();
+    return rates;
+};
+
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const rates = getRates(userId) || [];
+    if (!rates.some(rate => rate.id === id)) {
+        return false;
+    }
+    user.exchangeRates = rates.filter(rate => rate.id !== id);
+    store.commit();
+    return true;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    upsertMany,
+    replaceAll,
+    remove
+};
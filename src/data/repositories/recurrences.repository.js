@@ -0,0 +1,104 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+// Recurrent entries are kept split by type on the user document
+const COLLECTIONS = ['recurrentCredits', 'recurrentDebits'];
+
+const collectionFor = (type) => (type === 'credito' ? 'recurrentCredits' : 'recurrentDebits');
+
+const getCollection = (user, collection) => {
+    if (!user[collection]) {
+        user[collection] = [];
+    }
+    return user[collection];
+};
+
+const listByUser = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return [];
+    }
+    return COLLECTIONS.flatMap(collection => user[collection] || []);
+};
+
+const findById = (userId, id) => listByUser(userId).find(entry => entry.id === id);
+
+const create = (userId, entry) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    getCollection(user, collectionFor(entry.type)).push(entry);
+    store.commit();
+    return entry;
+};
+
+const update = (userId, id, changes) => {
+    const user = usersRepository.findById(userId);
+    const entry = findById(userId, id);
+    if (!entry) {
+        return null;
+    }
+
+    const previousCollection = collectionFor(entry.type);
+    Object.assign(entry, changes);
+
+    // A type change moves the entry between recurrentCredits and recurrentDebits
+    const nextCollection = collectionFor(entry.type);
+    if (nextCollection !== previousCollection) {
+        user[previousCollection] = user[previousCollection].filter(item => item.id !== id);
+        getCollection(user, nextCollection).push(entry);
+    }
+
+    store.commit();
+    return entry;
+};
+
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const entry = findById(userId, id);
+    if (!entry) {
+        return false;
+    }
+    const collection = collectionFor(entry.type);
+    user[collection] = user[collection].filter(item => item.id !== id);
+    store.commit();
+    return true;
+};
+
+// Records that every recurrent entry of the user ran up to `date`, in one write
+const markRun = (userId, date) => {
+    const entries = listByUser(userId);
+    entries.forEach(entry => {
+        entry.lastRunAt = date;
+    });
+    if (entries.length > 0) {
+        store.commit();
+    }
+    return entries.length;
+};
+
+// Points every recurrent entry of one category to another one
+const reassignCategory = (userId, fromCategoryId, toCategoryId) => {
+    let count = 0;
+    listByUser(userId).forEach(entry => {
+        if (entry.category === fromCategoryId) {
+            entry.category = toCategoryId;
+            count++;
+        }
+    });
+    if (count > 0) {
+        store.commit();
+    }
+    return count;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    create,
+    update,
+    remove,
+    markRun,
+    reassignCategory
+};
@@ -0,0 +1,85 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+const getRules = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.rules) {
+        user.rules = [];
+    }
+    return user.rules;
+};
+
+// Rules are evaluated in priority order (lowest first)
+const listByUser = (userId) => [...(getRules(userId) || [])]
+    .sort((a, b) => a.priority - b.priority);
+
+const findById = (userId, id) => listByUser(userId).find(rule => rule.id === id);
+
+const create = (userId, rule) => {
+    const rules = getRules(userId);
+    if (!rules) {
+        return null;
+    }
+    rules.push(rule);
+    store.commit();
+    return rule;
+};
+
+const update = (userId, id, changes) => {
+    const rule = findById(userId, id);
+    if (!rule) {
+        return null;
+    }
+    Object.assign(rule, changes);
+    store.commit();
+    return rule;
+};
+
+const replaceAll = (userId, rules) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    user.rules = rules;
+    store.commit();
+    return rules;
+};
+
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const rules = getRules(userId) || [];
+    if (!rules.some(rule => rule.id === id)) {
+        return false;
+    }
+    user.rules = rules.filter(rule => rule.id !== id);
+    store.commit();
+    return true;
+};
+
+// Points every rule assigning one category to another one
+const reassignCategory = (userId, fromCategoryId, toCategoryId) => {
+    let count = 0;
+    (getRules(userId) || []).forEach(rule => {
+        if (rule.category === fromCategoryId) {
+            rule.category = toCategoryId;
+            count++;
+        }
+    });
+    if (count > 0) {
+        store.commit();
+    }
+    return count;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    create,
+    update,
+    replaceAll,
+    remove,
+    reassignCategory
+};
@@ -0,0 +1,76 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+const getSessions = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.sessions) {
+        user.sessions = [];
+    }
+    return user.sessions;
+};
+
+const isActive = (session, now = new Date()) => new Date(session.expiresAt) > now;
+
+// Active sessions only, most recently used first
+const listByUser = (userId) => (getSessions(userId) || [])
+    .filter(session => isActive(session))
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+
+const findById = (userId, id) => listByUser(userId).find(session => session.id === id);
+
+// Expired sessions are dropped whenever a new one starts
+const create = (userId, session) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    user.sessions = [...(getSessions(userId).filter(entry => isActive(entry))), session];
+    store.commit();
+    return session;
+};
+
+const update = (userId, id, changes) => {
+    const session = findById(userId, id);
+    if (!session) {
+        return null;
+    }
+    Object.assign(session, changes);
+    store.commit();
+    return session;
+};
+
+// Revoking a session deletes it: its refresh and access tokens stop working
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const sessions = getSessions(userId) || [];
+    if (!sessions.some(session => session.id === id)) {
+        return false;
+    }
+    user.sessions = sessions.filter(session => session.id !== id);
+    store.commit();
+    return true;
+};
+
+// Revokes every session but `exceptId`; returns how many were revoked
+const removeAll = (userId, exceptId = null) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return 0;
+    }
+    const revoked = listByUser(userId).filter(session => session.id !== exceptId).length;
+    user.sessions = getSessions(userId).filter(session => session.id === exceptId);
+    store.commit();
+    return revoked;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    create,
+    update,
+    remove,
+    removeAll
+};
@@ -0,0 +1,110 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+const getTransactions = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.transactions) {
+        user.transactions = [];
+    }
+    return user.transactions;
+};
+
+const listByUser = (userId) => getTransactions(userId) || [];
+
+const findById = (userId, id) => listByUser(userId).find(record => record.id === id);
+
+const create = (userId, record) => createMany(userId, [record])[0];
+
+const createMany = (userId, records) => {
+    const transactions = getTransactions(userId);
+    if (!transactions) {
+        return [];
+    }
+    transactions.push(...records);
+    store.commit();
+    return records;
+};
+
+const update = (userId, id, changes) => {
+    const record = findById(userId, id);
+    if (!record) {
+        return null;
+    }
+    Object.assign(record, changes);
+    store.commit();
+    return record;
+};
+
+// Applies several updates ([{ id, changes }]) in a single write; returns the
+// updated records
+const updateMany = (userId, updates) => {
+    const updated = updates
+        .map(({ id, changes }) => {
+            const record = findById(userId, id);
+            return record ? Object.assign(record, changes) : null;
+        })
+        .filter(Boolean);
+    if (updated.length > 0) {
+        store.commit();
+    }
+    return updated;
+};
+
+const remove = (userId, id) => {
+    const user = usersRepository.findById(userId);
+    const transactions = listByUser(userId);
+    if (!transactions.some(record => record.id === id)) {
+        return false;
+    }
+    user.transactions = transactions.filter(record => record.id !== id);
+    store.commit();
+    return true;
+};
+
+// Removes several transactions in a single write (e.g. both legs of a transfer)
+const removeMany = (userId, ids) => {
+    const user = usersRepository.findById(userId);
+    const transactions = listByUser(userId);
+    const remaining = transactions.filter(record => !ids.includes(record.id));
+    if (remaining.length === transactions.length) {
+        return 0;
+    }
+    user.transactions = remaining;
+    store.commit();
+    return transactions.length - remaining.length;
+};
+
+// Points every transaction (and every split part) of one category to another one
+const reassignCategory = (userId, fromCategoryId, toCategoryId) => {
+    let count = 0;
+    listByUser(userId).forEach(record => {
+        if (record.category === fromCategoryId) {
+            record.category = toCategoryId;
+            count++;
+        }
+        (record.splits || []).forEach(split => {
+            if (split.category !== fromCategoryId) return;
+            split.category = toCategoryId;
+            count++;
+        });
+    });
+    if (count > 0) {
+        store.commit();
+    }
+    return count;
+};
+
+module.exports = {
+    listByUser,
+    findById,
+    create,
+    createMany,
+    update,
+    updateMany,
+    remove,
+    removeMany,
+    reassignCategory
+};
@@ -0,0 +1,54 @@
+const store = require('../store');
+const usersRepository = require('./users.repository');
+
+// Deleted items waiting to be restored or purged:
+// { id, entity, items, deletedAt, expiresAt, ... }
+const getTrash = (userId) => {
+    const user = usersRepository.findById(userId);
+    if (!user) {
+        return null;
+    }
+    if (!user.trash) {
+        user.trash = [];
+    }
+    return user.trash;
+};
+
+// Most recently deleted first
+const listByUser = (userId) => [...(getTrash(userId) || [])]
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+const findById = (userId, id) => listByUser(userId).find(entry => entry.id === id);
+
+const create = (userId, entry) => {
+    const trash = getTrash(userId);
+    if (!trash) {
+        return null;
+    }
+    trash.push(entry);
+    store.commit();
+    return entry;
+};
+
+// Removes the entries matching `predicate`; returns them
+const removeWhere = (userId, predicate) => {
+    const user = usersRepository.findById(userId);
+    const trash = getTrash(userId) || [];
+    const removed = trash.filter(predicate);
+    if (removed.length === 0) {
+        return [];
+    }
+    user.trash = trash.filter(entry => !predicate(entry));
+    store.commit();
+    return removed;
+};
+
+const remove = (userId, id) => removeWhere(userId, entry => entry.id === id).length > 0;
+
+module.exports = {
+    listByUser,
+    findById,
+    create,
+    removeWhere,
+    remove
+};
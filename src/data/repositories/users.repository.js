@@ -0,0 +1,44 @@
+const store = require('../store');
+
+const list = () => store.getUsers();
+
+const findById = (id) => store.getUsers().find(user => user.id === id);
+
+const findByEmail = (email) => store.getUsers().find(user => user.email === email);
+
+const create = (user) => {
+    store.getUsers().push(user);
+    store.commit();
+    return user;
+};
+
+// Only profile fields should go through here; nested collections
+// have their own repositories
+const update = (id, changes) => {
+    const user = findById(id);
+    if (!user) {
+        return null;
+    }
+    Object.assign(user, changes);
+    store.commit();
+    return user;
+};
+
+const remove = (id) => {
+    const users = store.getUsers();
+    const filteredUsers = users.filter(user => user.id !== id);
+    if (filteredUsers.length === users.length) {
+        return false;
+    }
+    store.setUsers(filteredUsers);
+    return true;
+};
+
+module.exports = {
+    list,
+    findById,
+    findByEmail,
+    create,
+    update,
+    remove
+};
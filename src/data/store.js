@@ -0,0 +1,41 @@
+const path = require('path');
+const createMemoryStore = require('./stores/memory.store');
+const createFileStore = require('./stores/file.store');
+const runMigrations = require('./migrations');
+const { createMockUser } = require('./userData');
+
+// DATA_STORE selects the persistence driver:
+// - memory: nothing survives a restart (default when NODE_ENV=test)
+// - file: JSON file at DATA_FILE (default ./data/db.json)
+const createStore = () => {
+    const driver = process.env.DATA_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+    if (driver === 'memory') {
+        return createMemoryStore();
+    }
+    if (driver === 'file') {
+        return createFileStore(process.env.DATA_FILE || path.join(process.cwd(), 'data', 'db.json'));
+    }
+    throw new Error(`DATA_STORE inválido: ${driver}`);
+};
+
+const store = createStore();
+
+let users = store.load();
+if (!users) {
+    // First run: seed the mock user so the frontend has something to show
+    users = [createMockUser()];
+    store.save(users);
+} else if (runMigrations(users) > 0) {
+    store.save(users);
+}
+
+module.exports = {
+    getUsers: () => users,
+    setUsers: (data) => {
+        users = data;
+        store.save(users);
+    },
+    // Repositories mutate the loaded objects and call commit() to persist them
+    commit: () => store.save(users)
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON has no date type, so ISO strings are turned back into Date objects on load
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const reviveDates = (key, value) => (
+    typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+);
+
+// Persists every user in a single JSON file.
+// Writes go to a temporary file first and are then renamed over the real one,
+// so a crash in the middle of a write never leaves a half-written database.
+const createFileStore = (filePath) => ({
+    load() {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'), reviveDates);
+    },
+
+    save(users) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(users, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+    }
+});
+
+module.exports = createFileStore;
@@ -0,0 +1,12 @@
+// Keeps the last saved snapshot in process memory only.
+// Used by tests and whenever DATA_STORE=memory.
+const createMemoryStore = () => {
+    let snapshot = null;
+
+    return {
+        load: () => snapshot,
+        save: (users) => { snapshot = users; }
+    };
+};
+
+module.exports = createMemoryStore;
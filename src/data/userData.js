@@ -1,18 +1,29 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_CURRENCY } = require('../utils/currency.utils');
+const { isBootstrapAdmin } = require('../utils/users.utils');
+const { DEFAULT_LOCALE } = require('../utils/locale.utils');
+const { templatesFor } = require('./defaultCategories');
 
-// Create default categories function that accepts userId
-const createDefaultCategories = (userId) => [
-    { id: uuidv4(), name: 'Alimentação', type: 'debito', color: '#FF6B6B', isDefault: true, userId },
-    { id: uuidv4(), name: 'Transporte', type: 'debito', color: '#4ECDC4', isDefault: true, userId },
-    { id: uuidv4(), name: 'Saúde', type: 'debito', color: '#45B7D1', isDefault: true, userId },
-    { id: uuidv4(), name: 'Contas', type: 'debito', color: '#FFA07A', isDefault: true, userId },
-    { id: uuidv4(), name: 'Lazer', type: 'debito', color: '#98D8C8', isDefault: true, userId },
-    { id: uuidv4(), name: 'Outros', type: 'debito', color: '#F7DC6F', isDefault: true, userId },
-    { id: uuidv4(), name: 'Salário', type: 'credito', color: '#82E0AA', isDefault: true, userId },
-    { id: uuidv4(), name: 'Freelance', type: 'credito', color: '#AED6F1', isDefault: true, userId },
-    { id: uuidv4(), name: 'Sem Categoria', type: 'debito', color: '#D5DBDB', isDefault: true, userId },
-];
+// Default categories for a new user, named in `locale`
+const createDefaultCategories = (userId, locale = DEFAULT_LOCALE) => templatesFor(locale)
+    .map(({ key, name, type, color }) => ({
+        id: uuidv4(), name, type, color, isDefault: true, defaultKey: key, parentId: null, userId
+    }));
+
+const DEFAULT_ACCOUNT_NAMES = { 'pt-BR': 'Conta Principal', en: 'Main Account', es: 'Cuenta Principal' };
+
+// Every user starts with one account, named in `locale`; transactions without
+// an explicit account go there
+const createDefaultAccount = (userId, locale = DEFAULT_LOCALE) => ({
+    id: uuidv4(),
+    name: DEFAULT_ACCOUNT_NAMES[locale] || DEFAULT_ACCOUNT_NAMES[DEFAULT_LOCALE],
+    type: 'checking',
+    openingBalance: 0,
+    currency: DEFAULT_CURRENCY,
+    isDefault: true,
+    userId
+});
 
 // Create user with proper userId references
 const createMockUser = () => {
@@ -22,10 +33,17 @@ const createMockUser = () => {
     // Hash the password (synchronously for initialization)
     // In a real database, passwords would already be hashed
     const hashedPassword = bcrypt.hashSync('123456', 10);
+
+    // Transactions reference categories by id
+    const categories = createDefaultCategories(userId);
+    const categoryId = (name) => categories.find(category => category.name === name).id;
+    const account = createDefaultAccount(userId);
+    const email = 'matheusfonseca@gmail.com';
+
     return {
         id: userId,
         name: 'Matheus Fonseca',
-        email: 'matheusfonseca@gmail.com',
+        email,
         password: hashedPassword,
         balance: 0,
         recurrentCredits: [
@@ -35,7 +53,10 @@ const createMockUser = () => {
                 description: 'Salário Outubro',
                 value: 3500.00,
                 type: 'credito',
-                category: 'Salário',
+                category: categoryId('Salário'),
+                lastRunAt: new Date(),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
         ],
@@ -46,7 +67,10 @@ const createMockUser = () => {
                 description: 'Internet',
                 value: -89.90,
                 type: 'debito',
-                category: 'Contas',
+                category: categoryId('Contas'),
+                lastRunAt: new Date(),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
         ],
@@ -57,7 +81,9 @@ const createMockUser = () => {
                 description: 'Supermercado',
                 value: -150.50,
                 type: 'debito',
-                category: 'Alimentação',
+                category: categoryId('Alimentação'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -66,7 +92,9 @@ const createMockUser = () => {
                 description: 'Uber',
                 value: -25.80,
                 type: 'debito',
-                category: 'Transporte',
+                category: categoryId('Transporte'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -75,7 +103,9 @@ const createMockUser = () => {
                 description: 'Farmácia',
                 value: -45.90,
                 type: 'debito',
-                category: 'Saúde',
+                category: categoryId('Saúde'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -84,7 +114,9 @@ const createMockUser = () => {
                 description: 'Conta de Luz',
                 value: -120.00,
                 type: 'debito',
-                category: 'Contas',
+                category: categoryId('Contas'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -93,7 +125,9 @@ const createMockUser = () => {
                 description: 'Restaurante',
                 value: -85.00,
                 type: 'debito',
-                category: 'Alimentação',
+                category: categoryId('Alimentação'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -102,7 +136,9 @@ const createMockUser = () => {
                 description: 'Cinema',
                 value: -30.00,
                 type: 'debito',
-                category: 'Lazer',
+                category: categoryId('Lazer'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -111,7 +147,9 @@ const createMockUser = () => {
                 description: 'Projeto Freelance',
                 value: 800.00,
                 type: 'credito',
-                category: 'Freelance',
+                category: categoryId('Freelance'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -120,7 +158,9 @@ const createMockUser = () => {
                 description: 'Padaria',
                 value: -15.50,
                 type: 'debito',
-                category: 'Alimentação',
+                category: categoryId('Alimentação'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -129,7 +169,9 @@ const createMockUser = () => {
                 description: 'Mercado Agosto',
                 value: -200.00,
                 type: 'debito',
-                category: 'Alimentação',
+                category: categoryId('Alimentação'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -138,7 +180,9 @@ const createMockUser = () => {
                 description: 'Salário Agosto',
                 value: 3500.00,
                 type: 'credito',
-                category: 'Salário',
+                category: categoryId('Salário'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -147,7 +191,9 @@ const createMockUser = () => {
                 description: 'Academia',
                 value: -150.00,
                 type: 'debito',
-                category: 'Saúde',
+                category: categoryId('Saúde'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -156,7 +202,9 @@ const createMockUser = () => {
                 description: 'Salário Julho',
                 value: 3500.00,
                 type: 'credito',
-                category: 'Salário',
+                category: categoryId('Salário'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -165,7 +213,9 @@ const createMockUser = () => {
                 description: 'Conta de Internet',
                 value: -100.00,
                 type: 'debito',
-                category: 'Contas',
+                category: categoryId('Contas'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -174,7 +224,9 @@ const createMockUser = () => {
                 description: 'Salário Junho',
                 value: 3500.00,
                 type: 'credito',
-                category: 'Salário',
+                category: categoryId('Salário'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -183,7 +235,9 @@ const createMockUser = () => {
                 description: 'Compras Maio',
                 value: -180.00,
                 type: 'debito',
-                category: 'Alimentação',
+                category: categoryId('Alimentação'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
             {
@@ -192,21 +246,27 @@ const createMockUser = () => {
                 description: 'Salário Maio',
                 value: 3500.00,
                 type: 'credito',
-                category: 'Salário',
+                category: categoryId('Salário'),
+                accountId: account.id,
+                currency: account.currency,
                 userId: userId,
             },
         ],
-        categories: createDefaultCategories(userId),
+        categories,
+        accounts: [account],
+        baseCurrency: DEFAULT_CURRENCY,
+        locale: DEFAULT_LOCALE,
+        exchangeRates: [],
+        emailVerified: true,
+        twoFactorEnabled: false,
+        role: isBootstrapAdmin(email) ? 'admin' : 'user',
+        disabled: false,
     };
 };
 
-let userData = [createMockUser()];
-
+// Seed data only: the live users are owned by src/data/store.js
 module.exports = {
-    getUserData: () => userData,
-    setUserData: (data) => { userData = data; },
-    addUser: (user) => userData.push(user),
-    findUserById: (id) => userData.find(user => user.id === id),
-    findUserByEmail: (email) => userData.find(user => user.email === email),
-    createDefaultCategories: createDefaultCategories
+    createMockUser,
+    createDefaultCategories,
+    createDefaultAccount
 };
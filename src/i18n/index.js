@@ -0,0 +1,100 @@
+const { DEFAULT_LOCALE, normalizeLocale } = require('../utils/locale.utils');
+
+// Locales with a message catalog; the others (es) get DEFAULT_LOCALE messages
+const MESSAGES = {
+    'pt-BR': require('./messages/pt-BR'),
+    en: require('./messages/en')
+};
+
+const messageLocale = (locale) => (MESSAGES[locale] ? locale : DEFAULT_LOCALE);
+
+// Message for `code` in `locale`, with its {placeholders} filled from `params`.
+// A `label` param names a field by its catalog key (FIELD_*) and is translated
+// too. Unknown codes come back as they are.
+const translate = (locale, code, params = {}) => {
+    const template = MESSAGES[messageLocale(locale)][code] || MESSAGES[DEFAULT_LOCALE][code];
+    if (!template) return code;
+    const values = params.label ? { ...params, label: translate(locale, params.label) } : params;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+};
+
+// { code, params, message } for the details of an error (with a `field`
+// alongside) and for success messages. The message is in DEFAULT_LOCALE until
+// localizeErrors translates it; `params` is left out when there are none.
+const codedMessage = (code, params = null) => ({
+    code,
+    ...(params ? { params } : {}),
+    message: translate(DEFAULT_LOCALE, code, params || {})
+});
+
+// Translates the coded messages in a list of details, including the `errors`
+// of each item (bulk results, import rows). Anything else is kept as it is.
+const localizeDetails = (locale, details) => {
+    if (!Array.isArray(details)) return details;
+    return details.map(entry => {
+        if (!entry || typeof entry !== 'object') return entry;
+        const localized = entry.code && typeof entry.message === 'string'
+            ? { ...entry, message: translate(locale, entry.code, entry.params) }
+            : entry;
+        return Array.isArray(entry.errors) ? { ...localized, errors: localizeDetails(locale, entry.errors) } : localized;
+    });
+};
+
+// Language tags of an Accept-Language header, most preferred first
+const parseAcceptLanguage = (header) => String(header || '')
+    .split(',')
+    .map((part, index) => {
+        const [tag, ...options] = part.trim().split(';');
+        const quality = options.map(option => option.trim()).find(option => option.startsWith('q='));
+        return { tag: tag.trim(), q: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+
+// Locale of a request: the signed-in user's preference, else the best match
+// for Accept-Language, else DEFAULT_LOCALE
+const resolveLocale = (req) => {
+    const candidates = [req.user && req.user.locale, ...parseAcceptLanguage(req.get('Accept-Language'))];
+    for (const candidate of candidates) {
+        const locale = normalizeLocale(candidate);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+};
+
+// Error thrown by services for the routes to answer with: `status` is the HTTP
+// status and `code`/`params` go to createError
+const codedError = (code, status, params = {}) =>
+    Object.assign(new Error(translate(DEFAULT_LOCALE, code, params)), { status, code, params });
+
+const formatCurrency = (value, currency, locale = DEFAULT_LOCALE) =>
+    new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value) || 0);
+
+const formatNumber = (value, locale = DEFAULT_LOCALE) =>
+    new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2, useGrouping: false })
+        .format(Number(value) || 0);
+
+// Dates are formatted in UTC, like the yyyy-mm-dd keys used everywhere else
+const formatDate = (date, locale = DEFAULT_LOCALE) =>
+    new Intl.DateTimeFormat(locale, { timeZone: 'UTC', day: '2-digit', month: '2-digit', year: 'numeric' })
+        .format(new Date(date));
+
+// "2025-10" -> "outubro de 2025" / "October 2025"
+const formatMonth = (monthKey, locale = DEFAULT_LOCALE) =>
+    new Intl.DateTimeFormat(locale, { timeZone: 'UTC', month: 'long', year: 'numeric' })
+        .format(new Date(`${monthKey}-01T00:00:00Z`));
+
+module.exports = {
+    messageLocale,
+    translate,
+    codedMessage,
+    localizeDetails,
+    parseAcceptLanguage,
+    resolveLocale,
+    codedError,
+    formatCurrency,
+    formatNumber,
+    formatDate,
+    formatMonth
+};
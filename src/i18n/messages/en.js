@@ -0,0 +1,268 @@
+// English translations of pt-BR.js, with the same keys and placeholders
+module.exports = {
+    // Generic
+    INVALID_DATA: 'Invalid data',
+    INVALID_QUERY: 'Invalid query parameters',
+    INVALID_VIEW: 'view must be "flat" or "tree"',
+    INVALID_TYPE: 'type must be "credito" or "debito"',
+    INVALID_DATE: 'invalid date',
+    INVALID_END_DATE: 'invalid end date',
+    INVALID_MONTH: 'month must be in the yyyy-mm format',
+    INVALID_CURRENCY: 'currency must be an ISO 4217 code (e.g. BRL)',
+    INVALID_LOCALE: 'language must be one of: {locales}',
+    INVALID_GRANULARITY: 'granularity must be one of: {granularities}',
+    VALUE_NOT_NUMERIC: 'value must be numeric',
+    DESCRIPTION_REQUIRED: 'description is required',
+    USER_ID_REQUIRED: 'userId is required',
+    FILE_REQUIRED: 'File is required',
+    INVALID_FILE: 'Invalid {format} file',
+    INVALID_CSV_FILE: 'Invalid CSV file',
+    INVALID_DATE_FORMAT: 'Format must be one of: {formats}',
+    INVALID_DECIMAL_SEPARATOR: 'Decimal separator must be "." or ","',
+    MISSING_EXCHANGE_RATES: 'Missing exchange rates to convert the amounts into {currency}',
+    TOO_MANY_REQUESTS: 'Too many requests, try again later',
+    TOO_MANY_ATTEMPTS: 'Too many attempts, try again later',
+
+    // Authentication and sessions
+    CREDENTIALS_REQUIRED: 'Email and password are required',
+    INVALID_CREDENTIALS: 'Invalid credentials',
+    TOO_MANY_LOGIN_ATTEMPTS: 'Too many login attempts, try again later',
+    LOGIN_FAILED: 'Error while logging in',
+    ACCESS_TOKEN_MISSING: 'Access token not provided',
+    TOKEN_INVALID: 'Invalid token',
+    TOKEN_EXPIRED: 'Token expired',
+    ACTION_TOKEN_INVALID: 'Invalid or expired token',
+    REFRESH_TOKEN_MISSING: 'Refresh token not provided',
+    REFRESH_TOKEN_INVALID: 'Invalid refresh token',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token expired',
+    REFRESH_TOKEN_REUSED: 'Refresh token already used',
+    REFRESH_TOKEN_RACE: 'Refresh token already renewed by another request',
+    SESSION_ENDED: 'Session ended',
+    SESSION_EXPIRED: 'Session ended, please log in again',
+    SESSION_NOT_FOUND: 'Session not found',
+    INVALID_CODE: 'Invalid code',
+    VERIFICATION_CODE_REQUIRED: 'Verification code is required',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+    TWO_FACTOR_NO_PENDING_SETUP: 'No pending two-factor authentication setup',
+    TWO_FACTOR_CHALLENGE_INVALID: 'Invalid or expired login challenge',
+    TWO_FACTOR_SETUP_FAILED: 'Error while setting up two-factor authentication',
+    TWO_FACTOR_ENABLE_FAILED: 'Error while enabling two-factor authentication',
+    TWO_FACTOR_DISABLE_FAILED: 'Error while disabling two-factor authentication',
+    RECOVERY_CODES_FAILED: 'Error while generating recovery codes',
+    WRONG_PASSWORD: 'Incorrect password',
+
+    // Users
+    USER_NOT_FOUND: 'User not found',
+    USER_ALREADY_EXISTS: 'User already exists',
+    USER_DISABLED: 'Account disabled',
+    REGISTRATION_FIELDS_REQUIRED: 'Name, email and password are required',
+    REGISTRATION_FAILED: 'Error while registering user',
+    USER_UPDATE_FAILED: 'Error while updating user',
+    EMAIL_REQUIRED: 'Email is required',
+    EMAIL_IN_USE: 'Email is already in use',
+    EMAIL_ALREADY_VERIFIED: 'Email already verified',
+    EMAIL_VERIFICATION_FAILED: 'Error while verifying email',
+    PASSWORD_RESET_FAILED: 'Error while resetting password',
+    VERIFICATION_EMAIL_FAILED: 'Error while sending the verification email',
+    PASSWORD_RESET_REQUEST_FAILED: 'Error while requesting a password reset',
+    PASSWORD_TOO_SHORT: 'Password must have at least 6 characters',
+    PASSWORD_MISSING_UPPERCASE: 'Password must contain at least one uppercase letter',
+    PASSWORD_MISSING_LOWERCASE: 'Password must contain at least one lowercase letter',
+    PASSWORD_MISSING_NUMBER: 'Password must contain at least one number',
+    PASSWORD_MISSING_SPECIAL: 'Password must contain at least one special character',
+    ACCESS_DENIED_READ_OTHER_USER: 'Access denied: you can only access your own data',
+    ACCESS_DENIED_UPDATE_OTHER_USER: 'Access denied: you can only update your own data',
+    ACCESS_DENIED_DELETE_OTHER_USER: 'Access denied: you can only delete your own account',
+    INSUFFICIENT_PERMISSION: 'Access denied: insufficient permission',
+    INVALID_ROLE: 'Role must be one of: {roles}',
+    SELF_ADMIN_CHANGE: 'You cannot change your own role or status',
+    LAST_ADMIN: 'The system needs at least one active administrator',
+    ROLE_CHANGE_FAILED: 'Error while changing the user role',
+    USER_DISABLE_FAILED: 'Error while disabling user',
+    USER_ENABLE_FAILED: 'Error while enabling user',
+
+    // Transactions, transfers and bulk operations
+    TRANSACTION_NOT_FOUND: 'Transaction not found',
+    TRANSFER_NOT_FOUND: 'Transfer not found',
+    TRANSFER_NOT_EDITABLE: 'Transfers cannot be edited, delete and create them again',
+    BULK_OPERATION_REJECTED: 'Bulk operation rejected: no transaction was changed',
+
+    // Categories and budgets
+    CATEGORY_NOT_FOUND: 'Category not found',
+    CATEGORY_TYPE_MISMATCH: 'category "{name}" does not match the type of the entry',
+    CATEGORY_FIELDS_REQUIRED: 'name, type and color are required',
+    CATEGORY_NAME_TAKEN: 'Category name already exists',
+    INVALID_COLOR: 'color must be in hex format (starting with #)',
+    DEFAULT_CATEGORY_TYPE_LOCKED: 'The type of a default category cannot be changed',
+    CATEGORY_IN_USE_TYPE_LOCKED: 'The type of a category with transactions, recurrences, rules or a budget cannot be changed',
+    DEFAULT_CATEGORY_NOT_DELETABLE: 'Default category cannot be deleted',
+    UNCATEGORIZED_NOT_FOUND: 'Default category for uncategorized transactions not found',
+    INVALID_MOVE_TO: 'moveTo must be "uncategorized" or "parent"',
+    CATEGORY_HAS_NO_PARENT: 'Category has no parent category',
+    PARENT_CATEGORY_NOT_FOUND: 'Parent category not found',
+    PARENT_CATEGORY_UNCATEGORIZED: 'The category for uncategorized transactions cannot have subcategories',
+    UNCATEGORIZED_AS_SUBCATEGORY: 'the category for uncategorized transactions cannot be a subcategory',
+    PARENT_CATEGORY_TYPE_MISMATCH: 'a subcategory must have the same type as its parent category',
+    CATEGORY_CYCLE: 'a category cannot be placed under itself or one of its subcategories',
+    CATEGORY_CHILDREN_TYPE_MISMATCH: 'category has subcategories of another type',
+    BUDGET_DEBIT_ONLY: 'Budgets can only be set for debit categories',
+    BUDGET_NOT_FOUND: 'Category has no budget',
+    BUDGET_LIMIT_REQUIRED: 'limit is required',
+    INVALID_BUDGET_LIMIT: 'limit must be a positive number',
+    INVALID_ROLLOVER: 'rollover must be true or false',
+    INVALID_WARNING_THRESHOLD: 'warning threshold must be between 1 and 100 (%)',
+
+    // Recurrences
+    RECURRENCE_NOT_FOUND: 'Recurrence not found',
+    RECURRENCE_FIELDS_REQUIRED: 'description, value, type and category are required',
+    INVALID_FREQUENCY: 'frequency must be one of: {frequencies}',
+    INVALID_INTERVAL: 'interval must be a positive integer',
+    INVALID_DAY_OF_MONTH: 'day of month must be between 1 and 31',
+    INVALID_OCCURRENCES: 'number of occurrences must be a positive integer',
+    INVALID_LIMIT: 'limit must be a positive integer',
+
+    // Rules
+    RULE_NOT_FOUND: 'Rule not found',
+    INVALID_RULE_SCOPE: 'scope must be "uncategorized" or "all"',
+
+    // Accounts and exchange rates
+    ACCOUNT_NOT_FOUND: 'Account not found',
+    DEFAULT_ACCOUNT_NOT_DELETABLE: 'Default account cannot be deleted',
+    ACCOUNT_IN_USE: 'Account has transactions or recurrences and cannot be deleted',
+    EXCHANGE_RATE_NOT_FOUND: 'Exchange rate not found',
+    INVALID_EXCHANGE_RATES: 'Invalid exchange rates',
+    RATES_FILE_EMPTY: 'No exchange rate found in the file',
+
+    // Imports, backups and trash
+    IMPORT_NOT_FOUND: 'Import not found or expired',
+    IMPORT_ACCOUNT_NOT_FOUND: 'Target account of the import not found',
+    INVALID_IMPORT_OPTIONS: 'Invalid import options',
+    OFX_NO_TRANSACTIONS: 'No transaction found in the OFX file',
+    IMPORT_FAILED: 'Import failed',
+    IMPORT_FILE_FAILED: 'Failed to import file',
+    INVALID_BACKUP: 'Invalid backup',
+    INVALID_BACKUP_FILE: 'Invalid backup file',
+    BACKUP_TARGET_NOT_EMPTY: 'Backups can only be restored into an account without its own transactions, recurrences, rules or categories',
+    BACKUP_RESTORE_FAILED: 'Failed to restore backup',
+    TRASH_ITEM_NOT_FOUND: 'Item not found in the trash',
+    TRASH_NAME_CONFLICT: 'A category with this name already exists',
+    TRASH_RESTORE_FAILED: 'Error while restoring item',
+    INVALID_TRASH_ENTITY: 'entity must be one of: {entities}',
+
+    // Details of invalid requests: { field, code, params } (see fieldError)
+    FIELD_REQUIRED: '{label} is required',
+    FIELD_NOT_TEXT: '{label} must be text',
+    FIELD_NOT_NUMBER: '{label} must be a number',
+    FIELD_NOT_BOOLEAN: '{label} must be true or false',
+    FIELD_NOT_DATE: '{label} must be a valid date',
+    FIELD_NOT_LIST: '{label} must be a list',
+    FIELD_NOT_IN_LIST: '{label} must be one of: {values}',
+    FIELD_TOO_LONG: '{label} must be at most {maxLength} characters',
+    INVALID_VALUE: 'invalid value',
+    INVALID_RATE: 'invalid exchange rate',
+    INVALID_START_DATE: 'invalid start date',
+    INVALID_JSON: 'invalid JSON',
+    INVALID_FORMAT: 'format must be one of: {formats}',
+    INVALID_SORT: 'sort must be one of: {fields}',
+    INVALID_ORDER: 'order must be "asc" or "desc"',
+    INVALID_PAGE: 'page must be a positive integer',
+    INVALID_PAGE_SIZE: 'page size must be between 1 and {max}',
+    INVALID_AUDIT_ENTITY: 'entity must be one of: {entities}',
+    INVALID_AUDIT_ACTION: 'action must be one of: {actions}',
+    INVALID_DISABLED_FILTER: 'disabled must be "true" or "false"',
+    VALUE_ZERO: 'value cannot be zero',
+    CREDIT_VALUE_NOT_POSITIVE: 'a credit value must be positive',
+    DEBIT_VALUE_NOT_NEGATIVE: 'a debit value must be negative',
+    AMOUNT_NOT_POSITIVE: 'amount must be positive',
+    TO_AMOUNT_NOT_POSITIVE: 'received amount must be positive',
+    CATEGORY_IS_CREDIT: 'category "{name}" is a credit category',
+    CATEGORY_IS_DEBIT: 'category "{name}" is a debit category',
+    UNKNOWN_CATEGORY: 'Category not found: {name}',
+    SPLITS_TOO_FEW: 'a split needs at least two parts',
+    SPLITS_TOTAL_MISMATCH: 'splits add up to {total}, but the value is {value}',
+    SPLIT_NOT_RECATEGORIZABLE: 'split transaction: change the category of each split instead',
+    TAGS_NOT_TEXT: 'tags must be text',
+    TOO_MANY_TAGS: 'at most {max} tags',
+    TAG_TOO_LONG: 'tags must be at most {maxLength} characters',
+    SAME_TRANSFER_ACCOUNTS: 'source and destination accounts must differ',
+    MISSING_TRANSFER_RATE: 'No {from}/{to} exchange rate on {date}: send toAmount or add the rate',
+    SAME_RATE_CURRENCIES: 'source and target currencies must differ',
+    RATE_NOT_POSITIVE: 'exchange rate must be positive',
+    RULE_CONDITION_REQUIRED: 'at least one condition is required',
+    INVALID_REGEX: 'invalid regular expression',
+    UNSAFE_REGEX: 'regular expressions with nested or overlapping repetition, repeated alternatives or backreferences are not allowed',
+    RULE_BOUNDS_NOT_POSITIVE: 'value bounds must be positive',
+    RULE_MAX_BELOW_MIN: 'maximum value must be greater than the minimum',
+    INVALID_BULK_OPERATION: 'operation must be one of: {operations}',
+    BULK_TARGET_REQUIRED: 'send either ids or filter (only one of them)',
+    BULK_IDS_EMPTY: 'ids must be a non-empty list',
+    BULK_FILTER_NOT_OBJECT: 'filter must be an object with the filters of GET /records',
+    BULK_FILTER_EMPTY: 'filter must have at least one of the filters of GET /records',
+    BULK_TAGS_REQUIRED: 'tags must have set, add or remove',
+    BULK_TAGS_SET_EXCLUSIVE: 'tags.set cannot be combined with add or remove',
+    BULK_TOO_MANY: 'at most {max} transactions per operation ({count} selected)',
+    UNKNOWN_COLUMN: 'Unknown column: {column}',
+    IMPORT_COLUMN_MISSING: 'required column has no value: {columns}',
+    CATEGORY_MAPPING_NOT_OBJECT: 'categoryMapping must be an object of category names',
+    BACKUP_VERSION_UNSUPPORTED: 'Unsupported backup version (expected {version})',
+    BACKUP_CATEGORY_INCOMPLETE: 'id and name are required',
+
+    // Field names, for the {label} of the details above
+    FIELD_NAME: 'name',
+    FIELD_DESCRIPTION: 'description',
+    FIELD_VALUE: 'value',
+    FIELD_TYPE: 'type',
+    FIELD_CATEGORY: 'category',
+    FIELD_DATE: 'date',
+    FIELD_ACCOUNT: 'account',
+    FIELD_FROM_ACCOUNT: 'source account',
+    FIELD_TO_ACCOUNT: 'destination account',
+    FIELD_TO_AMOUNT: 'received amount',
+    FIELD_CURRENCY: 'currency',
+    FIELD_FROM_CURRENCY: 'source currency',
+    FIELD_TO_CURRENCY: 'target currency',
+    FIELD_RATE: 'exchange rate',
+    FIELD_OPENING_BALANCE: 'opening balance',
+    FIELD_SPLITS: 'splits',
+    FIELD_NOTE: 'note',
+    FIELD_TAGS: 'tags',
+    FIELD_PRIORITY: 'priority',
+    FIELD_ENABLED: 'enabled',
+    FIELD_DESCRIPTION_CONTAINS: 'description contains',
+    FIELD_DESCRIPTION_REGEX: 'regular expression',
+    FIELD_MIN_VALUE: 'minimum value',
+    FIELD_MAX_VALUE: 'maximum value',
+    FIELD_SET_DESCRIPTION: 'new description',
+
+    // Success messages (see codedMessage)
+    LOGGED_OUT: 'Logged out successfully',
+    EMAIL_VERIFIED: 'Email verified successfully',
+    VERIFICATION_EMAIL_SENT: 'Verification email sent',
+    PASSWORD_RESET_REQUESTED: 'If the email is registered, you will receive a link to reset your password',
+    PASSWORD_RESET: 'Password reset successfully',
+    USER_DELETED: 'User deleted successfully',
+    TWO_FACTOR_ENABLED: 'Two-factor authentication enabled',
+    TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+    OTHER_SESSIONS_REVOKED: 'Other sessions ended',
+    SESSION_REVOKED: 'Session ended successfully',
+    TRANSACTION_TRASHED: 'Transaction moved to the trash',
+    TRANSFER_TRASHED: 'Transfer moved to the trash',
+    CATEGORY_TRASHED: 'Category moved to the trash. Transactions moved to "{replacement}"',
+    ACCOUNT_DELETED: 'Account deleted successfully',
+    RECURRENCE_DELETED: 'Recurrence deleted successfully',
+    RULE_DELETED: 'Rule deleted successfully',
+    EXCHANGE_RATE_DELETED: 'Exchange rate deleted successfully',
+    IMPORT_DISCARDED: 'Import discarded',
+    BACKUP_RESTORED: 'Backup restored successfully',
+    TRASH_ITEM_PURGED: 'Item permanently deleted',
+    TRASH_EMPTIED: 'Trash emptied',
+
+    // Emails
+    EMAIL_GREETING: 'Hello, {name}!',
+    VERIFICATION_EMAIL_SUBJECT: 'Confirm your email',
+    VERIFICATION_EMAIL_TEXT: 'Confirm your email address by opening the link below (valid for 24 hours):',
+    PASSWORD_RESET_EMAIL_SUBJECT: 'Password reset',
+    PASSWORD_RESET_EMAIL_TEXT: 'We received a request to reset your password. Use the link below (valid for 1 hour):',
+    PASSWORD_RESET_EMAIL_IGNORE: 'If it was not you, ignore this email: your password stays the same.'
+};
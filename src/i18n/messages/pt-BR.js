@@ -0,0 +1,270 @@
+// Messages by code: errors, the details of invalid requests and success
+// messages. `{name}` placeholders are filled from the params given to
+// createError or codedMessage. Keep the keys in sync with en.js.
+module.exports = {
+    // Generic
+    INVALID_DATA: 'Dados inválidos',
+    INVALID_QUERY: 'Parâmetros de consulta inválidos',
+    INVALID_VIEW: 'visualização deve ser "flat" ou "tree"',
+    INVALID_TYPE: 'tipo deve ser "credito" ou "debito"',
+    INVALID_DATE: 'data inválida',
+    INVALID_END_DATE: 'data final inválida',
+    INVALID_MONTH: 'mês deve estar no formato aaaa-mm',
+    INVALID_CURRENCY: 'moeda deve ser um código ISO 4217 (ex.: BRL)',
+    INVALID_LOCALE: 'idioma deve ser um de: {locales}',
+    INVALID_GRANULARITY: 'granularidade deve ser uma de: {granularities}',
+    VALUE_NOT_NUMERIC: 'valor deve ser numérico',
+    DESCRIPTION_REQUIRED: 'descrição é obrigatória',
+    USER_ID_REQUIRED: 'userId é obrigatório',
+    FILE_REQUIRED: 'Arquivo é obrigatório',
+    INVALID_FILE: 'Arquivo {format} inválido',
+    INVALID_CSV_FILE: 'Arquivo CSV inválido',
+    INVALID_DATE_FORMAT: 'Formato deve ser um de: {formats}',
+    INVALID_DECIMAL_SEPARATOR: 'Separador decimal deve ser "." ou ","',
+    MISSING_EXCHANGE_RATES: 'Cotações ausentes para converter os valores em {currency}',
+    TOO_MANY_REQUESTS: 'Muitas requisições, tente novamente mais tarde',
+    TOO_MANY_ATTEMPTS: 'Muitas tentativas, tente novamente mais tarde',
+
+    // Authentication and sessions
+    CREDENTIALS_REQUIRED: 'Email e senha são obrigatórios',
+    INVALID_CREDENTIALS: 'Credenciais inválidas',
+    TOO_MANY_LOGIN_ATTEMPTS: 'Muitas tentativas de login, tente novamente mais tarde',
+    LOGIN_FAILED: 'Erro ao fazer login',
+    ACCESS_TOKEN_MISSING: 'Token de acesso não fornecido',
+    TOKEN_INVALID: 'Token inválido',
+    TOKEN_EXPIRED: 'Token expirado',
+    ACTION_TOKEN_INVALID: 'Token inválido ou expirado',
+    REFRESH_TOKEN_MISSING: 'Refresh token não fornecido',
+    REFRESH_TOKEN_INVALID: 'Refresh token inválido',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token expirado',
+    REFRESH_TOKEN_REUSED: 'Refresh token já utilizado',
+    REFRESH_TOKEN_RACE: 'Refresh token já renovado por outra requisição',
+    SESSION_ENDED: 'Sessão encerrada',
+    SESSION_EXPIRED: 'Sessão encerrada, faça login novamente',
+    SESSION_NOT_FOUND: 'Sessão não encontrada',
+    INVALID_CODE: 'Código inválido',
+    VERIFICATION_CODE_REQUIRED: 'Código de verificação é obrigatório',
+    TWO_FACTOR_ALREADY_ENABLED: 'Autenticação em dois fatores já está ativa',
+    TWO_FACTOR_NOT_ENABLED: 'Autenticação em dois fatores não está ativa',
+    TWO_FACTOR_NO_PENDING_SETUP: 'Nenhuma configuração de autenticação em dois fatores pendente',
+    TWO_FACTOR_CHALLENGE_INVALID: 'Desafio de login inválido ou expirado',
+    TWO_FACTOR_SETUP_FAILED: 'Erro ao configurar autenticação em dois fatores',
+    TWO_FACTOR_ENABLE_FAILED: 'Erro ao ativar autenticação em dois fatores',
+    TWO_FACTOR_DISABLE_FAILED: 'Erro ao desativar autenticação em dois fatores',
+    RECOVERY_CODES_FAILED: 'Erro ao gerar códigos de recuperação',
+    WRONG_PASSWORD: 'Senha incorreta',
+
+    // Users
+    USER_NOT_FOUND: 'Usuário não encontrado',
+    USER_ALREADY_EXISTS: 'Usuário já existe',
+    USER_DISABLED: 'Conta desativada',
+    REGISTRATION_FIELDS_REQUIRED: 'Nome, email e senha são obrigatórios',
+    REGISTRATION_FAILED: 'Erro ao registrar usuário',
+    USER_UPDATE_FAILED: 'Erro ao atualizar usuário',
+    EMAIL_REQUIRED: 'Email é obrigatório',
+    EMAIL_IN_USE: 'Email já está em uso',
+    EMAIL_ALREADY_VERIFIED: 'Email já verificado',
+    EMAIL_VERIFICATION_FAILED: 'Erro ao verificar email',
+    PASSWORD_RESET_FAILED: 'Erro ao redefinir senha',
+    VERIFICATION_EMAIL_FAILED: 'Erro ao enviar email de verificação',
+    PASSWORD_RESET_REQUEST_FAILED: 'Erro ao solicitar redefinição de senha',
+    PASSWORD_TOO_SHORT: 'Senha deve ter no mínimo 6 caracteres',
+    PASSWORD_MISSING_UPPERCASE: 'Senha deve conter pelo menos uma letra maiúscula',
+    PASSWORD_MISSING_LOWERCASE: 'Senha deve conter pelo menos uma letra minúscula',
+    PASSWORD_MISSING_NUMBER: 'Senha deve conter pelo menos um número',
+    PASSWORD_MISSING_SPECIAL: 'Senha deve conter pelo menos um caractere especial',
+    ACCESS_DENIED_READ_OTHER_USER: 'Acesso negado: você só pode acessar seus próprios dados',
+    ACCESS_DENIED_UPDATE_OTHER_USER: 'Acesso negado: você só pode atualizar seus próprios dados',
+    ACCESS_DENIED_DELETE_OTHER_USER: 'Acesso negado: você só pode excluir sua própria conta',
+    INSUFFICIENT_PERMISSION: 'Acesso negado: permissão insuficiente',
+    INVALID_ROLE: 'Papel deve ser um de: {roles}',
+    SELF_ADMIN_CHANGE: 'Você não pode alterar o próprio papel ou status',
+    LAST_ADMIN: 'O sistema precisa de pelo menos um administrador ativo',
+    ROLE_CHANGE_FAILED: 'Erro ao alterar papel do usuário',
+    USER_DISABLE_FAILED: 'Erro ao desativar usuário',
+    USER_ENABLE_FAILED: 'Erro ao reativar usuário',
+
+    // Transactions, transfers and bulk operations
+    TRANSACTION_NOT_FOUND: 'Transação não encontrada',
+    TRANSFER_NOT_FOUND: 'Transferência não encontrada',
+    TRANSFER_NOT_EDITABLE: 'Transferências não podem ser editadas, exclua e crie novamente',
+    BULK_OPERATION_REJECTED: 'Operação em lote rejeitada: nenhuma transação foi alterada',
+
+    // Categories and budgets
+    CATEGORY_NOT_FOUND: 'Categoria não encontrada',
+    CATEGORY_TYPE_MISMATCH: 'categoria "{name}" não é do tipo do lançamento',
+    CATEGORY_FIELDS_REQUIRED: 'nome, tipo e cor são obrigatórios',
+    CATEGORY_NAME_TAKEN: 'Nome da categoria já existe',
+    INVALID_COLOR: 'cor deve ser em formato hex (começa com #)',
+    DEFAULT_CATEGORY_TYPE_LOCKED: 'Tipo de categoria padrão não pode ser alterado',
+    CATEGORY_IN_USE_TYPE_LOCKED: 'O tipo de uma categoria com transações, recorrências, regras ou orçamento não pode ser alterado',
+    DEFAULT_CATEGORY_NOT_DELETABLE: 'Categoria padrão não pode ser excluída',
+    UNCATEGORIZED_NOT_FOUND: 'Categoria padrão para transações sem categoria não encontrada',
+    INVALID_MOVE_TO: 'moveTo deve ser "uncategorized" ou "parent"',
+    CATEGORY_HAS_NO_PARENT: 'Categoria não possui categoria pai',
+    PARENT_CATEGORY_NOT_FOUND: 'Categoria pai não encontrada',
+    PARENT_CATEGORY_UNCATEGORIZED: 'A categoria de transações sem categoria não pode ter subcategorias',
+    UNCATEGORIZED_AS_SUBCATEGORY: 'categoria de transações sem categoria não pode ser uma subcategoria',
+    PARENT_CATEGORY_TYPE_MISMATCH: 'subcategoria deve ter o mesmo tipo da categoria pai',
+    CATEGORY_CYCLE: 'categoria não pode ficar abaixo dela mesma ou de uma subcategoria sua',
+    CATEGORY_CHILDREN_TYPE_MISMATCH: 'categoria possui subcategorias de outro tipo',
+    BUDGET_DEBIT_ONLY: 'Orçamentos só podem ser definidos para categorias de débito',
+    BUDGET_NOT_FOUND: 'Categoria não possui orçamento',
+    BUDGET_LIMIT_REQUIRED: 'limite é obrigatório',
+    INVALID_BUDGET_LIMIT: 'limite deve ser um número positivo',
+    INVALID_ROLLOVER: 'rollover deve ser verdadeiro ou falso',
+    INVALID_WARNING_THRESHOLD: 'limite de alerta deve estar entre 1 e 100 (%)',
+
+    // Recurrences
+    RECURRENCE_NOT_FOUND: 'Recorrência não encontrada',
+    RECURRENCE_FIELDS_REQUIRED: 'descrição, valor, tipo e categoria são obrigatórios',
+    INVALID_FREQUENCY: 'frequência deve ser uma de: {frequencies}',
+    INVALID_INTERVAL: 'intervalo deve ser um inteiro positivo',
+    INVALID_DAY_OF_MONTH: 'dia do mês deve estar entre 1 e 31',
+    INVALID_OCCURRENCES: 'número de ocorrências deve ser um inteiro positivo',
+    INVALID_LIMIT: 'limite deve ser um inteiro positivo',
+
+    // Rules
+    RULE_NOT_FOUND: 'Regra não encontrada',
+    INVALID_RULE_SCOPE: 'escopo deve ser "uncategorized" ou "all"',
+
+    // Accounts and exchange rates
+    ACCOUNT_NOT_FOUND: 'Conta não encontrada',
+    DEFAULT_ACCOUNT_NOT_DELETABLE: 'Conta padrão não pode ser excluída',
+    ACCOUNT_IN_USE: 'Conta possui transações ou recorrências e não pode ser excluída',
+    EXCHANGE_RATE_NOT_FOUND: 'Cotação não encontrada',
+    INVALID_EXCHANGE_RATES: 'Cotações inválidas',
+    RATES_FILE_EMPTY: 'Nenhuma cotação encontrada no arquivo',
+
+    // Imports, backups and trash
+    IMPORT_NOT_FOUND: 'Importação não encontrada ou expirada',
+    IMPORT_ACCOUNT_NOT_FOUND: 'Conta de destino da importação não encontrada',
+    INVALID_IMPORT_OPTIONS: 'Opções de importação inválidas',
+    OFX_NO_TRANSACTIONS: 'Nenhuma transação encontrada no arquivo OFX',
+    IMPORT_FAILED: 'Falha ao importar',
+    IMPORT_FILE_FAILED: 'Falha ao importar arquivo',
+    INVALID_BACKUP: 'Backup inválido',
+    INVALID_BACKUP_FILE: 'Arquivo de backup inválido',
+    BACKUP_TARGET_NOT_EMPTY: 'Backups só podem ser restaurados em uma conta sem transações, recorrências, regras ou categorias próprias',
+    BACKUP_RESTORE_FAILED: 'Falha ao restaurar backup',
+    TRASH_ITEM_NOT_FOUND: 'Item não encontrado na lixeira',
+    TRASH_NAME_CONFLICT: 'Já existe uma categoria com este nome',
+    TRASH_RESTORE_FAILED: 'Erro ao restaurar item',
+    INVALID_TRASH_ENTITY: 'entidade deve ser uma de: {entities}',
+
+    // Details of invalid requests: { field, code, params } (see fieldError)
+    FIELD_REQUIRED: '{label} é obrigatório',
+    FIELD_NOT_TEXT: '{label} deve ser texto',
+    FIELD_NOT_NUMBER: '{label} deve ser numérico',
+    FIELD_NOT_BOOLEAN: '{label} deve ser verdadeiro ou falso',
+    FIELD_NOT_DATE: '{label} deve ser uma data válida',
+    FIELD_NOT_LIST: '{label} deve ser uma lista',
+    FIELD_NOT_IN_LIST: '{label} deve ser um de: {values}',
+    FIELD_TOO_LONG: '{label} deve ter no máximo {maxLength} caracteres',
+    INVALID_VALUE: 'valor inválido',
+    INVALID_RATE: 'cotação inválida',
+    INVALID_START_DATE: 'data inicial inválida',
+    INVALID_JSON: 'JSON inválido',
+    INVALID_FORMAT: 'formato deve ser um de: {formats}',
+    INVALID_SORT: 'ordenação deve ser uma de: {fields}',
+    INVALID_ORDER: 'direção deve ser "asc" ou "desc"',
+    INVALID_PAGE: 'página deve ser um inteiro positivo',
+    INVALID_PAGE_SIZE: 'tamanho da página deve estar entre 1 e {max}',
+    INVALID_AUDIT_ENTITY: 'entidade deve ser uma de: {entities}',
+    INVALID_AUDIT_ACTION: 'ação deve ser uma de: {actions}',
+    INVALID_DISABLED_FILTER: 'disabled deve ser "true" ou "false"',
+    VALUE_ZERO: 'valor não pode ser zero',
+    CREDIT_VALUE_NOT_POSITIVE: 'valor de crédito deve ser positivo',
+    DEBIT_VALUE_NOT_NEGATIVE: 'valor de débito deve ser negativo',
+    AMOUNT_NOT_POSITIVE: 'valor deve ser positivo',
+    TO_AMOUNT_NOT_POSITIVE: 'valor recebido deve ser positivo',
+    CATEGORY_IS_CREDIT: 'categoria "{name}" é de crédito',
+    CATEGORY_IS_DEBIT: 'categoria "{name}" é de débito',
+    UNKNOWN_CATEGORY: 'Categoria não encontrada: {name}',
+    SPLITS_TOO_FEW: 'divisões devem ter ao menos duas partes',
+    SPLITS_TOTAL_MISMATCH: 'divisões somam {total}, mas o valor é {value}',
+    SPLIT_NOT_RECATEGORIZABLE: 'transação dividida: altere as categorias das divisões individualmente',
+    TAGS_NOT_TEXT: 'etiquetas devem ser textos',
+    TOO_MANY_TAGS: 'no máximo {max} etiquetas',
+    TAG_TOO_LONG: 'etiquetas devem ter no máximo {maxLength} caracteres',
+    SAME_TRANSFER_ACCOUNTS: 'contas de origem e destino devem ser diferentes',
+    MISSING_TRANSFER_RATE: 'Sem cotação {from}/{to} em {date}: informe toAmount ou cadastre a cotação',
+    SAME_RATE_CURRENCIES: 'moedas de origem e destino devem ser diferentes',
+    RATE_NOT_POSITIVE: 'cotação deve ser positiva',
+    RULE_CONDITION_REQUIRED: 'informe ao menos uma condição',
+    INVALID_REGEX: 'expressão regular inválida',
+    UNSAFE_REGEX: 'expressão regular com repetições aninhadas ou sobrepostas, alternativas repetidas ou referências não é permitida',
+    RULE_BOUNDS_NOT_POSITIVE: 'limites de valor devem ser positivos',
+    RULE_MAX_BELOW_MIN: 'valor máximo deve ser maior que o mínimo',
+    INVALID_BULK_OPERATION: 'operação deve ser uma de: {operations}',
+    BULK_TARGET_REQUIRED: 'informe ids ou filter (apenas um deles)',
+    BULK_IDS_EMPTY: 'ids deve ser uma lista não vazia',
+    BULK_FILTER_NOT_OBJECT: 'filter deve ser um objeto com os filtros de GET /records',
+    BULK_FILTER_EMPTY: 'filter deve ter ao menos um dos filtros de GET /records',
+    BULK_TAGS_REQUIRED: 'tags deve ter set, add ou remove',
+    BULK_TAGS_SET_EXCLUSIVE: 'tags.set não pode ser combinado com add ou remove',
+    BULK_TOO_MANY: 'no máximo {max} transações por operação ({count} selecionadas)',
+    UNKNOWN_COLUMN: 'Coluna desconhecida: {column}',
+    IMPORT_COLUMN_MISSING: 'coluna obrigatória sem valor: {columns}',
+    CATEGORY_MAPPING_NOT_OBJECT: 'categoryMapping deve ser um objeto de nomes de categoria',
+    BACKUP_VERSION_UNSUPPORTED: 'Versão de backup não suportada (esperado {version})',
+    BACKUP_CATEGORY_INCOMPLETE: 'id e nome são obrigatórios',
+
+    // Field names, for the {label} of the details above
+    FIELD_NAME: 'nome',
+    FIELD_DESCRIPTION: 'descrição',
+    FIELD_VALUE: 'valor',
+    FIELD_TYPE: 'tipo',
+    FIELD_CATEGORY: 'categoria',
+    FIELD_DATE: 'data',
+    FIELD_ACCOUNT: 'conta',
+    FIELD_FROM_ACCOUNT: 'conta de origem',
+    FIELD_TO_ACCOUNT: 'conta de destino',
+    FIELD_TO_AMOUNT: 'valor recebido',
+    FIELD_CURRENCY: 'moeda',
+    FIELD_FROM_CURRENCY: 'moeda de origem',
+    FIELD_TO_CURRENCY: 'moeda de destino',
+    FIELD_RATE: 'cotação',
+    FIELD_OPENING_BALANCE: 'saldo inicial',
+    FIELD_SPLITS: 'divisões',
+    FIELD_NOTE: 'observação',
+    FIELD_TAGS: 'etiquetas',
+    FIELD_PRIORITY: 'prioridade',
+    FIELD_ENABLED: 'ativa',
+    FIELD_DESCRIPTION_CONTAINS: 'descrição contém',
+    FIELD_DESCRIPTION_REGEX: 'expressão regular',
+    FIELD_MIN_VALUE: 'valor mínimo',
+    FIELD_MAX_VALUE: 'valor máximo',
+    FIELD_SET_DESCRIPTION: 'nova descrição',
+
+    // Success messages (see codedMessage)
+    LOGGED_OUT: 'Logout realizado com sucesso',
+    EMAIL_VERIFIED: 'Email verificado com sucesso',
+    VERIFICATION_EMAIL_SENT: 'Email de verificação enviado',
+    PASSWORD_RESET_REQUESTED: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha',
+    PASSWORD_RESET: 'Senha redefinida com sucesso',
+    USER_DELETED: 'Usuário excluído com sucesso',
+    TWO_FACTOR_ENABLED: 'Autenticação em dois fatores ativada',
+    TWO_FACTOR_DISABLED: 'Autenticação em dois fatores desativada',
+    OTHER_SESSIONS_REVOKED: 'Outras sessões encerradas',
+    SESSION_REVOKED: 'Sessão encerrada com sucesso',
+    TRANSACTION_TRASHED: 'Transação movida para a lixeira',
+    TRANSFER_TRASHED: 'Transferência movida para a lixeira',
+    CATEGORY_TRASHED: 'Categoria movida para a lixeira. Transações movidas para "{replacement}"',
+    ACCOUNT_DELETED: 'Conta excluída com sucesso',
+    RECURRENCE_DELETED: 'Recorrência excluída com sucesso',
+    RULE_DELETED: 'Regra excluída com sucesso',
+    EXCHANGE_RATE_DELETED: 'Cotação excluída com sucesso',
+    IMPORT_DISCARDED: 'Importação descartada',
+    BACKUP_RESTORED: 'Backup restaurado com sucesso',
+    TRASH_ITEM_PURGED: 'Item excluído permanentemente',
+    TRASH_EMPTIED: 'Lixeira esvaziada',
+
+    // Emails
+    EMAIL_GREETING: 'Olá, {name}!',
+    VERIFICATION_EMAIL_SUBJECT: 'Confirme seu email',
+    VERIFICATION_EMAIL_TEXT: 'Confirme seu endereço de email acessando o link abaixo (válido por 24 horas):',
+    PASSWORD_RESET_EMAIL_SUBJECT: 'Redefinição de senha',
+    PASSWORD_RESET_EMAIL_TEXT: 'Recebemos um pedido para redefinir sua senha. Use o link abaixo (válido por 1 hora):',
+    PASSWORD_RESET_EMAIL_IGNORE: 'Se não foi você, ignore este email: sua senha continua a mesma.'
+};
@@ -0,0 +1,88 @@
+const { parse } = require('csv-parse/sync');
+const { parseAmount, parseDate } = require('../utils/importParsing.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+// Header names recognized when no column mapping is given
+const DEFAULT_COLUMNS = {
+    date: ['date', 'data'],
+    type: ['type', 'tipo'],
+    category: ['category', 'categoria'],
+    description: ['description', 'Descricao', 'Descrição'],
+    amount: ['amount', 'valor', 'value'],
+    currency: ['currency', 'moeda']
+};
+
+const FIELDS = Object.keys(DEFAULT_COLUMNS);
+
+// Turns a CSV file into import rows ({ row, date, description, value, type, category, currency, errors }).
+// `currency` is only set when the file has that column.
+//
+// Options:
+// - columns: header to use for each field, e.g. { date: 'Data Lançamento', amount: 'Valor' }
+// - dateFormat / decimalSeparator: see utils/importParsing.utils.js
+// - delimiter: column delimiter (',' by default, ';' is common in Brazilian exports)
+//
+// Without a type column the type is inferred from the amount sign.
+const parseCsv = (buffer, { columns = {}, dateFormat = 'iso', decimalSeparator = '.', delimiter = ',' } = {}) => {
+    const records = parse(buffer.toString('utf-8'), {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+        delimiter
+    });
+
+    const headersOf = (field) => (columns[field] ? [columns[field]] : DEFAULT_COLUMNS[field]);
+    const pick = (row, field) => {
+        const name = headersOf(field).find(header => row[header] !== undefined && row[header] !== '');
+        return name !== undefined ? row[name] : undefined;
+    };
+
+    return records.map((row, index) => {
+        const errors = [];
+        const rawAmount = pick(row, 'amount');
+        const dateStr = pick(row, 'date');
+        const rawType = (pick(row, 'type') || '').toString().toLowerCase();
+
+        if (dateStr === undefined) {
+            errors.push(fieldError('date', 'IMPORT_COLUMN_MISSING', { columns: headersOf('date').join(', ') }));
+        }
+        if (rawAmount === undefined) {
+            errors.push(fieldError('value', 'IMPORT_COLUMN_MISSING', { columns: headersOf('amount').join(', ') }));
+        }
+
+        const amount = parseAmount(rawAmount, decimalSeparator);
+        if (rawAmount !== undefined && Number.isNaN(amount)) {
+            errors.push(fieldError('value', 'INVALID_VALUE'));
+        }
+
+        const date = parseDate(dateStr, dateFormat);
+        if (dateStr !== undefined && !date) {
+            errors.push(fieldError('date', 'INVALID_DATE'));
+        }
+
+        if (rawType && rawType !== 'credito' && rawType !== 'debito') {
+            errors.push(fieldError('type', 'INVALID_TYPE'));
+        }
+
+        const type = rawType || (amount >= 0 ? 'credito' : 'debito');
+
+        const parsed = {
+            row: index + 1,
+            date,
+            description: (pick(row, 'description') || '').toString(),
+            value: type === 'credito' ? Math.abs(amount) : -Math.abs(amount),
+            type,
+            category: (pick(row, 'category') || '').toString(),
+            errors
+        };
+        const currency = pick(row, 'currency');
+        if (currency !== undefined) parsed.currency = currency.toString();
+        return parsed;
+    });
+};
+
+module.exports = {
+    FIELDS,
+    parseCsv
+};
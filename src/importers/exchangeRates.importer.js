@@ -0,0 +1,58 @@
+const { parse } = require('csv-parse/sync');
+const { parseAmount, parseDate } = require('../utils/importParsing.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+// Header names recognized for each column
+const COLUMNS = {
+    date: ['date', 'data'],
+    from: ['from', 'de'],
+    to: ['to', 'para'],
+    rate: ['rate', 'cotacao', 'cotação']
+};
+
+// Turns a CSV of exchange rates (one unit of `from` is worth `rate` units of
+// `to` from `date` onwards) into rows ({ row, date, from, to, rate, errors }).
+// dateFormat / decimalSeparator: see utils/importParsing.utils.js
+const parseRatesCsv = (buffer, { dateFormat = 'iso', decimalSeparator = '.', delimiter = ',' } = {}) => {
+    const records = parse(buffer.toString('utf-8'), {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+        delimiter
+    });
+
+    const pick = (row, field) => {
+        const name = COLUMNS[field].find(header => row[header] !== undefined && row[header] !== '');
+        return name !== undefined ? row[name] : undefined;
+    };
+
+    return records.map((row, index) => {
+        const errors = [];
+        const rawDate = pick(row, 'date');
+        const rawRate = pick(row, 'rate');
+
+        const date = parseDate(rawDate, dateFormat);
+        if (rawDate !== undefined && !date) {
+            errors.push(fieldError('date', 'INVALID_DATE'));
+        }
+
+        const rate = parseAmount(rawRate, decimalSeparator);
+        if (rawRate !== undefined && Number.isNaN(rate)) {
+            errors.push(fieldError('rate', 'INVALID_RATE'));
+        }
+
+        return {
+            row: index + 1,
+            date: date || undefined,
+            from: pick(row, 'from'),
+            to: pick(row, 'to'),
+            rate: Number.isNaN(rate) ? undefined : rate,
+            errors
+        };
+    });
+};
+
+module.exports = {
+    parseRatesCsv
+};
@@ -0,0 +1,82 @@
+const { parseAmount } = require('../utils/importParsing.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+// OFX 1.x is SGML (leaf elements have no closing tag), OFX 2.x is XML.
+// Reading leaf values up to the next "<" or line break handles both.
+const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+};
+
+const looksLikeOfx = (buffer, filename = '') => {
+    if (/\.(ofx|qfx)$/i.test(filename)) return true;
+    const head = buffer.slice(0, 512).toString('latin1');
+    return /OFXHEADER|<OFX>/i.test(head);
+};
+
+// Windows-1252 (CHARSET:1252) is what most Brazilian banks emit for OFX 1.x
+const decode = (buffer) => {
+    const head = buffer.slice(0, 512).toString('latin1');
+    return /CHARSET:\s*(1252|ISO-8859-1)|ENCODING:\s*USASCII/i.test(head)
+        ? buffer.toString('latin1')
+        : buffer.toString('utf-8');
+};
+
+// DTPOSTED is YYYYMMDD[HHMMSS[.XXX]][[gmt offset:tz name]]; only the day matters
+const parseOfxDate = (raw) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(raw);
+    if (!match) return null;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+// Turns an OFX/QFX statement into import rows, in the same shape as the CSV
+// importer. Each row carries `externalId` (account + FITID) so entries already
+// imported from an earlier statement are flagged as duplicates.
+// Statements have no categories: rows go to the uncategorized fallback unless mapped.
+const parseOfx = (buffer) => {
+    const text = decode(buffer);
+    const accountId = readTag(text, 'ACCTID');
+    const currency = readTag(text, 'CURDEF');
+    const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    return blocks.map((block, index) => {
+        const errors = [];
+        const rawAmount = readTag(block, 'TRNAMT');
+        const fitId = readTag(block, 'FITID');
+
+        // Some banks write the amount with a decimal comma
+        const amount = parseAmount(rawAmount, /,\d{1,2}$/.test(rawAmount) ? ',' : '.');
+        if (rawAmount === '' || Number.isNaN(amount)) {
+            errors.push(fieldError('value', 'INVALID_VALUE'));
+        }
+
+        const date = parseOfxDate(readTag(block, 'DTPOSTED'));
+        if (!date) {
+            errors.push(fieldError('date', 'INVALID_DATE'));
+        }
+
+        const name = readTag(block, 'NAME');
+        const memo = readTag(block, 'MEMO');
+        const description = [name, memo].filter((part, i, parts) => part && parts.indexOf(part) === i).join(' - ');
+
+        const row = {
+            row: index + 1,
+            date,
+            description,
+            value: amount,
+            type: amount >= 0 ? 'credito' : 'debito',
+            category: '',
+            errors
+        };
+        if (fitId) row.externalId = accountId ? `${accountId}:${fitId}` : fitId;
+        if (currency) row.currency = currency;
+        return row;
+    });
+};
+
+module.exports = {
+    looksLikeOfx,
+    parseOfx
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const createConsoleTransport = require('./transports/console.transport');
+const createFileTransport = require('./transports/file.transport');
+const createMemoryTransport = require('./transports/memory.transport');
+
+// MAIL_TRANSPORT selects how emails are delivered:
+// - console: printed to the terminal (default)
+// - file: one JSON file per message in MAIL_DIR (default ./data/mail)
+// - memory: kept in the transport's `sent` list (default when NODE_ENV=test)
+// A transport is any object with an async send({ to, subject, text }).
+const createTransport = () => {
+    const driver = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'console');
+
+    if (driver === 'console') {
+        return createConsoleTransport();
+    }
+    if (driver === 'file') {
+        return createFileTransport(process.env.MAIL_DIR || path.join(process.cwd(), 'data', 'mail'));
+    }
+    if (driver === 'memory') {
+        return createMemoryTransport();
+    }
+    throw new Error(`MAIL_TRANSPORT inválido: ${driver}`);
+};
+
+const transport = createTransport();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Fin App <no-reply@finapp.local>';
+
+// Delivery failures are logged and reported as false, so a broken transport
+// never fails the request that triggered the email
+const sendMail = async ({ to, subject, text }) => {
+    try {
+        await transport.send({ from: MAIL_FROM, to, subject, text });
+        return true;
+    } catch (error) {
+        console.error('Email delivery failed:', error);
+        return false;
+    }
+};
+
+module.exports = {
+    transport,
+    sendMail
+};
@@ -0,0 +1,36 @@
+const { translate } = require('../i18n');
+
+// Emails are written in the recipient's language (see i18n/messages).
+// Links in emails point to the frontend, which calls the API with the token
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
+
+const link = (pathname, token) => `${FRONTEND_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const verificationEmail = (user, token) => ({
+    to: user.email,
+    subject: translate(user.locale, 'VERIFICATION_EMAIL_SUBJECT'),
+    text: [
+        translate(user.locale, 'EMAIL_GREETING', { name: user.name }),
+        '',
+        translate(user.locale, 'VERIFICATION_EMAIL_TEXT'),
+        link('/verify-email', token)
+    ].join('\n')
+});
+
+const passwordResetEmail = (user, token) => ({
+    to: user.email,
+    subject: translate(user.locale, 'PASSWORD_RESET_EMAIL_SUBJECT'),
+    text: [
+        translate(user.locale, 'EMAIL_GREETING', { name: user.name }),
+        '',
+        translate(user.locale, 'PASSWORD_RESET_EMAIL_TEXT'),
+        link('/reset-password', token),
+        '',
+        translate(user.locale, 'PASSWORD_RESET_EMAIL_IGNORE')
+    ].join('\n')
+});
+
+module.exports = {
+    verificationEmail,
+    passwordResetEmail
+};
@@ -0,0 +1,16 @@
+// Prints every message to the terminal, links included, so the flows can be
+// followed locally without a mail server. Default outside tests.
+const createConsoleTransport = () => ({
+    async send(message) {
+        console.log([
+            '----- email -----',
+            `Para: ${message.to}`,
+            `Assunto: ${message.subject}`,
+            '',
+            message.text,
+            '-----------------'
+        ].join('\n'));
+    }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,17 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes each message as a JSON file in `dir` (one file per message, named
+// after the time it was sent), for inspecting what would have been sent
+const createFileTransport = (dir) => ({
+    async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${process.hrtime.bigint()}.json`;
+        await fs.promises.writeFile(
+            path.join(dir, fileName),
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+    }
+});
+
+module.exports = createFileTransport;
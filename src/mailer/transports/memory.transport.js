@@ -0,0 +1,13 @@
+// Keeps sent messages in `sent`. Used by tests and whenever MAIL_TRANSPORT=memory.
+const createMemoryTransport = () => {
+    const sent = [];
+
+    return {
+        sent,
+        async send(message) {
+            sent.push({ ...message, sentAt: new Date() });
+        }
+    };
+};
+
+module.exports = createMemoryTransport;
@@ -1,6 +1,8 @@
 const { verifyAccessToken } = require('../utils/jwt.utils');
-const { findUserById } = require('../data/userData');
+const usersRepository = require('../data/repositories/users.repository');
+const sessionsRepository = require('../data/repositories/sessions.repository');
 const createError = require('./createError');
+const { withoutSecrets } = require('../utils/users.utils');
 
 const authenticateToken = async (req, res, next) => {
     try {
@@ -9,30 +11,54 @@ const authenticateToken = async (req, res, next) => {
         
         if (!token) {
             return res.status(401).json(
-                createError(401, 'Token de acesso não fornecido')
+                createError(401, 'ACCESS_TOKEN_MISSING')
             );
         }
         
         const decoded = verifyAccessToken(token);
-        const user = findUserById(decoded.userId);
+        const user = usersRepository.findById(decoded.userId);
         
         if (!user) {
             return res.status(404).json(
-                createError(404, 'Usuário não encontrado')
+                createError(404, 'USER_NOT_FOUND')
             );
         }
         
-        const { password, ...userWithoutPassword } = user;
-        req.user = userWithoutPassword;
+        if (user.disabled) {
+            return res.status(403).json(
+                createError(403, 'USER_DISABLED')
+            );
+        }
+        
+        // Access tokens stop working with their session (logout or revocation)
+        if (decoded.sessionId && !sessionsRepository.findById(user.id, decoded.sessionId)) {
+            return res.status(401).json(
+                createError(401, 'SESSION_ENDED')
+            );
+        }
+        
+        req.user = withoutSecrets(user);
+        req.sessionId = decoded.sessionId || null;
         
         next();
     } catch (error) {
         return res.status(403).json(
-            createError(403, error.message || 'Token inválido')
+            createError(403, error.code || 'TOKEN_INVALID')
         );
     }
 }
 
+// Goes after authenticateToken: only lets through users holding one of `roles`
+const authorizeRoles = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json(
+            createError(403, 'INSUFFICIENT_PERMISSION')
+        );
+    }
+    next();
+};
+
 module.exports = {
-    authenticateToken
+    authenticateToken,
+    authorizeRoles
 }
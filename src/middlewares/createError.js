@@ -1,10 +1,20 @@
-const createError = (status, message, details = null) => ({
-    error: {
+const { DEFAULT_LOCALE } = require('../utils/locale.utils');
+const { translate } = require('../i18n');
+
+// `code` is a key of the message catalog (src/i18n/messages) and `params` fill
+// its placeholders. The message is in DEFAULT_LOCALE; localizeErrors
+// translates it to the locale of the request before it is sent.
+const createError = (status, code, details = null, params = {}) => {
+    const error = {
         status,
-        message,
+        code,
+        message: translate(DEFAULT_LOCALE, code, params),
         details,
         timestamp: new Date().toISOString()
-    }
-});
+    };
+    // Kept out of the response body
+    Object.defineProperty(error, 'params', { value: params, enumerable: false });
+    return { error };
+};
 
-module.exports = createError;
\ No newline at end of file
+module.exports = createError;
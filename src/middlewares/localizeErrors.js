@@ -0,0 +1,34 @@
+const { messageLocale, resolveLocale, translate, localizeDetails } = require('../i18n');
+
+// Translates every error response (built by createError), its coded details
+// included, and every success message (built by codedMessage) to the locale
+// of the request. Runs when the response is sent, so it sees the preference
+// of the user signed in by authenticateToken.
+const localizeErrors = (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (body && body.error && body.error.code) {
+            const locale = messageLocale(resolveLocale(req));
+            res.set('Content-Language', locale);
+            body = {
+                ...body,
+                error: {
+                    ...body.error,
+                    message: translate(locale, body.error.code, body.error.params),
+                    details: localizeDetails(locale, body.error.details)
+                }
+            };
+        } else if (body && typeof body.code === 'string' && typeof body.message === 'string') {
+            const locale = messageLocale(resolveLocale(req));
+            res.set('Content-Language', locale);
+            body = { ...body, message: translate(locale, body.code, body.params) };
+        }
+        return json(body);
+    };
+
+    res.vary('Accept-Language');
+    next();
+};
+
+module.exports = localizeErrors;
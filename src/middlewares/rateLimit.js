@@ -0,0 +1,63 @@
+const counters = require('../data/counters');
+const createError = require('./createError');
+
+const setRetryAfter = (res, resetAt) => {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+};
+
+// Allows `max` requests per client (`keyOf`, the IP by default) every
+// `windowMs`; beyond that answers 429 until the window ends. `name` keeps the
+// counters of different limiters apart. max = 0 disables the limiter.
+const rateLimit = ({ name, windowMs, max, keyOf = (req) => req.ip, code = 'TOO_MANY_REQUESTS' }) => {
+    return async (req, res, next) => {
+        if (!max) {
+            return next();
+        }
+
+        try {
+            const { count, resetAt } = await counters.hit(`${name}:${keyOf(req)}`, windowMs);
+
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+            res.set('RateLimit-Reset', String(Math.ceil((resetAt - Date.now()) / 1000)));
+
+            if (count > max) {
+                setRetryAfter(res, resetAt);
+                return res.status(429).json(createError(429, code));
+            }
+            next();
+        } catch (error) {
+            // A failing counter store must not take the API down with it
+            console.error('Rate limiter failed:', error);
+            next();
+        }
+    };
+};
+
+const envNumber = (name, fallback) => (
+    process.env[name] !== undefined && process.env[name] !== '' ? Number(process.env[name]) : fallback
+);
+
+const WINDOW_MS = envNumber('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000);
+
+// Whole API: RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_MS per IP
+const apiRateLimit = rateLimit({
+    name: 'api',
+    windowMs: WINDOW_MS,
+    max: envNumber('RATE_LIMIT_MAX', 1000)
+});
+
+// Login, registration and the email flows: AUTH_RATE_LIMIT_MAX per window per IP
+const authRateLimit = rateLimit({
+    name: 'auth',
+    windowMs: WINDOW_MS,
+    max: envNumber('AUTH_RATE_LIMIT_MAX', 20),
+    code: 'TOO_MANY_ATTEMPTS'
+});
+
+module.exports = {
+    rateLimit,
+    apiRateLimit,
+    authRateLimit,
+    setRetryAfter
+};
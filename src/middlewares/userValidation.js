@@ -1,5 +1,5 @@
 const createError = require('../middlewares/createError');
-const findUserById = require('../data/userData').findUserById;
+const usersRepository = require('../data/repositories/users.repository');
 
 const validateUserExists = (req, res, next) => {
     // For user routes like /users/:id, use params.id
@@ -15,13 +15,13 @@ const validateUserExists = (req, res, next) => {
     }
     
     if (!userId) {
-        return res.status(400).json(createError(400, 'userId é obrigatório'));
+        return res.status(400).json(createError(400, 'USER_ID_REQUIRED'));
     }
     
-    const user = findUserById(userId);
+    const user = usersRepository.findById(userId);
     
     if (!user) {
-        return res.status(404).json(createError(404, 'Usuário não encontrado'));
+        return res.status(404).json(createError(404, 'USER_NOT_FOUND'));
     }
     
     req.user = user; // Attach user to request
@@ -0,0 +1,26 @@
+const createError = require('../middlewares/createError');
+
+const validateBudget = (req, res, next) => {
+    const { limit, rollover, warningThreshold } = req.body;
+
+    if (limit === undefined) {
+        return res.status(400).json(createError(400, 'BUDGET_LIMIT_REQUIRED'));
+    }
+
+    if (typeof limit !== 'number' || Number.isNaN(limit) || limit <= 0) {
+        return res.status(400).json(createError(400, 'INVALID_BUDGET_LIMIT'));
+    }
+
+    if (rollover !== undefined && typeof rollover !== 'boolean') {
+        return res.status(400).json(createError(400, 'INVALID_ROLLOVER'));
+    }
+
+    if (warningThreshold !== undefined &&
+        (typeof warningThreshold !== 'number' || warningThreshold <= 0 || warningThreshold > 100)) {
+        return res.status(400).json(createError(400, 'INVALID_WARNING_THRESHOLD'));
+    }
+
+    next();
+};
+
+module.exports = validateBudget;
@@ -4,15 +4,15 @@ const validateCategory = (req, res, next) => {
     const { name, type, color } = req.body;
     
     if (!name || !type || !color) {
-        return res.status(400).json(createError(400, 'nome, tipo e cor são obrigatórios'));
+        return res.status(400).json(createError(400, 'CATEGORY_FIELDS_REQUIRED'));
     }
     
     if (type !== 'credito' && type !== 'debito') {
-        return res.status(400).json(createError(400, 'tipo deve ser "credito" ou "debito"'));
+        return res.status(400).json(createError(400, 'INVALID_TYPE'));
     }
     
     if (!color.startsWith('#')) {
-        return res.status(400).json(createError(400, 'cor deve ser em formato hex (começa com #)'));
+        return res.status(400).json(createError(400, 'INVALID_COLOR'));
     }
     
     next();
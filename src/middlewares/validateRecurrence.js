@@ -0,0 +1,65 @@
+const createError = require('../middlewares/createError');
+const { FREQUENCIES } = require('../utils/recurrence.utils');
+const { isCurrencyCode } = require('../utils/currency.utils');
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const validateRecurrence = (req, res, next) => {
+    const { description, value, type, category, date, rule, currency } = req.body;
+
+    if (!description || value === undefined || !type || !category) {
+        return res.status(400).json(createError(400, 'RECURRENCE_FIELDS_REQUIRED'));
+    }
+
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        return res.status(400).json(createError(400, 'VALUE_NOT_NUMERIC'));
+    }
+
+    if (type !== 'credito' && type !== 'debito') {
+        return res.status(400).json(createError(400, 'INVALID_TYPE'));
+    }
+
+    // Same sign rule as transactions (schemas/financialRecord.schema.js): the
+    // entries materialized from a recurrence must be valid records
+    if (value === 0) {
+        return res.status(400).json(createError(400, 'VALUE_ZERO'));
+    }
+    if (type === 'credito' && value < 0) {
+        return res.status(400).json(createError(400, 'CREDIT_VALUE_NOT_POSITIVE'));
+    }
+    if (type === 'debito' && value > 0) {
+        return res.status(400).json(createError(400, 'DEBIT_VALUE_NOT_NEGATIVE'));
+    }
+
+    if (date !== undefined && isNaN(new Date(date).getTime())) {
+        return res.status(400).json(createError(400, 'INVALID_DATE'));
+    }
+
+    if (currency !== undefined && currency !== null && !isCurrencyCode(String(currency).toUpperCase())) {
+        return res.status(400).json(createError(400, 'INVALID_CURRENCY'));
+    }
+
+    if (!rule || !FREQUENCIES.includes(rule.frequency)) {
+        return res.status(400).json(createError(400, 'INVALID_FREQUENCY', null, { frequencies: FREQUENCIES.join(', ') }));
+    }
+
+    if (rule.interval !== undefined && !isPositiveInteger(rule.interval)) {
+        return res.status(400).json(createError(400, 'INVALID_INTERVAL'));
+    }
+
+    if (rule.dayOfMonth !== undefined && (!isPositiveInteger(rule.dayOfMonth) || rule.dayOfMonth > 31)) {
+        return res.status(400).json(createError(400, 'INVALID_DAY_OF_MONTH'));
+    }
+
+    if (rule.endDate !== undefined && rule.endDate !== null && isNaN(new Date(rule.endDate).getTime())) {
+        return res.status(400).json(createError(400, 'INVALID_END_DATE'));
+    }
+
+    if (rule.occurrences !== undefined && rule.occurrences !== null && !isPositiveInteger(rule.occurrences)) {
+        return res.status(400).json(createError(400, 'INVALID_OCCURRENCES'));
+    }
+
+    next();
+};
+
+module.exports = validateRecurrence;
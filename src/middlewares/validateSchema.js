@@ -0,0 +1,33 @@
+const createError = require('../middlewares/createError');
+const { validate } = require('../utils/validation.utils');
+
+// Declarative counterpart of validateCategory: checks req.body against a schema
+// (see utils/validation.utils.js), replaces the validated fields with their
+// coerced values and answers 400 with field-level errors in `details`.
+//
+// Options:
+// - partial: for updates, only the fields sent are checked
+// - loadBase(req): stored entity merged under the body for cross-field rules;
+//   when it returns nothing the route is left to answer 404
+// - loadContext(req): extra data for the rules (e.g. the user's categories)
+const validateSchema = (schema, { partial = false, loadBase = null, loadContext = null } = {}) => (req, res, next) => {
+    const base = loadBase ? loadBase(req) : null;
+    if (loadBase && !base) {
+        return next();
+    }
+
+    const { data, errors } = validate(schema, req.body, {
+        partial,
+        base,
+        context: loadContext ? loadContext(req) : {}
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json(createError(400, 'INVALID_DATA', errors));
+    }
+
+    req.body = { ...req.body, ...data };
+    next();
+};
+
+module.exports = validateSchema;
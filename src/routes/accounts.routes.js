@@ -0,0 +1,168 @@
+const router = require('express').Router();
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const recurrencesRepository = require('../data/repositories/recurrences.repository');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const validateSchema = require('../middlewares/validateSchema');
+const accountSchema = require('../schemas/account.schema');
+const transferSchema = require('../schemas/transfer.schema');
+const {
+    withAccountBalance,
+    listAccountsWithBalance,
+    createTransfer,
+    findTransferLegs
+} = require('../services/accounts.service');
+const { trashTransactions } = require('../services/trash.service');
+const { getBaseCurrency, currencyOf } = require('../services/exchangeRates.service');
+const { auditContext, recordAudit } = require('../services/audit.service');
+
+const validateAccount = validateSchema(accountSchema);
+
+const validateAccountUpdate = validateSchema(accountSchema, {
+    partial: true,
+    loadBase: (req) => accountsRepository.findById(req.user.id, req.params.id)
+});
+
+const validateTransfer = validateSchema(transferSchema, {
+    loadContext: (req) => ({ accounts: accountsRepository.listByUser(req.user.id) })
+});
+
+const withBalance = (userId, account) => withAccountBalance(account, transactionsRepository.listByUser(userId));
+
+router.get('/', authenticateToken, (req, res) => {
+    res.json(listAccountsWithBalance(req.user.id));
+});
+
+// Both legs of every transfer, grouped by transferId
+router.get('/transfers', authenticateToken, (req, res) => {
+    const legs = transactionsRepository.listByUser(req.user.id).filter(record => record.transferId);
+    const transfers = new Map();
+
+    legs.forEach(leg => {
+        const transfer = transfers.get(leg.transferId) || {
+            transferId: leg.transferId,
+            timestamp: leg.timestamp
+        };
+        // Each side in its account's currency
+        if (leg.value < 0) {
+            transfer.fromAccountId = leg.accountId;
+            transfer.amount = Math.abs(leg.value);
+            transfer.currency = currencyOf(leg);
+        } else {
+            transfer.toAccountId = leg.accountId;
+            transfer.toAmount = leg.value;
+            transfer.toCurrency = currencyOf(leg);
+        }
+        transfers.set(leg.transferId, transfer);
+    });
+
+    res.json([...transfers.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+});
+
+router.post('/transfers', authenticateToken, validateTransfer, (req, res) => {
+    const { fromAccountId, toAccountId, amount, toAmount, date, description } = req.body;
+
+    const transfer = createTransfer(req.user.id, {
+        fromAccount: accountsRepository.findById(req.user.id, fromAccountId),
+        toAccount: accountsRepository.findById(req.user.id, toAccountId),
+        amount,
+        toAmount,
+        date,
+        description,
+        locale: req.user.locale
+    });
+
+    if (transfer.errors) {
+        return res.status(400).json(createError(400, 'INVALID_DATA', transfer.errors));
+    }
+
+    recordAudit(req.user.id, auditContext(req), transfer.legs.map(leg => ({
+        entity: 'transaction', action: 'create', entityId: leg.id, after: leg
+    })));
+
+    res.status(201).json(transfer);
+});
+
+router.delete('/transfers/:transferId', authenticateToken, (req, res) => {
+    const legs = findTransferLegs(req.user.id, req.params.transferId);
+    if (legs.length === 0) {
+        return res.status(404).json(createError(404, 'TRANSFER_NOT_FOUND'));
+    }
+    const trashEntry = trashTransactions(req.user.id, legs);
+    recordAudit(req.user.id, auditContext(req), legs.map(leg => ({
+        entity: 'transaction', action: 'delete', entityId: leg.id, before: leg
+    })));
+    res.status(200).json({ ...codedMessage('TRANSFER_TRASHED'), trashId: trashEntry.id });
+});
+
+router.get('/:id', authenticateToken, (req, res) => {
+    const account = accountsRepository.findById(req.user.id, req.params.id);
+    if (!account) {
+        return res.status(404).json(createError(404, 'ACCOUNT_NOT_FOUND'));
+    }
+    res.status(200).json(withBalance(req.user.id, account));
+});
+
+router.post('/', authenticateToken, validateAccount, (req, res) => {
+    const { name, type, openingBalance, currency } = req.body;
+
+    const account = accountsRepository.create(req.user.id, {
+        id: uuidv4(),
+        name,
+        type,
+        openingBalance: openingBalance || 0,
+        // Accounts are in the user's base currency unless told otherwise
+        currency: currency || getBaseCurrency(req.user),
+        isDefault: false,
+        userId: req.user.id
+    });
+
+    res.status(201).json(withBalance(req.user.id, account));
+});
+
+router.put('/:id', authenticateToken, validateAccountUpdate, (req, res) => {
+    const { id } = req.params;
+    const { name, type, openingBalance, currency } = req.body;
+
+    if (!accountsRepository.findById(req.user.id, id)) {
+        return res.status(404).json(createError(404, 'ACCOUNT_NOT_FOUND'));
+    }
+
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (type !== undefined) changes.type = type;
+    if (openingBalance !== undefined) changes.openingBalance = openingBalance;
+    if (currency !== undefined) changes.currency = currency;
+
+    res.status(200).json(withBalance(req.user.id, accountsRepository.update(req.user.id, id, changes)));
+});
+
+// Only empty accounts can be deleted, so no transaction is ever left without one
+router.delete('/:id', authenticateToken, (req, res) => {
+    const { id } = req.params;
+    const account = accountsRepository.findById(req.user.id, id);
+
+    if (!account) {
+        return res.status(404).json(createError(404, 'ACCOUNT_NOT_FOUND'));
+    }
+
+    if (account.isDefault) {
+        return res.status(400).json(createError(400, 'DEFAULT_ACCOUNT_NOT_DELETABLE'));
+    }
+
+    const inUse = transactionsRepository.listByUser(req.user.id).some(record => record.accountId === id) ||
+        recurrencesRepository.listByUser(req.user.id).some(entry => entry.accountId === id);
+    if (inUse) {
+        return res.status(400).json(
+            createError(400, 'ACCOUNT_IN_USE')
+        );
+    }
+
+    accountsRepository.remove(req.user.id, id);
+    res.status(200).json(codedMessage('ACCOUNT_DELETED'));
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const router = require('express').Router();
+const { authenticateToken, authorizeRoles } = require('../middlewares/auth.middleware');
+const usersRepository = require('../data/repositories/users.repository');
+const createError = require('../middlewares/createError');
+const { toUserSummary, searchUsers, setRole, setDisabled, getSystemStats } = require('../services/admin.service');
+const { auditContext, profileSnapshot, recordAudit, queryAuditLog } = require('../services/audit.service');
+
+// Every route here is for administrators only
+router.use(authenticateToken, authorizeRoles('admin'));
+
+// Recorded in the target user's audit trail, with the administrator as actor
+const auditAdminChange = (req, change) => {
+    const user = usersRepository.findById(req.params.id);
+    const before = user ? profileSnapshot(user) : null;
+    const result = change();
+    recordAudit(user.id, auditContext(req), {
+        entity: 'profile', action: 'update', entityId: user.id, before, after: profileSnapshot(user)
+    });
+    return result;
+};
+
+const sendError = (res, error, fallback) => {
+    if (!error.status) console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json(
+        createError(error.status || 500, error.status ? error.code : fallback, null, error.params)
+    );
+};
+
+// Query: q, role, disabled, page, pageSize
+router.get('/users', (req, res) => {
+    const result = searchUsers(req.query);
+    if (result.errors) {
+        return res.status(400).json(createError(400, 'INVALID_QUERY', result.errors));
+    }
+    res.json(result);
+});
+
+router.get('/users/:id', (req, res) => {
+    const user = usersRepository.findById(req.params.id);
+    if (!user) {
+        return res.status(404).json(createError(404, 'USER_NOT_FOUND'));
+    }
+    res.json(toUserSummary(user));
+});
+
+// Same filters as GET /audit, for any user
+router.get('/users/:id/audit', (req, res) => {
+    if (!usersRepository.findById(req.params.id)) {
+        return res.status(404).json(createError(404, 'USER_NOT_FOUND'));
+    }
+    const result = queryAuditLog(req.params.id, req.query);
+    if (result.errors) {
+        return res.status(400).json(createError(400, 'INVALID_QUERY', result.errors));
+    }
+    res.json(result);
+});
+
+// Body: { role: 'user' | 'admin' }
+router.put('/users/:id/role', (req, res) => {
+    try {
+        res.json(auditAdminChange(req, () => setRole(req.user.id, req.params.id, req.body.role)));
+    } catch (error) {
+        sendError(res, error, 'ROLE_CHANGE_FAILED');
+    }
+});
+
+router.post('/users/:id/disable', (req, res) => {
+    try {
+        res.json(auditAdminChange(req, () => setDisabled(req.user.id, req.params.id, true)));
+    } catch (error) {
+        sendError(res, error, 'USER_DISABLE_FAILED');
+    }
+});
+
+router.post('/users/:id/enable', (req, res) => {
+    try {
+        res.json(auditAdminChange(req, () => setDisabled(req.user.id, req.params.id, false)));
+    } catch (error) {
+        sendError(res, error, 'USER_ENABLE_FAILED');
+    }
+});
+
+router.get('/stats', (req, res) => {
+    res.json(getSystemStats());
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const router = require('express').Router();
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const createError = require('../middlewares/createError');
+const { queryAuditLog } = require('../services/audit.service');
+
+// Changes to the user's transactions, categories and profile, newest first.
+// Query: entity, action, entityId, actorId, from, to, page, pageSize
+router.get('/', authenticateToken, (req, res) => {
+    const result = queryAuditLog(req.user.id, req.query);
+    if (result.errors) {
+        return res.status(400).json(createError(400, 'INVALID_QUERY', result.errors));
+    }
+    res.json(result);
+});
+
+module.exports = router;
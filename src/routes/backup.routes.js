@@ -0,0 +1,52 @@
+const router = require('express').Router();
+const multer = require('multer');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const { buildBackup, isFreshAccount, restoreBackup } = require('../services/backup.service');
+const { auditContext } = require('../services/audit.service');
+const { toDateKey } = require('../utils/recurrence.utils');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Full-account JSON backup: profile (without password), categories,
+// recurrences, rules and transactions
+router.get('/', authenticateToken, (req, res) => {
+    res.attachment(`backup-${toDateKey(new Date())}.json`);
+    res.status(200).json(buildBackup(req.user.id));
+});
+
+// Accepts the backup either as a JSON body or as multipart/form-data with a
+// `file` field (large backups go over the JSON body size limit)
+router.post('/restore', authenticateToken, upload.any(), (req, res) => {
+    try {
+        let backup = req.body;
+
+        const uploadedFile = req.files && req.files.find(f => f.fieldname === 'file');
+        if (uploadedFile) {
+            try {
+                backup = JSON.parse(uploadedFile.buffer.toString('utf-8'));
+            } catch (e) {
+                return res.status(400).json(createError(400, 'INVALID_BACKUP_FILE', e.message));
+            }
+        }
+
+        if (!isFreshAccount(req.user.id)) {
+            return res.status(409).json(
+                createError(409, 'BACKUP_TARGET_NOT_EMPTY')
+            );
+        }
+
+        const { errors, ...restored } = restoreBackup(req.user.id, backup, { context: auditContext(req) });
+        if (errors.length > 0) {
+            return res.status(400).json(createError(400, 'INVALID_BACKUP', errors));
+        }
+
+        return res.status(201).json({ ...codedMessage('BACKUP_RESTORED'), restored });
+    } catch (err) {
+        console.error('Backup restore failed:', err);
+        return res.status(500).json(createError(500, 'BACKUP_RESTORE_FAILED', err.message));
+    }
+});
+
+module.exports = router;
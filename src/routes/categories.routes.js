@@ -1,126 +1,227 @@
 const router = require('express').Router();
 const { authenticateToken } = require('../middlewares/auth.middleware');
-const { findUserById } = require('../data/userData');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const recurrencesRepository = require('../data/repositories/recurrences.repository');
+const rulesRepository = require('../data/repositories/rules.repository');
 const { v4: uuidv4 } = require('uuid');
 const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
 const validateCategory = require('../middlewares/validateCategory');
+const validateBudget = require('../middlewares/validateBudget');
+const { toMonthKey } = require('../services/budgets.service');
+const { auditContext, snapshot, recordAudit } = require('../services/audit.service');
+const { categoriesOf } = require('../utils/splits.utils');
+const { parentOf, findParentError, toTree } = require('../utils/categories.utils');
+const { trashCategory } = require('../services/trash.service');
+
+const auditCategoryUpdate = (req, category, changes) => {
+    const before = snapshot(category);
+    const updated = categoriesRepository.update(req.user.id, category.id, changes);
+    recordAudit(req.user.id, auditContext(req), {
+        entity: 'category', action: 'update', entityId: category.id, before, after: updated
+    });
+    return updated;
+};
+
+// Whether something relies on the type of the category: a budget (debits only),
+// transactions or splits, recurrent entries, or rules limited to one type
+const isTypeInUse = (userId, category) => !!category.budget ||
+    transactionsRepository.listByUser(userId).some(record => categoriesOf(record).includes(category.id)) ||
+    recurrencesRepository.listByUser(userId).some(entry => entry.category === category.id) ||
+    rulesRepository.listByUser(userId).some(rule => rule.category === category.id && rule.type);
 
+// ?view=tree nests subcategories under their parent (`children`)
 router.get('/', authenticateToken, (req, res) => {
-    res.json(req.user.categories || []);
+    const { view = 'flat' } = req.query;
+    if (view !== 'flat' && view !== 'tree') {
+        return res.status(400).json(createError(400, 'INVALID_VIEW'));
+    }
+
+    const categories = categoriesRepository.listByUser(req.user.id);
+    res.json(view === 'tree'
+        ? toTree(categories, { compare: (a, b) => a.name.localeCompare(b.name) })
+        : categories);
 });
 
+// `parentId` (optional) makes it a subcategory of a category of the same type
 router.post('/', authenticateToken, validateCategory, (req, res) => {
     const { name, type, color } = req.body;
-    
-    // Get the actual user object from userData to modify
-    const user = findUserById(req.user.id);
-    
-    // Ensure categories array exists
-    if (!user.categories) {
-        user.categories = [];
-    }
+    const parentId = req.body.parentId || null;
     
     // Check for duplicate category name
-    const existingCategory = user.categories.find(cat => cat.name === name);
+    const existingCategory = categoriesRepository.findByName(req.user.id, name);
     if (existingCategory) {
-        return res.status(400).json(createError(400, 'Nome da categoria já existe'));
+        return res.status(400).json(createError(400, 'CATEGORY_NAME_TAKEN'));
     }
 
-    const category = {
+    const parentError = parentId && findParentError(categoriesRepository.listByUser(req.user.id), { type }, parentId);
+    if (parentError) {
+        return res.status(400).json(createError(400, parentError));
+    }
+
+    const category = categoriesRepository.create(req.user.id, {
         id: uuidv4(),
         name,
         type,
         color,
         isDefault: false,
-        userId: user.id
-    };
+        parentId,
+        userId: req.user.id
+    });
+
+    recordAudit(req.user.id, auditContext(req), {
+        entity: 'category', action: 'create', entityId: category.id, after: category
+    });
 
-    user.categories.push(category);
     res.status(201).json(category);
 });
 
+// `parentId`: a new parent, or null to make it a top-level category.
+// Default categories can be renamed, recolored and moved, but keep their type;
+// so do categories in use (see isTypeInUse).
 router.put('/:id', authenticateToken, validateCategory, (req, res) => {
     const { id } = req.params;
-    const { name, type, color } = req.body;
+    const { name, type, color, parentId } = req.body;
 
-    // Get the actual user object from userData to modify
-    const user = findUserById(req.user.id);
-    const category = user.categories.find(category => category.id === id);
+    const category = categoriesRepository.findById(req.user.id, id);
 
-    const otherCategoryNames = user.categories
+    const otherCategoryNames = categoriesRepository.listByUser(req.user.id)
         .filter(cat => cat.id !== id)
         .map(cat => cat.name);
 
     if (otherCategoryNames.includes(name)) {
-        return res.status(400).json(createError(400, 'Nome da categoria já existe'));
+        return res.status(400).json(createError(400, 'CATEGORY_NAME_TAKEN'));
     }
 
     if (!category) {
-        return res.status(404).json(createError(404, 'Categoria não encontrada'));
+        return res.status(404).json(createError(404, 'CATEGORY_NOT_FOUND'));
     }
 
-    if (category.isDefault) {
-        return res.status(400).json(createError(400, 'Categoria padrão não pode ser editada'));
+    if (category.isDefault && type !== undefined && type !== category.type) {
+        return res.status(400).json(createError(400, 'DEFAULT_CATEGORY_TYPE_LOCKED'));
+    }
+
+    if (type !== undefined && type !== category.type && isTypeInUse(req.user.id, category)) {
+        return res.status(400).json(createError(400, 'CATEGORY_IN_USE_TYPE_LOCKED'));
     }
 
-    if (name !== undefined) category.name = name;
-    if (type !== undefined) category.type = type;
-    if (color !== undefined) category.color = color;
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (type !== undefined) changes.type = type;
+    if (color !== undefined) changes.color = color;
+    if (parentId !== undefined) changes.parentId = parentId || null;
+
+    // The parent (new or kept) must still fit, and subcategories follow the type
+    const categories = categoriesRepository.listByUser(req.user.id);
+    const newParentId = changes.parentId !== undefined ? changes.parentId : parentOf(category);
+    const parentError = newParentId && findParentError(categories, { id, type }, newParentId);
+    if (parentError) {
+        return res.status(400).json(createError(400, parentError));
+    }
+    if (categories.some(cat => parentOf(cat) === id && cat.type !== type)) {
+        return res.status(400).json(createError(400, 'CATEGORY_CHILDREN_TYPE_MISMATCH'));
+    }
 
-    return res.status(200).json(category);
+    return res.status(200).json(auditCategoryUpdate(req, category, changes));
 });
 
-router.delete('/:id', authenticateToken, (req, res) => {
+// Budgets can be attached to any debit category, including the default ones
+router.put('/:id/budget', authenticateToken, validateBudget, (req, res) => {
     const { id } = req.params;
+    const { limit, rollover, warningThreshold } = req.body;
 
-    // Get the actual user object from userData to modify
-    const user = findUserById(req.user.id);
-    const category = user.categories.find(category => category.id === id);
+    const category = categoriesRepository.findById(req.user.id, id);
 
     if (!category) {
-        return res.status(404).json(createError(404, 'Categoria não encontrada'));
+        return res.status(404).json(createError(404, 'CATEGORY_NOT_FOUND'));
     }
 
-    if (category.isDefault) {
-        return res.status(400).json(createError(400, 'Categoria padrão não pode ser excluída'));
+    if (category.type !== 'debito') {
+        return res.status(400).json(createError(400, 'BUDGET_DEBIT_ONLY'));
     }
 
-    // Find the default category BEFORE using it
-    const defaultCategory = user.categories.find(cat =>
-        cat.name === 'Sem Categoria' && cat.isDefault
-    );
-    
-    if (!defaultCategory) {
-        return res.status(500).json(createError(500, 'Categoria padrão "Sem Categoria" não encontrada'));
+    const budget = {
+        limit,
+        rollover: rollover === true,
+        warningThreshold: warningThreshold ?? null,
+        // Rollover starts counting from the month the budget was first set
+        since: category.budget ? category.budget.since : toMonthKey(new Date())
+    };
+
+    return res.status(200).json(auditCategoryUpdate(req, category, { budget }));
+});
+
+router.delete('/:id/budget', authenticateToken, (req, res) => {
+    const { id } = req.params;
+
+    const category = categoriesRepository.findById(req.user.id, id);
+
+    if (!category) {
+        return res.status(404).json(createError(404, 'CATEGORY_NOT_FOUND'));
     }
 
-    // Update all transactions using this category
-    user.transactions.forEach(transaction => {
-        if (transaction.category === category.name || transaction.category === id) {
-            transaction.category = defaultCategory.name;
-        }
-    });
+    if (!category.budget) {
+        return res.status(404).json(createError(404, 'BUDGET_NOT_FOUND'));
+    }
 
-    // Update recurrent credits
-    user.recurrentCredits.forEach(entry => {
-        if (entry.category === category.name || entry.category === id) {
-            entry.category = defaultCategory.name;
-        }
-    });
+    return res.status(200).json(auditCategoryUpdate(req, category, { budget: null }));
+});
 
-    // Update recurrent debits
-    user.recurrentDebits.forEach(entry => {
-        if (entry.category === category.name || entry.category === id) {
-            entry.category = defaultCategory.name;
-        }
-    });
+// Subcategories move up to the parent of the deleted category. Its
+// transactions, recurrent entries and rules go to the uncategorized fallback,
+// or to the parent category with ?moveTo=parent.
+router.delete('/:id', authenticateToken, (req, res) => {
+    const { id } = req.params;
+    const { moveTo = 'uncategorized' } = req.query;
+
+    if (moveTo !== 'uncategorized' && moveTo !== 'parent') {
+        return res.status(400).json(createError(400, 'INVALID_MOVE_TO'));
+    }
+
+    const category = categoriesRepository.findById(req.user.id, id);
+
+    if (!category) {
+        return res.status(404).json(createError(404, 'CATEGORY_NOT_FOUND'));
+    }
+
+    if (category.isDefault) {
+        return res.status(400).json(createError(400, 'DEFAULT_CATEGORY_NOT_DELETABLE'));
+    }
+
+    const replacement = moveTo === 'parent'
+        ? parentOf(category) && categoriesRepository.findById(req.user.id, parentOf(category))
+        : categoriesRepository.findUncategorized(req.user.id);
+
+    if (!replacement) {
+        return moveTo === 'parent'
+            ? res.status(400).json(createError(400, 'CATEGORY_HAS_NO_PARENT'))
+            : res.status(500).json(createError(500, 'UNCATEGORIZED_NOT_FOUND'));
+    }
 
-    // Remove the category
-    user.categories = user.categories.filter(cat => cat.id !== id);
+    // The moved transactions and subcategories are audited as updates along with the deletion
+    const affected = transactionsRepository.listByUser(req.user.id)
+        .filter(record => categoriesOf(record).includes(id))
+        .map(record => ({ entity: 'transaction', record, before: snapshot(record) }));
+    const children = categoriesRepository.listByUser(req.user.id)
+        .filter(cat => parentOf(cat) === id)
+        .map(cat => ({ entity: 'category', record: cat, before: snapshot(cat) }));
+
+    // Moves the category to the trash until it is restored
+    const before = snapshot(category);
+    const trashEntry = trashCategory(req.user.id, category, replacement.id);
+
+    recordAudit(req.user.id, auditContext(req), [
+        ...[...affected, ...children].map(({ entity, record, before: previous }) => ({
+            entity, action: 'update', entityId: record.id, before: previous, after: record
+        })),
+        { entity: 'category', action: 'delete', entityId: id, before }
+    ]);
 
     return res.status(200).json({
-        message: 'Categoria excluída com sucesso. Transações movidas para "Sem Categoria"'
+        ...codedMessage('CATEGORY_TRASHED', { replacement: replacement.name }),
+        trashId: trashEntry.id
     });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
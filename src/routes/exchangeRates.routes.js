@@ -0,0 +1,87 @@
+const router = require('express').Router();
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const exchangeRatesRepository = require('../data/repositories/exchangeRates.repository');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const validateSchema = require('../middlewares/validateSchema');
+const exchangeRateSchema = require('../schemas/exchangeRate.schema');
+const { validate } = require('../utils/validation.utils');
+const { DATE_FORMATS, DECIMAL_SEPARATORS } = require('../utils/importParsing.utils');
+const { parseRatesCsv } = require('../importers/exchangeRates.importer');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+const validateRate = validateSchema(exchangeRateSchema);
+
+const toRate = (userId, { from, to, rate, date }) => ({ id: uuidv4(), from, to, rate, date, userId });
+
+// ?currency=USD lists only the rates involving that currency
+router.get('/', authenticateToken, (req, res) => {
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+    res.json(exchangeRatesRepository.listByUser(req.user.id)
+        .filter(rate => !currency || rate.from === currency || rate.to === currency));
+});
+
+// Entering a rate for a pair and day that already has one replaces its value
+router.post('/', authenticateToken, validateRate, (req, res) => {
+    const { created, updated } = exchangeRatesRepository.upsertMany(req.user.id, [toRate(req.user.id, req.body)]);
+    res.status(created.length > 0 ? 201 : 200).json(created[0] || updated[0]);
+});
+
+// Multipart/form-data with fields:
+// - file: CSV with headers [date, from, to, rate]
+// - dateFormat: iso | dd/mm/yyyy | mm/dd/yyyy | yyyy-mm-dd
+// - decimalSeparator: "." or ","
+// - delimiter: column delimiter
+// Nothing is stored unless every row is valid.
+router.post('/import', authenticateToken, upload.any(), (req, res) => {
+    const uploadedFile = req.files && req.files.find(f => f.fieldname === 'file');
+    if (!uploadedFile || !uploadedFile.buffer) {
+        return res.status(400).json(createError(400, 'FILE_REQUIRED'));
+    }
+
+    const { dateFormat = 'iso', decimalSeparator = '.', delimiter = ',' } = req.body || {};
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        return res.status(400).json(createError(400, 'INVALID_DATE_FORMAT', null, { formats: DATE_FORMATS.join(', ') }));
+    }
+    if (!DECIMAL_SEPARATORS.includes(decimalSeparator)) {
+        return res.status(400).json(createError(400, 'INVALID_DECIMAL_SEPARATOR'));
+    }
+
+    let rows;
+    try {
+        rows = parseRatesCsv(uploadedFile.buffer, { dateFormat, decimalSeparator, delimiter });
+    } catch (e) {
+        return res.status(400).json(createError(400, 'INVALID_CSV_FILE', e.message));
+    }
+
+    const errors = [];
+    const rates = rows.map(row => {
+        const { data, errors: rowErrors } = row.errors.length > 0
+            ? { data: {}, errors: row.errors }
+            : validate(exchangeRateSchema, row);
+        rowErrors.forEach(error => errors.push({ row: row.row, ...error }));
+        return toRate(req.user.id, data);
+    });
+
+    if (rows.length === 0) {
+        return res.status(400).json(createError(400, 'RATES_FILE_EMPTY'));
+    }
+    if (errors.length > 0) {
+        return res.status(400).json(createError(400, 'INVALID_EXCHANGE_RATES', errors));
+    }
+
+    const { created, updated } = exchangeRatesRepository.upsertMany(req.user.id, rates);
+    res.status(201).json({ createdCount: created.length, updatedCount: updated.length });
+});
+
+router.delete('/:id', authenticateToken, (req, res) => {
+    if (!exchangeRatesRepository.remove(req.user.id, req.params.id)) {
+        return res.status(404).json(createError(404, 'EXCHANGE_RATE_NOT_FOUND'));
+    }
+    res.status(200).json(codedMessage('EXCHANGE_RATE_DELETED'));
+});
+
+module.exports = router;
@@ -1,191 +1,242 @@
 const { v4: uuidv4 } = require('uuid');
 const router = require('express').Router();
-const { findUserById } = require('../data/userData');
-const multer = require('multer');
-const { parse } = require('csv-parse/sync');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
 const createError = require('../middlewares/createError');
 const { authenticateToken } = require('../middlewares/auth.middleware');
+const { parseRecordsQuery, filterRecords, sortRecords, paginate } = require('../utils/recordsQuery.utils');
+const { embedCategory } = require('../utils/categories.utils');
+const { hasSplits } = require('../utils/splits.utils');
+const validateSchema = require('../middlewares/validateSchema');
+const financialRecordSchema = require('../schemas/financialRecord.schema');
+const importsRouter = require('./imports.routes');
+const { EXPORT_FORMATS, toCsv, toJson, toOfx } = require('../services/exports.service');
+const { toDateKey } = require('../utils/recurrence.utils');
+const { categorizeForUser } = require('../services/rules.service');
+const { findTransferLegs } = require('../services/accounts.service');
+const { trashTransactions } = require('../services/trash.service');
+const { runBulkOperation } = require('../services/bulk.service');
+const { currencyOf } = require('../services/exchangeRates.service');
+const { auditContext, snapshot, recordAudit } = require('../services/audit.service');
+const { resolveLocale, codedMessage } = require('../i18n');
+const { fieldError } = require('../utils/validation.utils');
+
+const loadContext = (req) => ({
+    categories: categoriesRepository.listByUser(req.user.id),
+    accounts: accountsRepository.listByUser(req.user.id)
+});
+
+// Without a category the user's categorization rules pick one (and may rewrite
+// the description); when none matches the record goes to the uncategorized fallback.
+// A split record takes the category of its largest part instead.
+const applyCategorizationRules = (req, res, next) => {
+    const { category, description, value, type, splits } = req.body;
+
+    if (category !== undefined && category !== null && category !== '') {
+        return next();
+    }
+
+    if (hasSplits(req.body)) {
+        const largest = splits
+            .filter(split => split && typeof split === 'object')
+            .sort((a, b) => Number(b.amount) - Number(a.amount))[0];
+        req.body.category = largest ? largest.category : undefined;
+        return next();
+    }
+
+    const changes = categorizeForUser(req.user.id, { description, value, type });
+    if (changes) {
+        req.body.category = changes.category;
+        if (changes.description) req.body.description = changes.description;
+    } else {
+        const uncategorized = categoriesRepository.findUncategorized(req.user.id);
+        req.body.category = uncategorized ? uncategorized.id : undefined;
+    }
+    next();
+};
+
+const validateRecord = validateSchema(financialRecordSchema, { loadContext });
+
+const validateRecordUpdate = validateSchema(financialRecordSchema, {
+    partial: true,
+    loadBase: (req) => transactionsRepository.findById(req.user.id, req.params.id),
+    loadContext
+});
+
+// Two-phase file import (upload -> preview -> confirm)
+router.use('/import', importsRouter);
 
-const upload = multer({ storage: multer.memoryStorage() });
+// One operation over many transactions, all or nothing (see
+// services/bulk.service.js for the body). When any item is invalid nothing
+// changes and `details` holds the result of every item.
+router.post('/bulk', authenticateToken, (req, res) => {
+    const result = runBulkOperation(req.user.id, req.body || {}, { context: auditContext(req) });
 
+    if (result.errors) {
+        return res.status(400).json(createError(400, 'INVALID_DATA', result.errors));
+    }
+    if (result.failed) {
+        return res.status(400).json(
+            createError(400, 'BULK_OPERATION_REJECTED', result.results)
+        );
+    }
+    res.status(200).json(result);
+});
+
+// Query parameters (all optional):
+// - from, to: date range (a bare yyyy-mm-dd "to" includes the whole day)
+// - type: credito | debito
+// - category: category id or name
+// - accountId: account id
+// - tag: records carrying this tag (case insensitive)
+// - minValue, maxValue: bounds on the absolute amount
+// - q: text searched in the description
+// - sort: timestamp | value | description | category, order: asc | desc
+// - page, pageSize: page-based pagination
 router.get('/', authenticateToken, (req, res) => {
-    res.json(req.user.transactions || []);
+    const { filters, sort, page, pageSize, errors } = parseRecordsQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json(createError(400, 'INVALID_QUERY', errors));
+    }
+
+    const categories = categoriesRepository.listByUser(req.user.id);
+    const records = filterRecords(transactionsRepository.listByUser(req.user.id), filters, categories);
+    const result = paginate(sortRecords(records, sort, categories), page, pageSize);
+
+    res.json({ ...result, data: result.data.map(embedCategory(categories)) });
 });
 
-router.post('/', authenticateToken, (req, res) => {
-    const { description, value, type, category } = req.body;
-    
-    // Get the actual user object from userData to modify
-    const user = findUserById(req.user.id);
-    
-    // Validate category exists for user
-    if (!user.categories) {
-        user.categories = [];
+// Accepts the same filters as GET / (without pagination) and ?format=csv|json|ofx.
+// The CSV uses the headers POST /import expects, so it can be imported back;
+// with ?formatted=true its dates and amounts follow the locale of the request.
+router.get('/export', authenticateToken, (req, res) => {
+    const format = req.query.format || 'csv';
+    const { filters, sort, errors } = parseRecordsQuery(req.query);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        errors.push(fieldError('format', 'INVALID_FORMAT', { formats: EXPORT_FORMATS.join(', ') }));
     }
-    
-    const categoryExists = user.categories.find(cat => 
-        cat.name === category || cat.id === category
+    if (errors.length > 0) {
+        return res.status(400).json(createError(400, 'INVALID_QUERY', errors));
+    }
+
+    const categories = categoriesRepository.listByUser(req.user.id);
+    const records = sortRecords(
+        filterRecords(transactionsRepository.listByUser(req.user.id), filters, categories),
+        sort,
+        categories
     );
-    
-    if (!categoryExists) {
-        return res.status(400).json(createError(400, 'Categoria não encontrada'));
+
+    res.attachment(`transacoes-${toDateKey(new Date())}.${format}`);
+
+    if (format === 'json') {
+        return res.status(200).json(toJson(records, categories));
+    }
+    if (format === 'ofx') {
+        return res.status(200).type('application/x-ofx').send(toOfx(records, { accountId: req.user.id }));
     }
+    const locale = req.query.formatted === 'true' ? resolveLocale(req) : null;
+    return res.status(200).type('text/csv; charset=utf-8').send(toCsv(records, categories, { locale }));
+});
+
+// The body is validated and coerced by validateRecord: `category` already holds
+// the category id. Without `accountId` the record goes to the default account,
+// and without `currency` it is in the currency of its account. `splits`
+// optionally divides the value across categories (see utils/splits.utils.js)
+// and `tags` holds free-form labels.
+router.post('/', authenticateToken, applyCategorizationRules, validateRecord, (req, res) => {
+    const { description, value, type, category, date, accountId, currency, splits, tags } = req.body;
+    const account = accountId
+        ? accountsRepository.findById(req.user.id, accountId)
+        : accountsRepository.findDefault(req.user.id);
     
-    const financialRecord = {
+    const financialRecord = transactionsRepository.create(req.user.id, {
         id: uuidv4(),
-        timestamp: new Date(),
+        timestamp: date || new Date(),
         description,
         value,
+        currency: currency || currencyOf(account),
         type,
         category,
-        userId: user.id
-    };
+        accountId: account.id,
+        ...(hasSplits(req.body) ? { splits } : {}),
+        tags: tags || [],
+        userId: req.user.id
+    });
+
+    recordAudit(req.user.id, auditContext(req), {
+        entity: 'transaction', action: 'create', entityId: financialRecord.id, after: financialRecord
+    });
     
-    user.transactions.push(financialRecord);
-    res.status(201).json(financialRecord);
+    res.status(201).json(embedCategory(categoriesRepository.listByUser(req.user.id))(financialRecord));
 });
 
 router.get('/:id', authenticateToken, (req, res) => {
     const { id } = req.params;
-    const financialRecord = req.user.transactions.find(record => record.id === id);
+    const financialRecord = transactionsRepository.findById(req.user.id, id);
     if (!financialRecord) {
-        return res.status(404).json(createError(404, 'Transação não encontrada'));
+        return res.status(404).json(createError(404, 'TRANSACTION_NOT_FOUND'));
     }
-    res.status(200).json(financialRecord);
+    res.status(200).json(embedCategory(categoriesRepository.listByUser(req.user.id))(financialRecord));
 });
 
-router.put('/:id', authenticateToken, (req, res) => {
+router.put('/:id', authenticateToken, validateRecordUpdate, (req, res) => {
     const { id } = req.params;
-    const { description, value, type, category, date } = req.body;
+    const { description, value, type, category, date, accountId, currency, splits, tags } = req.body;
     
-    // Get the actual user object from userData to modify
-    const user = findUserById(req.user.id);
-    const financialRecord = user.transactions.find(record => record.id === id);
+    const financialRecord = transactionsRepository.findById(req.user.id, id);
     
     if (!financialRecord) {
-        return res.status(404).json(createError(404, 'Transação não encontrada'));
+        return res.status(404).json(createError(404, 'TRANSACTION_NOT_FOUND'));
     }
-    
-    // Validate category if it's being updated
-    if (category !== undefined) {
-        if (!user.categories) {
-            user.categories = [];
-        }
-        
-        const categoryExists = user.categories.find(cat => 
-            cat.name === category || cat.id === category
+
+    if (financialRecord.transferId) {
+        return res.status(400).json(
+            createError(400, 'TRANSFER_NOT_EDITABLE')
         );
-        
-        if (!categoryExists) {
-            return res.status(400).json(createError(400, 'Categoria não encontrada'));
-        }
     }
     
-    if (description !== undefined) financialRecord.description = description;
-    if (value !== undefined) financialRecord.value = value;
-    if (type !== undefined) financialRecord.type = type;
-    if (category !== undefined) financialRecord.category = category;
-    if (date !== undefined) financialRecord.timestamp = new Date(date);
+    const changes = {};
+    if (description !== undefined) changes.description = description;
+    if (value !== undefined) changes.value = value;
+    if (type !== undefined) changes.type = type;
+    if (category !== undefined) changes.category = category;
+    if (date !== undefined) changes.timestamp = date;
+    if (accountId !== undefined) changes.accountId = accountId;
+    if (currency !== undefined) changes.currency = currency;
+    // An empty list turns the record back into a single-category one
+    if (splits !== undefined) changes.splits = splits.length > 0 ? splits : null;
+    if (tags !== undefined) changes.tags = tags;
     
-    return res.status(200).json(financialRecord);
+    const before = snapshot(financialRecord);
+    const updated = transactionsRepository.update(req.user.id, id, changes);
+    recordAudit(req.user.id, auditContext(req), {
+        entity: 'transaction', action: 'update', entityId: id, before, after: updated
+    });
+    return res.status(200).json(embedCategory(categoriesRepository.listByUser(req.user.id))(updated));
 });
 
 router.delete('/:id', authenticateToken, (req, res) => {
     const { id } = req.params;
-    
-    // Get the actual user object from userData to modify
-    const user = findUserById(req.user.id);
-    const recordToDelete = user.transactions.find(record => record.id === id);
-    
-    if (!recordToDelete) {
-        return res.status(404).json(createError(404, 'Transação não encontrada'));
-    }
-    
-    user.transactions = user.transactions.filter(record => record.id !== id);
-    
-    res.status(200).json({ message: 'Transação excluída com sucesso' });
-});
+    const financialRecord = transactionsRepository.findById(req.user.id, id);
 
-// Accepts multipart/form-data with fields:
-// - file: CSV file with headers [date, type, category, description, amount]
-router.post('/import', upload.any(), (req, res) => {
-    try {
-
-        const { userId } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json(createError(400, 'userId é obrigatório'));
-        }
-
-        const user = findUserById(userId);
-        if (!user) {
-            return res.status(404).json(createError(404, 'Usuário não encontrado'));
-        }
-
-        const uploadedFile = req.files && req.files.find(f => f.fieldname === 'file');
-        if (!uploadedFile || !uploadedFile.buffer) {
-            return res.status(400).json(createError(400, 'Arquivo CSV é obrigatório'));
-        }
-
-        const csvString = uploadedFile.buffer.toString('utf-8');
-
-        const records = parse(csvString, {
-            columns: true,
-            skip_empty_lines: true,
-            trim: true
-        });
-
-        const created = [];
-        const errors = [];
-
-        records.forEach((row, index) => {
-            try {
-                const description = row.description || row.Descricao || row.Descrição || '';
-                const rawAmount = row.amount ?? row.valor ?? row.value;
-                const type = (row.type || row.tipo || '').toString().toLowerCase();
-                const category = (row.category || row.categoria || '').toString();
-                const dateStr = row.date || row.data;
-
-                if (!rawAmount || !type || !category || !dateStr) {
-                    throw new Error('Faltam campos obrigatórios (amount, type, category, date)');
-                }
-
-                const amount = Number(rawAmount);
-                if (Number.isNaN(amount)) {
-                    throw new Error('Valor inválido');
-                }
-
-                const timestamp = new Date(dateStr);
-                if (isNaN(timestamp.getTime())) {
-                    throw new Error('Data inválida');
-                }
-
-                const value = (type === 'credito') ? Math.abs(amount) : -Math.abs(amount);
-                if (type !== 'credito' && type !== 'debito') {
-                    throw new Error("Tipo deve ser 'credito' ou 'debito'");
-                }
-
-                const record = {
-                    id: uuidv4(),
-                    timestamp,
-                    description,
-                    value,
-                    type,
-                    category,
-                    userId: user.id
-                };
-                user.transactions.push(record);
-                created.push(record);
-            } catch (e) {
-                errors.push({ row: index + 1, message: e.message });
-            }
-        });
-
-        return res.status(201).json({ createdCount: created.length, errorCount: errors.length, errors, records: created });
-    } catch (err) {
-        console.error('CSV import failed:', err);
-        return res.status(500).json(createError(500, 'Falha ao importar CSV', err.message));
+    if (!financialRecord) {
+        return res.status(404).json(createError(404, 'TRANSACTION_NOT_FOUND'));
     }
+
+    // Deleting one leg of a transfer deletes both; they go to the trash together
+    const removed = financialRecord.transferId
+        ? findTransferLegs(req.user.id, financialRecord.transferId)
+        : [financialRecord];
+    const trashEntry = trashTransactions(req.user.id, removed);
+
+    recordAudit(req.user.id, auditContext(req), removed.map(record => ({
+        entity: 'transaction', action: 'delete', entityId: record.id, before: record
+    })));
+    
+    res.status(200).json({ ...codedMessage('TRANSACTION_TRASHED'), trashId: trashEntry.id });
 });
 
 module.exports = router;
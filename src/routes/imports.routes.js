@@ -0,0 +1,204 @@
+const router = require('express').Router();
+const multer = require('multer');
+const createError = require('../middlewares/createError');
+const { codedMessage, localizeDetails, messageLocale, resolveLocale } = require('../i18n');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const { FIELDS, parseCsv } = require('../importers/csv.importer');
+const { looksLikeOfx, parseOfx } = require('../importers/ofx.importer');
+const { DATE_FORMATS, DECIMAL_SEPARATORS } = require('../utils/importParsing.utils');
+const { embedCategory } = require('../utils/categories.utils');
+const { fieldError } = require('../utils/validation.utils');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const { createImport, getImportPreview, discardImport, confirmImport } = require('../services/imports.service');
+const { auditContext, recordAudit } = require('../services/audit.service');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Row errors travel in successful responses, which localizeErrors leaves alone
+const localizeRows = (req, preview) => ({
+    ...preview,
+    rows: localizeDetails(messageLocale(resolveLocale(req)), preview.rows)
+});
+
+// Multipart fields arrive as strings; objects are sent as JSON
+const parseJsonField = (value, field, errors) => {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        errors.push(fieldError(field, 'INVALID_JSON'));
+        return undefined;
+    }
+};
+
+const FORMATS = ['csv', 'ofx'];
+
+// { "name in the file": "category id or name" }
+const isCategoryMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(target => typeof target === 'string');
+
+const categoryMappingErrors = (value) => (value === undefined || isCategoryMapping(value)
+    ? []
+    : [fieldError('categoryMapping', 'CATEGORY_MAPPING_NOT_OBJECT')]);
+
+const parseImportOptions = (body = {}) => {
+    const errors = [];
+
+    const columns = parseJsonField(body.columns, 'columns', errors) || {};
+    const categoryMapping = parseJsonField(body.categoryMapping, 'categoryMapping', errors);
+    errors.push(...categoryMappingErrors(categoryMapping));
+    const dateFormat = body.dateFormat || 'iso';
+    const decimalSeparator = body.decimalSeparator || '.';
+    const delimiter = body.delimiter || ',';
+
+    Object.keys(columns).forEach(field => {
+        if (!FIELDS.includes(field)) {
+            errors.push(fieldError('columns', 'UNKNOWN_COLUMN', { column: field }));
+        }
+    });
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        errors.push(fieldError('dateFormat', 'INVALID_DATE_FORMAT', { formats: DATE_FORMATS.join(', ') }));
+    }
+    if (!DECIMAL_SEPARATORS.includes(decimalSeparator)) {
+        errors.push(fieldError('decimalSeparator', 'INVALID_DECIMAL_SEPARATOR'));
+    }
+    if (body.format !== undefined && !FORMATS.includes(body.format)) {
+        errors.push(fieldError('format', 'INVALID_FORMAT', { formats: FORMATS.join(', ') }));
+    }
+
+    return {
+        errors,
+        format: body.format,
+        parseOptions: { columns, dateFormat, decimalSeparator, delimiter },
+        importOptions: {
+            accountId: body.accountId || null,
+            categoryMapping: categoryMapping || {},
+            createMissingCategories: String(body.createMissingCategories) === 'true'
+        }
+    };
+};
+
+// Phase 1 - upload and preview. Accepts multipart/form-data with fields:
+// - file: CSV file, by default with headers [date, type, category, description, amount]
+//   and optionally currency (the account's currency otherwise),
+//   or an OFX/QFX bank statement
+// - format: csv | ofx (detected from the file when omitted)
+// CSV only:
+// - columns (JSON): header for each field, e.g. {"date":"Data","amount":"Valor"}
+// - dateFormat: iso | dd/mm/yyyy | mm/dd/yyyy | yyyy-mm-dd
+// - decimalSeparator: "." or "," (e.g. 1.234,56)
+// - delimiter: column delimiter
+// Both:
+// - accountId: account receiving the transactions (default account otherwise)
+// - categoryMapping (JSON): {"name in the file": "category id or name"}
+// - createMissingCategories: "true" to create unknown categories on confirm
+// Nothing is stored until POST /records/import/:importId/confirm.
+router.post('/', authenticateToken, upload.any(), (req, res) => {
+    try {
+        const uploadedFile = req.files && req.files.find(f => f.fieldname === 'file');
+        if (!uploadedFile || !uploadedFile.buffer) {
+            return res.status(400).json(createError(400, 'FILE_REQUIRED'));
+        }
+
+        const { errors, format, parseOptions, importOptions } = parseImportOptions(req.body);
+        if (importOptions.accountId && !accountsRepository.findById(req.user.id, importOptions.accountId)) {
+            errors.push(fieldError('accountId', 'ACCOUNT_NOT_FOUND'));
+        }
+        if (errors.length > 0) {
+            return res.status(400).json(createError(400, 'INVALID_IMPORT_OPTIONS', errors));
+        }
+
+        const source = format || (looksLikeOfx(uploadedFile.buffer, uploadedFile.originalname) ? 'ofx' : 'csv');
+
+        let rows;
+        try {
+            rows = source === 'ofx'
+                ? parseOfx(uploadedFile.buffer)
+                : parseCsv(uploadedFile.buffer, parseOptions);
+        } catch (e) {
+            return res.status(400).json(createError(400, 'INVALID_FILE', e.message, { format: source.toUpperCase() }));
+        }
+
+        if (source === 'ofx' && rows.length === 0) {
+            return res.status(400).json(createError(400, 'OFX_NO_TRANSACTIONS'));
+        }
+
+        return res.status(200).json(localizeRows(req, createImport(req.user.id, source, rows, importOptions)));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json(createError(err.status, err.code));
+        }
+        console.error('Import failed:', err);
+        return res.status(500).json(createError(500, 'IMPORT_FILE_FAILED', err.message));
+    }
+});
+
+router.get('/:importId', authenticateToken, (req, res) => {
+    try {
+        const preview = getImportPreview(req.user.id, req.params.importId);
+        if (!preview) {
+            return res.status(404).json(createError(404, 'IMPORT_NOT_FOUND'));
+        }
+        res.status(200).json(localizeRows(req, preview));
+    } catch (err) {
+        if (!err.status) console.error('Import preview failed:', err);
+        res.status(err.status || 500).json(createError(err.status || 500, err.status ? err.code : 'IMPORT_FAILED'));
+    }
+});
+
+// Phase 2 - confirm. JSON body (all optional):
+// - categoryMapping, createMissingCategories: override the upload options
+// - includeDuplicates: also import rows flagged as duplicates
+// - skipRows: row numbers to leave out
+router.post('/:importId/confirm', authenticateToken, (req, res) => {
+    try {
+        const { categoryMapping, createMissingCategories, includeDuplicates, skipRows } = req.body || {};
+        const errors = categoryMappingErrors(categoryMapping);
+        if (errors.length > 0) {
+            return res.status(400).json(createError(400, 'INVALID_IMPORT_OPTIONS', errors));
+        }
+        const overrides = {};
+        if (categoryMapping !== undefined) overrides.categoryMapping = categoryMapping;
+        if (createMissingCategories !== undefined) overrides.createMissingCategories = createMissingCategories === true;
+        if (includeDuplicates !== undefined) overrides.includeDuplicates = includeDuplicates === true;
+        if (Array.isArray(skipRows)) overrides.skipRows = skipRows;
+
+        const result = confirmImport(req.user.id, req.params.importId, overrides);
+        if (!result) {
+            return res.status(404).json(createError(404, 'IMPORT_NOT_FOUND'));
+        }
+
+        recordAudit(req.user.id, auditContext(req), [
+            ...result.createdCategories.map(category => ({
+                entity: 'category', action: 'create', entityId: category.id, after: category
+            })),
+            ...result.records.map(record => ({
+                entity: 'transaction', action: 'create', entityId: record.id, after: record
+            }))
+        ]);
+
+        const categories = categoriesRepository.listByUser(req.user.id);
+        return res.status(201).json({
+            ...result,
+            errors: localizeDetails(messageLocale(resolveLocale(req)), result.errors),
+            records: result.records.map(embedCategory(categories))
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json(createError(err.status, err.code));
+        }
+        console.error('Import confirmation failed:', err);
+        return res.status(500).json(createError(500, 'IMPORT_FAILED', err.message));
+    }
+});
+
+router.delete('/:importId', authenticateToken, (req, res) => {
+    if (!discardImport(req.user.id, req.params.importId)) {
+        return res.status(404).json(createError(404, 'IMPORT_NOT_FOUND'));
+    }
+    res.status(200).json(codedMessage('IMPORT_DISCARDED'));
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const router = require('express').Router();
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const recurrencesRepository = require('../data/repositories/recurrences.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const { materialize, preview } = require('../services/recurrences.service');
+const { auditContext } = require('../services/audit.service');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const validateRecurrence = require('../middlewares/validateRecurrence');
+const { embedCategory, acceptsType } = require('../utils/categories.utils');
+
+const parseDateParam = (value) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Builds the stored entry from a validated request body
+const buildEntry = (body, startDate, categoryId) => {
+    const { description, value, type, date, rule, accountId, currency } = body;
+    return {
+        timestamp: date !== undefined ? new Date(date) : startDate,
+        description,
+        // Credits are stored as positive values and debits as negative ones
+        value: type === 'credito' ? Math.abs(value) : -Math.abs(value),
+        type,
+        category: categoryId,
+        // Without an account the generated transactions go to the default account
+        accountId: accountId || null,
+        // Without a currency they are in the currency of that account
+        currency: currency ? currency.toUpperCase() : null,
+        rule: {
+            frequency: rule.frequency,
+            interval: rule.interval || 1,
+            dayOfMonth: rule.dayOfMonth || null,
+            endDate: rule.endDate ? new Date(rule.endDate) : null,
+            occurrences: rule.occurrences || null
+        }
+    };
+};
+
+router.get('/', authenticateToken, (req, res) => {
+    res.json(recurrencesRepository.listByUser(req.user.id)
+        .map(embedCategory(categoriesRepository.listByUser(req.user.id))));
+});
+
+// Dry run: upcoming occurrences of every recurrence, nothing is stored
+router.get('/preview', authenticateToken, (req, res) => {
+    const from = parseDateParam(req.query.from);
+    const until = parseDateParam(req.query.until);
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+
+    if (from === null || until === null) {
+        return res.status(400).json(createError(400, 'INVALID_DATE'));
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json(createError(400, 'INVALID_LIMIT'));
+    }
+
+    res.json(preview(req.user.id, { from, until, limit })
+        .map(embedCategory(categoriesRepository.listByUser(req.user.id))));
+});
+
+// Catch up: creates every transaction that became due since the last run.
+// ?dryRun=true returns the transactions that would be created instead.
+router.post('/run', authenticateToken, (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    const created = materialize(req.user.id, { dryRun, context: auditContext(req) });
+
+    res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        createdCount: created.length,
+        records: created
+    });
+});
+
+router.get('/:id', authenticateToken, (req, res) => {
+    const entry = recurrencesRepository.findById(req.user.id, req.params.id);
+    if (!entry) {
+        return res.status(404).json(createError(404, 'RECURRENCE_NOT_FOUND'));
+    }
+    res.status(200).json(embedCategory(categoriesRepository.listByUser(req.user.id))(entry));
+});
+
+router.post('/', authenticateToken, validateRecurrence, (req, res) => {
+    const category = categoriesRepository.findByRef(req.user.id, req.body.category);
+    if (!category) {
+        return res.status(400).json(createError(400, 'CATEGORY_NOT_FOUND'));
+    }
+    if (!acceptsType(category, req.body.type)) {
+        return res.status(400).json(createError(400, 'CATEGORY_TYPE_MISMATCH', null, { name: category.name }));
+    }
+
+    if (req.body.accountId && !accountsRepository.findById(req.user.id, req.body.accountId)) {
+        return res.status(400).json(createError(400, 'ACCOUNT_NOT_FOUND'));
+    }
+
+    const entry = recurrencesRepository.create(req.user.id, {
+        id: uuidv4(),
+        ...buildEntry(req.body, new Date(), category.id),
+        lastRunAt: null,
+        userId: req.user.id
+    });
+
+    res.status(201).json(embedCategory(categoriesRepository.listByUser(req.user.id))(entry));
+});
+
+router.put('/:id', authenticateToken, validateRecurrence, (req, res) => {
+    const { id } = req.params;
+
+    const existing = recurrencesRepository.findById(req.user.id, id);
+    if (!existing) {
+        return res.status(404).json(createError(404, 'RECURRENCE_NOT_FOUND'));
+    }
+
+    const category = categoriesRepository.findByRef(req.user.id, req.body.category);
+    if (!category) {
+        return res.status(400).json(createError(400, 'CATEGORY_NOT_FOUND'));
+    }
+    if (!acceptsType(category, req.body.type)) {
+        return res.status(400).json(createError(400, 'CATEGORY_TYPE_MISMATCH', null, { name: category.name }));
+    }
+
+    if (req.body.accountId && !accountsRepository.findById(req.user.id, req.body.accountId)) {
+        return res.status(400).json(createError(400, 'ACCOUNT_NOT_FOUND'));
+    }
+
+    // Transactions already generated are kept; the new rule applies from now on
+    const entry = recurrencesRepository.update(req.user.id, id, buildEntry(req.body, existing.timestamp, category.id));
+    res.status(200).json(embedCategory(categoriesRepository.listByUser(req.user.id))(entry));
+});
+
+router.delete('/:id', authenticateToken, (req, res) => {
+    const deleted = recurrencesRepository.remove(req.user.id, req.params.id);
+    if (!deleted) {
+        return res.status(404).json(createError(404, 'RECURRENCE_NOT_FOUND'));
+    }
+    res.status(200).json(codedMessage('RECURRENCE_DELETED'));
+});
+
+module.exports = router;
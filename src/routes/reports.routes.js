@@ -0,0 +1,147 @@
+const router = require('express').Router();
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const createError = require('../middlewares/createError');
+const { parseRecordsQuery, filterRecords } = require('../utils/recordsQuery.utils');
+const {
+    GRANULARITIES,
+    getBalance,
+    getMonthlySummary,
+    getCategoryBreakdown,
+    getCashflow
+} = require('../services/reports.service');
+const { toMonthKey, getBudgetsStatus } = require('../services/budgets.service');
+const { getOpeningBalance } = require('../services/accounts.service');
+const { createConverter } = require('../services/exchangeRates.service');
+const { resolveLocale, formatCurrency, formatDate, formatMonth } = require('../i18n');
+
+// Amounts of the reports, all in the base currency
+const MONEY_FIELDS = [
+    'balance', 'openingBalance', 'income', 'expenses', 'transfers', 'net',
+    'total', 'ownTotal', 'limit', 'carriedOver', 'available', 'spent', 'remaining'
+];
+
+// Adds `formatted`, the amounts and months/periods of `entry` written for
+// `locale` (e.g. "R$ 1.234,56", "outubro de 2025"), to it and to its children
+const withFormatted = (entry, locale, currency) => {
+    if (Array.isArray(entry)) {
+        return entry.map(item => withFormatted(item, locale, currency));
+    }
+
+    const formatted = {};
+    MONEY_FIELDS
+        .filter(field => typeof entry[field] === 'number')
+        .forEach(field => { formatted[field] = formatCurrency(entry[field], currency, locale); });
+    if (entry.month) {
+        formatted.month = formatMonth(entry.month, locale);
+    }
+    if (entry.period) {
+        // Monthly periods are yyyy-mm, daily and weekly ones yyyy-mm-dd
+        formatted.period = entry.period.length === 7 ? formatMonth(entry.period, locale) : formatDate(entry.period, locale);
+    }
+
+    return {
+        ...entry,
+        ...(entry.children ? { children: withFormatted(entry.children, locale, currency) } : {}),
+        formatted
+    };
+};
+
+// Every report accepts the same filters as GET /records (from, to, type, category...)
+// and is in the user's base currency: `req.converter` turns the records into it
+const loadFilteredRecords = (req, res, next) => {
+    const { filters, errors } = parseRecordsQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json(createError(400, 'INVALID_QUERY', errors));
+    }
+
+    req.converter = createConverter(req.user.id);
+    req.categories = categoriesRepository.listByUser(req.user.id);
+    req.allRecords = transactionsRepository.listByUser(req.user.id);
+    req.records = req.converter.convertRecords(filterRecords(req.allRecords, filters, req.categories));
+    req.filters = filters;
+    next();
+};
+
+// A report is only sent when every amount could be converted; otherwise the
+// response lists the exchange rates to enter. With ?formatted=true every entry
+// also gets its amounts and dates formatted for the locale of the request.
+const sendReport = (req, res, report) => {
+    const missingRates = req.converter.missingRates();
+    if (missingRates.length > 0) {
+        return res.status(422).json(
+            createError(422, 'MISSING_EXCHANGE_RATES', missingRates, { currency: req.converter.currency })
+        );
+    }
+    if (req.query.formatted === 'true') {
+        return res.json(withFormatted(report, resolveLocale(req), req.converter.currency));
+    }
+    return res.json(report);
+};
+
+router.get('/balance', authenticateToken, loadFilteredRecords, (req, res) => {
+    const balance = getBalance(req.records, getOpeningBalance(req.user.id, req.converter, req.filters.accountId));
+    sendReport(req, res, { ...balance, currency: req.converter.currency });
+});
+
+router.get('/monthly', authenticateToken, loadFilteredRecords, (req, res) => {
+    sendReport(req, res, getMonthlySummary(req.records));
+});
+
+// Subcategory totals roll up into their parents; ?view=tree nests them
+router.get('/categories', authenticateToken, loadFilteredRecords, (req, res) => {
+    const type = req.filters.type || 'debito';
+    const { view = 'flat' } = req.query;
+
+    if (view !== 'flat' && view !== 'tree') {
+        return res.status(400).json(createError(400, 'INVALID_VIEW'));
+    }
+
+    sendReport(req, res, getCategoryBreakdown(req.records, req.categories, type, { tree: view === 'tree' }));
+});
+
+router.get('/cashflow', authenticateToken, loadFilteredRecords, (req, res) => {
+    const granularity = req.query.granularity || 'month';
+
+    if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json(
+            createError(400, 'INVALID_GRANULARITY', null, { granularities: GRANULARITIES.join(', ') })
+        );
+    }
+
+    // Everything before the range makes up the opening balance
+    const openingRecords = req.filters.from
+        ? req.converter.convertRecords(req.allRecords.filter(record =>
+            new Date(record.timestamp) < req.filters.from &&
+            (!req.filters.accountId || record.accountId === req.filters.accountId)))
+        : [];
+
+    sendReport(req, res, getCashflow(
+        req.records,
+        granularity,
+        openingRecords,
+        getOpeningBalance(req.user.id, req.converter, req.filters.accountId)
+    ));
+});
+
+// Spent, remaining and status (ok / warning / exceeded) of every budgeted
+// category for ?month=yyyy-mm (defaults to the current month)
+router.get('/budgets', authenticateToken, (req, res) => {
+    const month = req.query.month || toMonthKey(new Date());
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return res.status(400).json(createError(400, 'INVALID_MONTH'));
+    }
+
+    // Budget limits are in the base currency
+    req.converter = createConverter(req.user.id);
+    sendReport(req, res, getBudgetsStatus(
+        categoriesRepository.listByUser(req.user.id),
+        req.converter.convertRecords(transactionsRepository.listByUser(req.user.id)),
+        month
+    ));
+});
+
+module.exports = router;
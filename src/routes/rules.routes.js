@@ -0,0 +1,117 @@
+const router = require('express').Router();
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const rulesRepository = require('../data/repositories/rules.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const validateSchema = require('../middlewares/validateSchema');
+const ruleSchema = require('../schemas/rule.schema');
+const { testRule, reapplyRules, suggestCategories } = require('../services/rules.service');
+const { auditContext, recordAudit } = require('../services/audit.service');
+const { validate } = require('../utils/validation.utils');
+
+const RULE_FIELDS = Object.keys(ruleSchema.fields);
+
+const loadCategories = (req) => ({ categories: categoriesRepository.listByUser(req.user.id) });
+
+const validateRule = validateSchema(ruleSchema, { loadContext: loadCategories });
+
+const validateRuleUpdate = validateSchema(ruleSchema, {
+    partial: true,
+    loadBase: (req) => rulesRepository.findById(req.user.id, req.params.id),
+    loadContext: loadCategories
+});
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((rule, field) => {
+    if (body[field] !== undefined) rule[field] = body[field];
+    return rule;
+}, {});
+
+router.get('/', authenticateToken, (req, res) => {
+    res.json(rulesRepository.listByUser(req.user.id));
+});
+
+// Dry run of an unsaved rule against the existing transactions
+router.post('/test', authenticateToken, validateRule, (req, res) => {
+    const matches = testRule(req.user.id, pickRuleFields(req.body));
+    res.status(200).json({ matchCount: matches.length, matches });
+});
+
+// Re-applies the saved rules to past transactions. JSON body (optional):
+// - scope: uncategorized (default) | all
+// - dryRun: true to only list the changes
+router.post('/apply', authenticateToken, (req, res) => {
+    const { scope = 'uncategorized', dryRun = false } = req.body || {};
+
+    if (scope !== 'uncategorized' && scope !== 'all') {
+        return res.status(400).json(createError(400, 'INVALID_RULE_SCOPE'));
+    }
+
+    const changes = reapplyRules(req.user.id, { scope, dryRun: dryRun === true });
+    if (dryRun !== true) {
+        recordAudit(req.user.id, auditContext(req), changes.map(change => ({
+            entity: 'transaction',
+            action: 'update',
+            entityId: change.id,
+            before: { category: change.category.from, description: change.description.from },
+            after: { category: change.category.to, description: change.description.to }
+        })));
+    }
+    res.status(200).json({ dryRun: dryRun === true, changedCount: changes.length, changes });
+});
+
+// Categories used for similar descriptions in the past: ?description=...&type=debito
+router.get('/suggestions', authenticateToken, (req, res) => {
+    const { description, type } = req.query;
+
+    if (!description) {
+        return res.status(400).json(createError(400, 'DESCRIPTION_REQUIRED'));
+    }
+
+    res.json(suggestCategories(req.user.id, description, { type }));
+});
+
+router.post('/', authenticateToken, validateRule, (req, res) => {
+    const rules = rulesRepository.listByUser(req.user.id);
+    // New rules go last unless a priority is given
+    const lastPriority = rules.length > 0 ? rules[rules.length - 1].priority : 0;
+
+    const rule = rulesRepository.create(req.user.id, {
+        id: uuidv4(),
+        enabled: true,
+        ...pickRuleFields(req.body),
+        priority: req.body.priority !== undefined ? req.body.priority : lastPriority + 1,
+        userId: req.user.id
+    });
+
+    res.status(201).json(rule);
+});
+
+// A null clears a field. The rule as it would be stored is validated again,
+// so clearing every condition (a rule matching every record) is refused.
+router.put('/:id', authenticateToken, validateRuleUpdate, (req, res) => {
+    const { id } = req.params;
+    const rule = rulesRepository.findById(req.user.id, id);
+
+    if (!rule) {
+        return res.status(404).json(createError(404, 'RULE_NOT_FOUND'));
+    }
+
+    const changes = pickRuleFields(req.body);
+    const { errors } = validate(ruleSchema, { ...rule, ...changes }, { context: loadCategories(req) });
+    if (errors.length > 0) {
+        return res.status(400).json(createError(400, 'INVALID_DATA', errors));
+    }
+
+    res.status(200).json(rulesRepository.update(req.user.id, id, changes));
+});
+
+router.delete('/:id', authenticateToken, (req, res) => {
+    if (!rulesRepository.remove(req.user.id, req.params.id)) {
+        return res.status(404).json(createError(404, 'RULE_NOT_FOUND'));
+    }
+    res.status(200).json(codedMessage('RULE_DELETED'));
+});
+
+module.exports = router;
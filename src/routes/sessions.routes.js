@@ -0,0 +1,26 @@
+const router = require('express').Router();
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const sessionsRepository = require('../data/repositories/sessions.repository');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const { toSessionSummary } = require('../services/sessions.service');
+
+// Active sessions (one per login/device); `current` marks the one making the request
+router.get('/', authenticateToken, (req, res) => {
+    res.json(sessionsRepository.listByUser(req.user.id).map(toSessionSummary(req.sessionId)));
+});
+
+// Signs out every other device
+router.delete('/', authenticateToken, (req, res) => {
+    const revokedCount = sessionsRepository.removeAll(req.user.id, req.sessionId);
+    res.status(200).json({ ...codedMessage('OTHER_SESSIONS_REVOKED'), revokedCount });
+});
+
+router.delete('/:id', authenticateToken, (req, res) => {
+    if (!sessionsRepository.remove(req.user.id, req.params.id)) {
+        return res.status(404).json(createError(404, 'SESSION_NOT_FOUND'));
+    }
+    res.status(200).json(codedMessage('SESSION_REVOKED'));
+});
+
+module.exports = router;
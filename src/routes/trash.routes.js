@@ -0,0 +1,68 @@
+const router = require('express').Router();
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const trashRepository = require('../data/repositories/trash.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const { embedCategory } = require('../utils/categories.utils');
+const { isExpired, restoreFromTrash } = require('../services/trash.service');
+const { auditContext, recordAudit } = require('../services/audit.service');
+
+const TRASH_ENTITIES = ['transaction', 'category'];
+
+// Deleted transactions and categories, most recent first; ?entity filters
+// by kind. Expired entries are hidden until the purge job removes them.
+router.get('/', authenticateToken, (req, res) => {
+    const { entity } = req.query;
+    if (entity !== undefined && !TRASH_ENTITIES.includes(entity)) {
+        return res.status(400).json(
+            createError(400, 'INVALID_TRASH_ENTITY', null, { entities: TRASH_ENTITIES.join(', ') })
+        );
+    }
+
+    res.json(trashRepository.listByUser(req.user.id)
+        .filter(entry => !isExpired(entry) && (!entity || entry.entity === entity)));
+});
+
+// Puts the items back; a restored category also returns to the transactions,
+// recurrent entries and rules that were moved to the uncategorized fallback
+router.post('/:id/restore', authenticateToken, (req, res) => {
+    try {
+        const { entry, items, updatedTransactions } = restoreFromTrash(req.user.id, req.params.id);
+
+        recordAudit(req.user.id, auditContext(req), [
+            ...items.map(item => ({ entity: entry.entity, action: 'restore', entityId: item.id, after: item })),
+            ...updatedTransactions.map(({ before, after }) => ({
+                entity: 'transaction', action: 'update', entityId: after.id, before, after
+            }))
+        ]);
+
+        const categories = categoriesRepository.listByUser(req.user.id);
+        res.status(200).json({
+            entity: entry.entity,
+            items: entry.entity === 'transaction' ? items.map(embedCategory(categories)) : items,
+            updatedTransactionCount: updatedTransactions.length
+        });
+    } catch (error) {
+        if (!error.status) console.error('Trash restore error:', error);
+        res.status(error.status || 500).json(
+            createError(error.status || 500, error.status ? error.code : 'TRASH_RESTORE_FAILED', null, error.params)
+        );
+    }
+});
+
+// Deletes one entry for good
+router.delete('/:id', authenticateToken, (req, res) => {
+    if (!trashRepository.remove(req.user.id, req.params.id)) {
+        return res.status(404).json(createError(404, 'TRASH_ITEM_NOT_FOUND'));
+    }
+    res.status(200).json(codedMessage('TRASH_ITEM_PURGED'));
+});
+
+// Empties the trash
+router.delete('/', authenticateToken, (req, res) => {
+    const purgedCount = trashRepository.removeWhere(req.user.id, () => true).length;
+    res.status(200).json({ ...codedMessage('TRASH_EMPTIED'), purgedCount });
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const router = require('express').Router();
+const { authenticateToken } = require('../middlewares/auth.middleware');
+const usersRepository = require('../data/repositories/users.repository');
+const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
+const { auditContext, profileSnapshot, recordAudit } = require('../services/audit.service');
+const {
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+} = require('../services/twoFactor.service');
+
+// req.user has the secrets stripped; the service needs the stored user
+const storedUser = (req) => usersRepository.findById(req.user.id);
+
+const auditTwoFactorChange = (req, before) => recordAudit(req.user.id, auditContext(req), {
+    entity: 'profile', action: 'update', entityId: req.user.id, before, after: profileSnapshot(storedUser(req))
+});
+
+const sendError = (res, error, fallback) => {
+    if (!error.status) console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json(
+        createError(error.status || 500, error.status ? error.code : fallback, null, error.params)
+    );
+};
+
+router.get('/', authenticateToken, (req, res) => {
+    res.json(getStatus(storedUser(req)));
+});
+
+// Step 1: a new secret and the otpauth:// URI to show as a QR code
+router.post('/setup', authenticateToken, (req, res) => {
+    try {
+        res.status(200).json(startEnrollment(storedUser(req)));
+    } catch (error) {
+        sendError(res, error, 'TWO_FACTOR_SETUP_FAILED');
+    }
+});
+
+// Step 2: the first code from the app turns 2FA on; the recovery codes are
+// returned this once only
+router.post('/confirm', authenticateToken, async (req, res) => {
+    try {
+        const before = profileSnapshot(req.user);
+        const recoveryCodes = await confirmEnrollment(storedUser(req), req.body.code);
+        auditTwoFactorChange(req, before);
+        res.status(200).json({ ...codedMessage('TWO_FACTOR_ENABLED'), recoveryCodes });
+    } catch (error) {
+        sendError(res, error, 'TWO_FACTOR_ENABLE_FAILED');
+    }
+});
+
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const recoveryCodes = await regenerateRecoveryCodes(storedUser(req), { code, recoveryCode });
+        res.status(200).json({ recoveryCodes });
+    } catch (error) {
+        sendError(res, error, 'RECOVERY_CODES_FAILED');
+    }
+});
+
+router.delete('/', authenticateToken, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const before = profileSnapshot(req.user);
+        await disableTwoFactor(storedUser(req), { password, code, recoveryCode });
+        auditTwoFactorChange(req, before);
+        res.status(200).json(codedMessage('TWO_FACTOR_DISABLED'));
+    } catch (error) {
+        sendError(res, error, 'TWO_FACTOR_DISABLE_FAILED');
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,66 @@
 const router = require('express').Router();
 const { v4: uuidv4 } = require('uuid');
-const { getUserData, addUser, findUserByEmail, findUserById, createDefaultCategories } = require('../data/userData');
+const { createDefaultCategories, createDefaultAccount } = require('../data/userData');
+const usersRepository = require('../data/repositories/users.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const { getBalance } = require('../services/reports.service');
+const { getOpeningBalance } = require('../services/accounts.service');
+const { createConverter } = require('../services/exchangeRates.service');
+const { DEFAULT_CURRENCY, isCurrencyCode } = require('../utils/currency.utils');
+const { LOCALES, DEFAULT_LOCALE, normalizeLocale } = require('../utils/locale.utils');
 const createError = require('../middlewares/createError');
+const { codedMessage } = require('../i18n');
 const { hashPassword, comparePassword, validatePasswordStrength } = require('../utils/password.utils');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt.utils');
-const { authenticateToken } = require('../middlewares/auth.middleware');
+const { authenticateToken, authorizeRoles } = require('../middlewares/auth.middleware');
+const sessionsRepository = require('../data/repositories/sessions.repository');
+const { SESSION_TTL_MS, startSession, rotateSession } = require('../services/sessions.service');
+const sessionsRouter = require('./sessions.routes');
+const twoFactorRouter = require('./twoFactor.routes');
+const { issueLoginChallenge, resolveLoginChallenge, verifySecondFactor } = require('../services/twoFactor.service');
+const { issueActionToken, consumeActionToken } = require('../services/actionTokens.service');
+const { sendMail } = require('../mailer');
+const { verificationEmail, passwordResetEmail } = require('../mailer/templates');
+const { withoutSecrets, isBootstrapAdmin } = require('../utils/users.utils');
+const { authRateLimit, setRetryAfter } = require('../middlewares/rateLimit');
+const { getLoginBlock, recordLoginFailure, recordLoginSuccess } = require('../services/loginThrottle.service');
+const { auditContext, profileSnapshot, recordAudit } = require('../services/audit.service');
 
-router.get('/', authenticateToken, (req, res) => {
-    const user = req.user;
-    res.json(getUserData());
+const auditProfileChange = (req, before, user, actorId) => recordAudit(user.id, auditContext(req, actorId), {
+    entity: 'profile', action: 'update', entityId: user.id, before, after: profileSnapshot(user)
+});
+
+const sendVerificationEmail = (user) => sendMail(verificationEmail(user, issueActionToken(user, 'verifyEmail')));
+
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,  // Cannot be accessed by JavaScript
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+    sameSite: 'strict' // CSRF protection
+};
+
+const setRefreshCookie = (res, refreshToken) => res.cookie('refreshToken', refreshToken, {
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: SESSION_TTL_MS
+});
+
+const clientInfo = (req) => ({ userAgent: req.get('user-agent') || null, ip: req.ip || null });
+
+// The stored balance field is never updated, so it is computed from the
+// transactions, in the base currency. It is null while exchange rates are
+// missing, and `missingRates` lists them.
+const withBalance = (user) => {
+    const converter = createConverter(user.id);
+    const records = converter.convertRecords(transactionsRepository.listByUser(user.id));
+    const { balance } = getBalance(records, getOpeningBalance(user.id, converter));
+    const missingRates = converter.missingRates();
+
+    return missingRates.length > 0
+        ? { ...user, balance: null, missingRates }
+        : { ...user, balance };
+};
+
+// Every user in the system: administrators only (see also /admin/users)
+router.get('/', authenticateToken, authorizeRoles('admin'), (req, res) => {
+    res.json(usersRepository.list().map(withoutSecrets));
 });
 
 // router.post('/', (req, res) => {
@@ -29,14 +81,23 @@ router.get('/', authenticateToken, (req, res) => {
 //     res.status(201).json(user);
 // });
 
+// Registered before /:id so "me", "sessions" and "2fa" are not taken for a user id
+router.get('/me', authenticateToken, (req, res) => {
+    // User is already attached by authenticateToken middleware
+    res.status(200).json(withBalance(req.user));
+});
+
+router.use('/sessions', sessionsRouter);
+router.use('/2fa', twoFactorRouter);
+
 router.get('/:id', authenticateToken, (req, res) => {
     // Check if user is accessing their own data
     if (req.params.id !== req.user.id) {
         return res.status(403).json(
-            createError(403, 'Acesso negado: você só pode acessar seus próprios dados')
+            createError(403, 'ACCESS_DENIED_READ_OTHER_USER')
         );
     }
-    res.status(200).json(req.user);
+    res.status(200).json(withBalance(req.user));
 });
 
 router.put('/:id', authenticateToken, async (req, res) => {
@@ -44,28 +105,69 @@ router.put('/:id', authenticateToken, async (req, res) => {
         // Check if user is updating their own data
         if (req.params.id !== req.user.id) {
             return res.status(403).json(
-                createError(403, 'Acesso negado: você só pode atualizar seus próprios dados')
+                createError(403, 'ACCESS_DENIED_UPDATE_OTHER_USER')
             );
         }
         
-        // Get the actual user object from userData to modify
-        const user = findUserById(req.user.id);
-        const { name, email, password } = req.body;
+        const { name, email, password, baseCurrency, locale } = req.body;
+        const changes = {};
         
-        if (name !== undefined) user.name = name;
-        if (email !== undefined) user.email = email;
+        if (name !== undefined) changes.name = name;
+        if (email !== undefined && email !== req.user.email) {
+            if (usersRepository.findByEmail(email)) {
+                return res.status(400).json(createError(400, 'EMAIL_IN_USE'));
+            }
+            // The new address has to be verified again
+            changes.email = email;
+            changes.emailVerified = false;
+        }
+        if (baseCurrency !== undefined) {
+            // Currency reports and balances are converted into
+            changes.baseCurrency = String(baseCurrency).toUpperCase();
+            if (!isCurrencyCode(changes.baseCurrency)) {
+                return res.status(400).json(
+                    createError(400, 'INVALID_CURRENCY')
+                );
+            }
+        }
+        if (locale !== undefined) {
+            // Existing categories keep their names
+            changes.locale = normalizeLocale(locale);
+            if (!changes.locale) {
+                return res.status(400).json(
+                    createError(400, 'INVALID_LOCALE', null, { locales: LOCALES.join(', ') })
+                );
+            }
+        }
         if (password !== undefined) {
+            const passwordValidation = validatePasswordStrength(password);
+            if (!passwordValidation.valid) {
+                return res.status(400).json(
+                    createError(400, passwordValidation.code)
+                );
+            }
             // Hash the new password
-            user.password = await hashPassword(password);
+            changes.password = await hashPassword(password);
+            changes.passwordChangedAt = new Date();
+        }
+        
+        const user = usersRepository.update(req.user.id, changes);
+        auditProfileChange(req, profileSnapshot(req.user), user);
+
+        // A new password signs out every other device
+        if (changes.password) {
+            sessionsRepository.removeAll(req.user.id, req.sessionId);
+        }
+        if (changes.email) {
+            await sendVerificationEmail(user);
         }
         
         // Return user without password
-        const { password: _, ...userWithoutPassword } = user;
-        return res.status(200).json(userWithoutPassword);
+        return res.status(200).json(withoutSecrets(user));
     } catch (error) {
         console.error('Update user error:', error);
         return res.status(500).json(
-            createError(500, 'Erro ao atualizar usuário')
+            createError(500, 'USER_UPDATE_FAILED')
         );
     }
 });
@@ -74,96 +176,163 @@ router.delete('/:id', authenticateToken, (req, res) => {
     // Check if user is deleting their own account
     if (req.params.id !== req.user.id) {
         return res.status(403).json(
-            createError(403, 'Acesso negado: você só pode excluir sua própria conta')
+            createError(403, 'ACCESS_DENIED_DELETE_OTHER_USER')
         );
     }
     
-    const userData = getUserData();
-    const filteredUsers = userData.filter(user => user.id !== req.user.id);
+    const deleted = usersRepository.remove(req.user.id);
 
-    if (filteredUsers.length === userData.length) {
-        return res.status(404).json(createError(404, 'Usuário não encontrado'));
+    if (!deleted) {
+        return res.status(404).json(createError(404, 'USER_NOT_FOUND'));
     }
 
-    require('../data/userData').setUserData(filteredUsers);
-    res.status(200).json({ message: 'Usuário excluído com sucesso' });
+    res.status(200).json(codedMessage('USER_DELETED'));
 });
 
 // Authentication endpoints
-router.post('/login', async (req, res) => {
+router.post('/login', authRateLimit, async (req, res) => {
     try {
     const { email, password } = req.body;
 
     if (!email || !password) {
         return res.status(400).json(
-            createError(400, 'Email e senha são obrigatórios')
+            createError(400, 'CREDENTIALS_REQUIRED')
         );
     }
 
-    const user = findUserByEmail(email);
+    // Locked after too many failures, even if this password is right
+    const block = await getLoginBlock(req.ip, email);
+    if (block) {
+        setRetryAfter(res, block.resetAt);
+        return res.status(429).json(
+            createError(429, 'TOO_MANY_LOGIN_ATTEMPTS')
+        );
+    }
+
+    const user = usersRepository.findByEmail(email);
     if (!user) {
+        await recordLoginFailure(req.ip, email);
         return res.status(401).json(
-            createError(401, 'Credenciais inválidas')
+            createError(401, 'INVALID_CREDENTIALS')
         );
     }
 
     const passwordMatch = await comparePassword(password, user.password);
     if (!passwordMatch) {
+        await recordLoginFailure(req.ip, email);
         return res.status(401).json(
-            createError(401, 'Credenciais inválidas')
+            createError(401, 'INVALID_CREDENTIALS')
         );
     }
 
-    const accessToken = generateAccessToken({
-        userId: user.id,
-        email: user.email
-    });
+    if (user.disabled) {
+        return res.status(403).json(
+            createError(403, 'USER_DISABLED')
+        );
+    }
 
-    const refreshToken = generateRefreshToken({
-        userId: user.id
-    });
+    // With 2FA on, the password alone only earns a challenge to exchange at
+    // /login/2fa; failures are cleared once the second factor passes too
+    if (user.twoFactorEnabled) {
+        return res.status(200).json({
+            twoFactorRequired: true,
+            challengeToken: issueLoginChallenge(user)
+        });
+    }
+
+    await recordLoginSuccess(email);
+
+    const { accessToken, refreshToken } = startSession(user, clientInfo(req));
 
     // Set refresh token in HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,  // Cannot be accessed by JavaScript
-        secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-        sameSite: 'strict', // CSRF protection
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
-    });
+    setRefreshCookie(res, refreshToken);
 
-    const { password: _, ...userWithoutPassword } = user;
     res.status(200).json({
         accessToken,
-        user: userWithoutPassword
+        user: withoutSecrets(user)
     });
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json(
-            createError(500, 'Erro ao fazer login')
+            createError(500, 'LOGIN_FAILED')
         );
     }
 });
 
-router.post('/register', async (req, res) => {
+// Second step of a login with 2FA: the challenge from /login plus a code
+// from the authenticator app (`code`) or one of the recovery codes
+router.post('/login/2fa', authRateLimit, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json(
+                createError(400, 'VERIFICATION_CODE_REQUIRED')
+            );
+        }
+
+        const user = resolveLoginChallenge(challengeToken);
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const block = await getLoginBlock(req.ip, user.email);
+        if (block) {
+            setRetryAfter(res, block.resetAt);
+            return res.status(429).json(
+                createError(429, 'TOO_MANY_LOGIN_ATTEMPTS')
+            );
+        }
+
+        if (!await verifySecondFactor(user, { code, recoveryCode })) {
+            await recordLoginFailure(req.ip, user.email);
+            return res.status(401).json(
+                createError(401, 'INVALID_CODE')
+            );
+        }
+
+        await recordLoginSuccess(user.email);
+
+        const { accessToken, refreshToken } = startSession(user, clientInfo(req));
+        setRefreshCookie(res, refreshToken);
+
+        res.status(200).json({
+            accessToken,
+            user: withoutSecrets(user)
+        });
+    } catch (error) {
+        if (!error.status) console.error('Two-factor login error:', error);
+        res.status(error.status || 500).json(
+            createError(error.status || 500, error.status ? error.code : 'LOGIN_FAILED', null, error.params)
+        );
+    }
+});
+
+// `locale` (pt-BR, en or es) picks the language of the default categories,
+// the default account and transfer descriptions
+router.post('/register', authRateLimit, async (req, res) => {
     try {
     const { name, email, password } = req.body;
 
     if (!name || !email || !password) {
         return res.status(400).json(
-            createError(400, 'Nome, email e senha são obrigatórios')
+            createError(400, 'REGISTRATION_FIELDS_REQUIRED')
         );
     }
 
+    const locale = req.body.locale === undefined ? DEFAULT_LOCALE : normalizeLocale(req.body.locale);
+    if (!locale) {
+        return res.status(400).json(createError(400, 'INVALID_LOCALE', null, { locales: LOCALES.join(', ') }));
+    }
+
     // Check if user already exists
-    const existingUser = findUserByEmail(email);
+    const existingUser = usersRepository.findByEmail(email);
     if (existingUser) {
-        return res.status(400).json(createError(400, 'Usuário já existe'));
+        return res.status(400).json(createError(400, 'USER_ALREADY_EXISTS'));
     }
 
     const passwordValidation = validatePasswordStrength(password);
         if (!passwordValidation.valid) {
             return res.status(400).json(
-                createError(400, passwordValidation.message)
+                createError(400, passwordValidation.code)
             );
         }
 
@@ -179,37 +348,33 @@ router.post('/register', async (req, res) => {
             recurrentCredits: [],
             recurrentDebits: [],
             transactions: [],
-            categories: createDefaultCategories(userId),
+            categories: createDefaultCategories(userId, locale),
+            accounts: [createDefaultAccount(userId, locale)],
+            baseCurrency: DEFAULT_CURRENCY,
+            locale,
+            exchangeRates: [],
+            emailVerified: false,
+            twoFactorEnabled: false,
+            role: isBootstrapAdmin(email) ? 'admin' : 'user',
+            disabled: false,
         };
 
-    addUser(newUser);
-    const accessToken = generateAccessToken({
-        userId: newUser.id,
-        email: newUser.email
-    });
-    
-    const refreshToken = generateRefreshToken({
-        userId: newUser.id
-    });
+    usersRepository.create(newUser);
+    await sendVerificationEmail(newUser);
+    const { accessToken, refreshToken } = startSession(newUser, clientInfo(req));
     
     // Set refresh token in HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000
-    });
+    setRefreshCookie(res, refreshToken);
     
     // Return access token and user data
-    const { password: _, ...userWithoutPassword } = newUser;
     res.status(201).json({
         accessToken,
-        user: userWithoutPassword
+        user: withoutSecrets(newUser)
     });
     } catch (error) {
         console.error('Registration error:', error);
         res.status(500).json(
-            createError(500, 'Erro ao registrar usuário')
+            createError(500, 'REGISTRATION_FAILED')
         );
     }
 });
@@ -221,52 +386,123 @@ router.post('/refresh', (req, res) => {
         
         if (!refreshToken) {
             return res.status(401).json(
-                createError(401, 'Refresh token não fornecido')
+                createError(401, 'REFRESH_TOKEN_MISSING')
             );
         }
         
-        // Verify refresh token
-        const decoded = verifyRefreshToken(refreshToken);
-        
-        // Find user
-        const user = findUserById(decoded.userId);
-        if (!user) {
-            return res.status(404).json(
-                createError(404, 'Usuário não encontrado')
-            );
-        }
-        
-        // Generate new access token
-        const accessToken = generateAccessToken({
-            userId: user.id,
-            email: user.email
-        });
+        // Every refresh rotates the refresh token: the one just used stops working
+        const { accessToken, refreshToken: rotated } = rotateSession(refreshToken, clientInfo(req));
+        setRefreshCookie(res, rotated);
         
         res.status(200).json({ accessToken });
         
     } catch (error) {
-        console.error('Refresh error:', error);
-        res.status(403).json(
-            createError(403, error.message || 'Refresh token inválido')
+        console.error('Refresh error:', error.message);
+        // The cookie is useless from now on, unless a concurrent request (409)
+        // already replaced it
+        if (error.status !== 409) {
+            res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
+        }
+        res.status(error.status || 403).json(
+            createError(error.status || 403, error.code || 'REFRESH_TOKEN_INVALID', null, error.params)
         );
     }
 });
 
 router.post('/logout', authenticateToken, (req, res) => {
+    // Revoke the session, so its refresh token stops working even if copied
+    if (req.sessionId) {
+        sessionsRepository.remove(req.user.id, req.sessionId);
+    }
+
     // Clear refresh token cookie
-    res.clearCookie('refreshToken', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict'
-    });
+    res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
     
-    res.status(200).json({ message: 'Logout realizado com sucesso' });
+    res.status(200).json(codedMessage('LOGGED_OUT'));
 });
 
-//Current user endpoint
-router.get('/me', authenticateToken, (req, res) => {
-    // User is already attached by authenticateToken middleware
-    res.status(200).json(req.user);
+// Confirms the address from the link sent on registration (or email change).
+// Body: { token }
+router.post('/verify-email', authRateLimit, (req, res) => {
+    try {
+        const user = consumeActionToken(req.body.token, 'verifyEmail');
+        const before = profileSnapshot(user);
+        usersRepository.update(user.id, { emailVerified: true });
+        auditProfileChange(req, before, user, user.id);
+        res.status(200).json(codedMessage('EMAIL_VERIFIED'));
+    } catch (error) {
+        if (!error.status) console.error('Verify email error:', error);
+        res.status(error.status || 500).json(
+            createError(error.status || 500, error.status ? error.code : 'EMAIL_VERIFICATION_FAILED', null, error.params)
+        );
+    }
+});
+
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json(createError(400, 'EMAIL_ALREADY_VERIFIED'));
+        }
+        await sendVerificationEmail(req.user);
+        res.status(200).json(codedMessage('VERIFICATION_EMAIL_SENT'));
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json(createError(500, 'VERIFICATION_EMAIL_FAILED'));
+    }
+});
+
+// Body: { email }. The answer is the same whether the address exists or not,
+// so this cannot be used to find out who has an account.
+router.post('/forgot-password', authRateLimit, async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return res.status(400).json(createError(400, 'EMAIL_REQUIRED'));
+        }
+
+        const user = usersRepository.findByEmail(email);
+        if (user) {
+            await sendMail(passwordResetEmail(user, issueActionToken(user, 'resetPassword')));
+        }
+
+        res.status(200).json(codedMessage('PASSWORD_RESET_REQUESTED'));
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json(createError(500, 'PASSWORD_RESET_REQUEST_FAILED'));
+    }
+});
+
+// Body: { token, password }. Signs out every device; the link also proves
+// the user owns the address, so it counts as verified.
+router.post('/reset-password', authRateLimit, async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+
+        const passwordValidation = validatePasswordStrength(password);
+        if (!passwordValidation.valid) {
+            return res.status(400).json(
+                createError(400, passwordValidation.code)
+            );
+        }
+
+        const user = consumeActionToken(token, 'resetPassword');
+        const before = profileSnapshot(user);
+        usersRepository.update(user.id, {
+            password: await hashPassword(password),
+            passwordChangedAt: new Date(),
+            emailVerified: true
+        });
+        auditProfileChange(req, before, user, user.id);
+        sessionsRepository.removeAll(user.id);
+
+        res.status(200).json(codedMessage('PASSWORD_RESET'));
+    } catch (error) {
+        if (!error.status) console.error('Reset password error:', error);
+        res.status(error.status || 500).json(
+            createError(error.status || 500, error.status ? error.code : 'PASSWORD_RESET_FAILED', null, error.params)
+        );
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const { ACCOUNT_TYPES } = require('../services/accounts.service');
+const { currencyRule } = require('../utils/currency.utils');
+
+// Account sent to POST /accounts and PUT /accounts/:id
+const accountSchema = {
+    fields: {
+        name: { type: 'string', required: true, label: 'FIELD_NAME', maxLength: 100 },
+        type: { type: 'string', required: true, label: 'FIELD_TYPE', enum: ACCOUNT_TYPES },
+        openingBalance: { type: 'number', label: 'FIELD_OPENING_BALANCE' },
+        currency: { type: 'string', label: 'FIELD_CURRENCY' }
+    },
+    rules: [
+        currencyRule('currency')
+    ]
+};
+
+module.exports = accountSchema;
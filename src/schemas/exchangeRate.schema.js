@@ -0,0 +1,31 @@
+const { currencyRule } = require('../utils/currency.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+// Exchange rate sent to POST /exchange-rates or read from a rates CSV:
+// one unit of `from` is worth `rate` units of `to` from `date` onwards
+const exchangeRateSchema = {
+    fields: {
+        from: { type: 'string', required: true, label: 'FIELD_FROM_CURRENCY' },
+        to: { type: 'string', required: true, label: 'FIELD_TO_CURRENCY' },
+        rate: { type: 'number', required: true, label: 'FIELD_RATE' },
+        date: { type: 'date', required: true, label: 'FIELD_DATE' }
+    },
+    rules: [
+        currencyRule('from'),
+        currencyRule('to'),
+        {
+            fields: ['from', 'to'],
+            check: ({ from, to }) => (
+                from === to
+                    ? [fieldError('to', 'SAME_RATE_CURRENCIES')]
+                    : []
+            )
+        },
+        {
+            fields: ['rate'],
+            check: ({ rate }) => (rate > 0 ? [] : [fieldError('rate', 'RATE_NOT_POSITIVE')])
+        }
+    ]
+};
+
+module.exports = exchangeRateSchema;
@@ -0,0 +1,128 @@
+const { acceptsType } = require('../utils/categories.utils');
+const { currencyRule } = require('../utils/currency.utils');
+const { tagsRule } = require('../utils/tags.utils');
+const { fieldError, validate } = require('../utils/validation.utils');
+
+// One part of a split transaction (see utils/splits.utils.js)
+const splitSchema = {
+    fields: {
+        category: { type: 'string', required: true, label: 'FIELD_CATEGORY' },
+        amount: { type: 'number', required: true, label: 'FIELD_VALUE' },
+        note: { type: 'string', label: 'FIELD_NOTE', maxLength: 255 }
+    }
+};
+
+const findCategory = (categories, ref) => categories.find(cat => cat.id === ref || cat.name === ref);
+
+// Credits only take credit categories and debits debit ones; the fallback takes both
+const categoryTypeError = (field, category, type) => (!acceptsType(category, type)
+    ? fieldError(field, category.type === 'credito' ? 'CATEGORY_IS_CREDIT' : 'CATEGORY_IS_DEBIT', { name: category.name })
+    : null);
+
+// Shape of a transaction sent to POST /records, PUT /records/:id and the imports.
+// Rules expect `context.categories` and `context.accounts` (the user's).
+const financialRecordSchema = {
+    fields: {
+        description: { type: 'string', required: true, label: 'FIELD_DESCRIPTION', maxLength: 255 },
+        value: { type: 'number', required: true, label: 'FIELD_VALUE' },
+        type: { type: 'string', required: true, label: 'FIELD_TYPE', enum: ['credito', 'debito'] },
+        category: { type: 'string', required: true, label: 'FIELD_CATEGORY' },
+        date: { type: 'date', label: 'FIELD_DATE' },
+        accountId: { type: 'string', label: 'FIELD_ACCOUNT' },
+        currency: { type: 'string', label: 'FIELD_CURRENCY' },
+        splits: { type: 'array', label: 'FIELD_SPLITS' },
+        tags: { type: 'array', label: 'FIELD_TAGS' }
+    },
+    rules: [
+        {
+            // Credits are positive and debits negative
+            fields: ['value', 'type'],
+            check: ({ value, type }) => {
+                if (value === 0) {
+                    return [fieldError('value', 'VALUE_ZERO')];
+                }
+                if (type === 'credito' && value < 0) {
+                    return [fieldError('value', 'CREDIT_VALUE_NOT_POSITIVE')];
+                }
+                if (type === 'debito' && value > 0) {
+                    return [fieldError('value', 'DEBIT_VALUE_NOT_NEGATIVE')];
+                }
+                return [];
+            }
+        },
+        {
+            // Resolves the category (name or id) into its id and checks its type
+            fields: ['category', 'type'],
+            check: (data, { categories = [] }) => {
+                const category = findCategory(categories, data.category);
+                if (!category) {
+                    return [fieldError('category', 'CATEGORY_NOT_FOUND')];
+                }
+                const typeError = categoryTypeError('category', category, data.type);
+                if (typeError) {
+                    return [typeError];
+                }
+                data.category = category.id;
+                return [];
+            }
+        },
+        {
+            // Optional split across categories: at least two parts whose positive
+            // amounts add up to the value. An empty list removes the split.
+            fields: ['splits', 'value', 'type'],
+            check: (data, { categories = [] }) => {
+                if (!Array.isArray(data.splits) || data.splits.length === 0) return [];
+                if (data.splits.length < 2) {
+                    return [fieldError('splits', 'SPLITS_TOO_FEW')];
+                }
+
+                const errors = [];
+                const splits = data.splits.map((split, index) => {
+                    const { data: part, errors: partErrors } = validate(splitSchema, split || {});
+                    partErrors.forEach(error => errors.push({ ...error, field: `splits[${index}].${error.field}` }));
+                    if (partErrors.length > 0) return part;
+
+                    if (part.amount <= 0) {
+                        errors.push(fieldError(`splits[${index}].amount`, 'AMOUNT_NOT_POSITIVE'));
+                    }
+                    const category = findCategory(categories, part.category);
+                    if (!category) {
+                        errors.push(fieldError(`splits[${index}].category`, 'CATEGORY_NOT_FOUND'));
+                        return part;
+                    }
+                    const typeError = categoryTypeError(`splits[${index}].category`, category, data.type);
+                    if (typeError) {
+                        errors.push(typeError);
+                    }
+                    return { ...part, category: category.id };
+                });
+
+                if (errors.length > 0) return errors;
+
+                // Compared in cents, as floats do not add up exactly
+                const total = splits.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+                if (total !== Math.round(Math.abs(data.value) * 100)) {
+                    return [fieldError('splits', 'SPLITS_TOTAL_MISMATCH', {
+                        total: (total / 100).toFixed(2),
+                        value: Math.abs(data.value).toFixed(2)
+                    })];
+                }
+
+                data.splits = splits;
+                return [];
+            }
+        },
+        {
+            fields: ['accountId'],
+            check: ({ accountId }, { accounts = [] }) => (
+                accountId === undefined || accounts.some(account => account.id === accountId)
+                    ? []
+                    : [fieldError('accountId', 'ACCOUNT_NOT_FOUND')]
+            )
+        },
+        currencyRule('currency'),
+        tagsRule('tags')
+    ]
+};
+
+module.exports = financialRecordSchema;
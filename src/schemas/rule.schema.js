@@ -0,0 +1,80 @@
+const { isSafeRegex } = require('../utils/regex.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+// Categorization rule sent to POST /rules and PUT /rules/:id.
+// Rules expect `context.categories` (the user's categories).
+const CONDITION_FIELDS = ['descriptionContains', 'descriptionRegex', 'minValue', 'maxValue', 'type'];
+
+const MAX_REGEX_LENGTH = 200;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const ruleSchema = {
+    fields: {
+        name: { type: 'string', required: true, label: 'FIELD_NAME', maxLength: 100 },
+        priority: { type: 'number', label: 'FIELD_PRIORITY' },
+        enabled: { type: 'boolean', label: 'FIELD_ENABLED' },
+        // Conditions (every one given must match)
+        descriptionContains: { type: 'string', label: 'FIELD_DESCRIPTION_CONTAINS', maxLength: 100 },
+        descriptionRegex: { type: 'string', label: 'FIELD_DESCRIPTION_REGEX', maxLength: MAX_REGEX_LENGTH },
+        minValue: { type: 'number', label: 'FIELD_MIN_VALUE' },
+        maxValue: { type: 'number', label: 'FIELD_MAX_VALUE' },
+        type: { type: 'string', label: 'FIELD_TYPE', enum: ['credito', 'debito'] },
+        // Actions
+        category: { type: 'string', required: true, label: 'FIELD_CATEGORY' },
+        setDescription: { type: 'string', label: 'FIELD_SET_DESCRIPTION', maxLength: 255 }
+    },
+    rules: [
+        {
+            fields: CONDITION_FIELDS,
+            check: (data) => (CONDITION_FIELDS.some(field => isSet(data[field]))
+                ? []
+                : [fieldError('conditions', 'RULE_CONDITION_REQUIRED')])
+        },
+        {
+            fields: ['descriptionRegex'],
+            check: ({ descriptionRegex }) => {
+                if (!descriptionRegex) return [];
+                try {
+                    new RegExp(descriptionRegex, 'i');
+                } catch (e) {
+                    return [fieldError('descriptionRegex', 'INVALID_REGEX')];
+                }
+                // See utils/regex.utils.js: these could stall the server on every transaction
+                return isSafeRegex(descriptionRegex)
+                    ? []
+                    : [fieldError('descriptionRegex', 'UNSAFE_REGEX')];
+            }
+        },
+        {
+            // Bounds apply to the absolute amount
+            fields: ['minValue', 'maxValue'],
+            check: ({ minValue, maxValue }) => {
+                if ((isSet(minValue) && minValue < 0) || (isSet(maxValue) && maxValue < 0)) {
+                    return [fieldError('minValue', 'RULE_BOUNDS_NOT_POSITIVE')];
+                }
+                if (isSet(minValue) && isSet(maxValue) && minValue > maxValue) {
+                    return [fieldError('maxValue', 'RULE_MAX_BELOW_MIN')];
+                }
+                return [];
+            }
+        },
+        {
+            // Resolves the category (name or id) into its id
+            fields: ['category', 'type'],
+            check: (data, { categories = [] }) => {
+                const category = categories.find(cat => cat.id === data.category || cat.name === data.category);
+                if (!category) {
+                    return [fieldError('category', 'CATEGORY_NOT_FOUND')];
+                }
+                if (data.type && category.type !== data.type) {
+                    return [fieldError('category', category.type === 'credito' ? 'CATEGORY_IS_CREDIT' : 'CATEGORY_IS_DEBIT', { name: category.name })];
+                }
+                data.category = category.id;
+                return [];
+            }
+        }
+    ]
+};
+
+module.exports = ruleSchema;
@@ -0,0 +1,47 @@
+const { fieldError } = require('../utils/validation.utils');
+
+// Transfer sent to POST /accounts/transfers.
+// Rules expect `context.accounts` (the user's accounts).
+const transferSchema = {
+    fields: {
+        fromAccountId: { type: 'string', required: true, label: 'FIELD_FROM_ACCOUNT' },
+        toAccountId: { type: 'string', required: true, label: 'FIELD_TO_ACCOUNT' },
+        amount: { type: 'number', required: true, label: 'FIELD_VALUE' },
+        // Amount received, when the accounts are in different currencies
+        toAmount: { type: 'number', label: 'FIELD_TO_AMOUNT' },
+        date: { type: 'date', label: 'FIELD_DATE' },
+        description: { type: 'string', label: 'FIELD_DESCRIPTION', maxLength: 255 }
+    },
+    rules: [
+        {
+            fields: ['amount'],
+            check: ({ amount }) => (amount > 0 ? [] : [fieldError('amount', 'AMOUNT_NOT_POSITIVE')])
+        },
+        {
+            fields: ['toAmount'],
+            check: ({ toAmount }) => (
+                toAmount === undefined || toAmount > 0
+                    ? []
+                    : [fieldError('toAmount', 'TO_AMOUNT_NOT_POSITIVE')]
+            )
+        },
+        {
+            fields: ['fromAccountId', 'toAccountId'],
+            check: ({ fromAccountId, toAccountId }, { accounts = [] }) => {
+                const errors = [];
+                if (!accounts.some(account => account.id === fromAccountId)) {
+                    errors.push(fieldError('fromAccountId', 'ACCOUNT_NOT_FOUND'));
+                }
+                if (!accounts.some(account => account.id === toAccountId)) {
+                    errors.push(fieldError('toAccountId', 'ACCOUNT_NOT_FOUND'));
+                }
+                if (fromAccountId === toAccountId) {
+                    errors.push(fieldError('toAccountId', 'SAME_TRANSFER_ACCOUNTS'));
+                }
+                return errors;
+            }
+        }
+    ]
+};
+
+module.exports = transferSchema;
@@ -0,0 +1,123 @@
+const { v4: uuidv4 } = require('uuid');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const { roundCurrency } = require('./reports.service');
+const { createConverter, currencyOf } = require('./exchangeRates.service');
+const { toDateKey } = require('../utils/recurrence.utils');
+const { DEFAULT_LOCALE } = require('../utils/locale.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash'];
+
+const TRANSFER_DESCRIPTIONS = {
+    'pt-BR': { to: 'Transferência para', from: 'Transferência de' },
+    en: { to: 'Transfer to', from: 'Transfer from' },
+    es: { to: 'Transferencia a', from: 'Transferencia de' }
+};
+
+const transferDescription = (locale, direction, accountName) =>
+    `${(TRANSFER_DESCRIPTIONS[locale] || TRANSFER_DESCRIPTIONS[DEFAULT_LOCALE])[direction]} ${accountName}`;
+
+// Opening balance plus every transaction of the account (transfers included),
+// in the account's currency. Transactions in another currency are converted
+// with the rate of their date; while one is missing the balance is null and
+// `missingRates` lists the rates to enter.
+const withAccountBalance = (account, records) => {
+    const converter = createConverter(account.userId, currencyOf(account));
+    const values = converter.convertRecords(records.filter(record => record.accountId === account.id));
+    const missingRates = converter.missingRates();
+
+    if (missingRates.length > 0) {
+        return { ...account, balance: null, missingRates };
+    }
+    return {
+        ...account,
+        balance: roundCurrency(values.reduce(
+            (sum, record) => sum + (Number(record.value) || 0),
+            Number(account.openingBalance) || 0
+        ))
+    };
+};
+
+const listAccountsWithBalance = (userId) => {
+    const records = transactionsRepository.listByUser(userId);
+    return accountsRepository.listByUser(userId).map(account => withAccountBalance(account, records));
+};
+
+// Sum of the opening balances of the given accounts (all by default), in the
+// converter's currency at today's rate
+const getOpeningBalance = (userId, converter, accountId = null) => roundCurrency(
+    accountsRepository.listByUser(userId)
+        .filter(account => !accountId || account.id === accountId)
+        .reduce((sum, account) => (
+            sum + (converter.convert(account.openingBalance || 0, currencyOf(account), new Date()) || 0)
+        ), 0)
+);
+
+// The two legs of a transfer: a debit in the source account and a credit in
+// the destination, linked by `transferId` and without category. Reports leave
+// them out of income and expenses.
+//
+// Each leg is in the currency of its account. Between different currencies
+// the destination receives `toAmount`, or `amount` converted with the rate of
+// the transfer date; without that rate nothing is stored and { errors } is
+// returned. Without a description, each leg names the other account in `locale`.
+const createTransfer = (userId, { fromAccount, toAccount, amount, toAmount, date, description, locale }) => {
+    const transferId = uuidv4();
+    const timestamp = date || new Date();
+    const base = { timestamp, category: null, transferId, userId };
+    const fromCurrency = currencyOf(fromAccount);
+    const toCurrency = currencyOf(toAccount);
+
+    let received = Math.abs(amount);
+    if (fromCurrency !== toCurrency) {
+        const converter = createConverter(userId, toCurrency);
+        received = toAmount !== undefined ? Math.abs(toAmount) : converter.convert(amount, fromCurrency, timestamp);
+        if (received === null) {
+            return {
+                errors: [fieldError('toAmount', 'MISSING_TRANSFER_RATE', {
+                    from: fromCurrency,
+                    to: toCurrency,
+                    date: toDateKey(timestamp)
+                })]
+            };
+        }
+    }
+
+    const legs = [
+        {
+            id: uuidv4(),
+            ...base,
+            description: description || transferDescription(locale, 'to', toAccount.name),
+            value: -Math.abs(amount),
+            currency: fromCurrency,
+            type: 'debito',
+            accountId: fromAccount.id
+        },
+        {
+            id: uuidv4(),
+            ...base,
+            description: description || transferDescription(locale, 'from', fromAccount.name),
+            value: received,
+            currency: toCurrency,
+            type: 'credito',
+            accountId: toAccount.id
+        }
+    ];
+
+    // Both legs are written together
+    transactionsRepository.createMany(userId, legs);
+    return { transferId, legs };
+};
+
+const findTransferLegs = (userId, transferId) => transactionsRepository.listByUser(userId)
+    .filter(record => record.transferId === transferId);
+
+module.exports = {
+    ACCOUNT_TYPES,
+    withAccountBalance,
+    listAccountsWithBalance,
+    getOpeningBalance,
+    createTransfer,
+    findTransferLegs
+};
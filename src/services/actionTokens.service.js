@@ -0,0 +1,57 @@
+const { v4: uuidv4 } = require('uuid');
+const usersRepository = require('../data/repositories/users.repository');
+const actionTokensRepository = require('../data/repositories/actionTokens.repository');
+const { generateActionToken, verifyActionToken, hashToken } = require('../utils/jwt.utils');
+const { codedError } = require('../i18n');
+
+// Lifetime of each kind of one-time token
+const TOKEN_PURPOSES = {
+    verifyEmail: { expiresIn: '24h', ttlMs: 24 * 60 * 60 * 1000 },
+    resetPassword: { expiresIn: '1h', ttlMs: 60 * 60 * 1000 }
+};
+
+const tokenError = () => codedError('ACTION_TOKEN_INVALID', 400);
+
+// Signed token for `purpose`, replacing any earlier one of the same purpose.
+// Email verification tokens are bound to the address they were sent to.
+const issueActionToken = (user, purpose) => {
+    const { expiresIn, ttlMs } = TOKEN_PURPOSES[purpose];
+    const tokenId = uuidv4();
+
+    actionTokensRepository.replace(user.id, {
+        id: hashToken(tokenId),
+        purpose,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return generateActionToken({ userId: user.id, tokenId, purpose, email: user.email }, expiresIn);
+};
+
+// Checks the signature, expiry and purpose of a token and that it was not used
+// yet, then spends it. Returns its user; throws an Error with `status` otherwise.
+const consumeActionToken = (token, purpose) => {
+    let decoded;
+    try {
+        decoded = verifyActionToken(String(token || ''));
+    } catch (error) {
+        throw tokenError();
+    }
+
+    const user = decoded.purpose === purpose && usersRepository.findById(decoded.userId);
+    if (!user || !actionTokensRepository.findActive(user.id, hashToken(decoded.tokenId), purpose)) {
+        throw tokenError();
+    }
+    // A verification link is worthless once the address changed
+    if (purpose === 'verifyEmail' && decoded.email !== user.email) {
+        throw tokenError();
+    }
+
+    actionTokensRepository.removeByPurpose(user.id, purpose);
+    return user;
+};
+
+module.exports = {
+    TOKEN_PURPOSES,
+    issueActionToken,
+    consumeActionToken
+};
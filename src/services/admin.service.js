@@ -0,0 +1,137 @@
+const usersRepository = require('../data/repositories/users.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const sessionsRepository = require('../data/repositories/sessions.repository');
+const { normalizeText, paginate } = require('../utils/recordsQuery.utils');
+const { ROLES, withoutSecrets } = require('../utils/users.utils');
+const { fieldError } = require('../utils/validation.utils');
+const { codedError } = require('../i18n');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const adminError = (code, status = 400, params) => codedError(code, status, params);
+
+// What an administrator sees of a user: the profile plus a few counters,
+// never the secrets nor the financial data itself
+const toUserSummary = (user) => {
+    const { balance, transactions, categories, accounts, recurrentCredits, recurrentDebits, rules, exchangeRates, ...profile } = withoutSecrets(user);
+    return {
+        ...profile,
+        transactionCount: (transactions || []).length,
+        activeSessionCount: sessionsRepository.listByUser(user.id).length
+    };
+};
+
+// Query: q (name or email, case and accent insensitive), role, disabled
+// (true/false), page, pageSize. Returns { errors } for invalid parameters.
+const searchUsers = (query = {}) => {
+    const errors = [];
+
+    if (query.role !== undefined && !ROLES.includes(query.role)) {
+        errors.push(fieldError('role', 'INVALID_ROLE', { roles: ROLES.join(', ') }));
+    }
+    if (query.disabled !== undefined && query.disabled !== 'true' && query.disabled !== 'false') {
+        errors.push(fieldError('disabled', 'INVALID_DISABLED_FILTER'));
+    }
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    const pageSize = query.pageSize !== undefined ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push(fieldError('page', 'INVALID_PAGE'));
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.push(fieldError('pageSize', 'INVALID_PAGE_SIZE', { max: MAX_PAGE_SIZE }));
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const search = query.q !== undefined ? normalizeText(query.q) : null;
+    const users = usersRepository.list()
+        .filter(user => {
+            if (query.role && user.role !== query.role) return false;
+            if (query.disabled !== undefined && !!user.disabled !== (query.disabled === 'true')) return false;
+            if (search !== null && !normalizeText(`${user.name} ${user.email}`).includes(search)) return false;
+            return true;
+        })
+        .sort((a, b) => normalizeText(a.name).localeCompare(normalizeText(b.name)));
+
+    const result = paginate(users, page, pageSize);
+    return { ...result, data: result.data.map(toUserSummary) };
+};
+
+const countAdmins = () => usersRepository.list()
+    .filter(user => user.role === 'admin' && !user.disabled).length;
+
+// An administrator cannot lock themselves out, and the last active admin
+// cannot be demoted or disabled
+const guardAdminChange = (actorId, user) => {
+    if (user.id === actorId) {
+        throw adminError('SELF_ADMIN_CHANGE', 409);
+    }
+    if (user.role === 'admin' && !user.disabled && countAdmins() === 1) {
+        throw adminError('LAST_ADMIN', 409);
+    }
+};
+
+const findUser = (id) => {
+    const user = usersRepository.findById(id);
+    if (!user) {
+        throw adminError('USER_NOT_FOUND', 404);
+    }
+    return user;
+};
+
+const setRole = (actorId, id, role) => {
+    if (!ROLES.includes(role)) {
+        throw adminError('INVALID_ROLE', 400, { roles: ROLES.join(', ') });
+    }
+    const user = findUser(id);
+    if (user.role !== role) {
+        guardAdminChange(actorId, user);
+        usersRepository.update(id, { role });
+    }
+    return toUserSummary(user);
+};
+
+// Disabled accounts cannot log in and their sessions end at once
+const setDisabled = (actorId, id, disabled) => {
+    const user = findUser(id);
+    if (!!user.disabled !== disabled) {
+        guardAdminChange(actorId, user);
+        usersRepository.update(id, { disabled, disabledAt: disabled ? new Date() : null });
+        if (disabled) {
+            sessionsRepository.removeAll(id);
+        }
+    }
+    return toUserSummary(user);
+};
+
+const getSystemStats = (now = new Date()) => {
+    const users = usersRepository.list();
+    const lastMonth = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const count = (predicate) => users.filter(predicate).length;
+
+    return {
+        users: {
+            total: users.length,
+            admins: count(user => user.role === 'admin'),
+            disabled: count(user => user.disabled),
+            emailVerified: count(user => user.emailVerified),
+            twoFactorEnabled: count(user => user.twoFactorEnabled),
+            // Users with at least one session used in the last 30 days
+            activeLast30Days: count(user => sessionsRepository.listByUser(user.id)
+                .some(session => new Date(session.lastUsedAt) >= lastMonth))
+        },
+        activeSessions: users.reduce((total, user) => total + sessionsRepository.listByUser(user.id).length, 0),
+        transactions: users.reduce((total, user) => total + transactionsRepository.listByUser(user.id).length, 0),
+        generatedAt: now
+    };
+};
+
+module.exports = {
+    toUserSummary,
+    searchUsers,
+    setRole,
+    setDisabled,
+    getSystemStats
+};
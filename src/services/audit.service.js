@@ -0,0 +1,115 @@
+const { v4: uuidv4 } = require('uuid');
+const auditLogRepository = require('../data/repositories/auditLog.repository');
+const { parseDate, paginate } = require('../utils/recordsQuery.utils');
+const { fieldError } = require('../utils/validation.utils');
+
+const AUDIT_ENTITIES = ['transaction', 'category', 'profile'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Profile fields kept in the audit trail; secrets never are (a password
+// change shows up as a new passwordChangedAt)
+const PROFILE_AUDIT_FIELDS = [
+    'name', 'email', 'baseCurrency', 'locale', 'role', 'disabled',
+    'emailVerified', 'twoFactorEnabled', 'passwordChangedAt'
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Who made a change and from where. actorId differs from the owner when an
+// administrator acts on someone else's account; changes made by background
+// jobs use SYSTEM_CONTEXT.
+const auditContext = (req, actorId = req.user ? req.user.id : null) => ({ actorId, ip: req.ip || null });
+
+const SYSTEM_CONTEXT = { actorId: null, ip: null };
+
+// Repositories update objects in place, so "before" values must be copied
+// before the change is made
+const snapshot = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const profileSnapshot = (user) => snapshot(PROFILE_AUDIT_FIELDS.reduce(
+    (profile, field) => ({ ...profile, [field]: user[field] === undefined ? null : user[field] }),
+    {}
+));
+
+const changedFields = (before, after) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+// Appends one entry per event ({ entity, action, entityId, before, after }).
+// Updates that changed nothing are left out.
+const recordAudit = (userId, context, events) => {
+    const timestamp = new Date();
+
+    const entries = [].concat(events)
+        .map(({ entity, action, entityId, before = null, after = null }) => ({
+            id: uuidv4(),
+            timestamp,
+            actorId: context.actorId,
+            ip: context.ip,
+            entity,
+            action,
+            entityId,
+            before: snapshot(before),
+            after: snapshot(after),
+            changes: action === 'update' ? changedFields(before || {}, after || {}) : null
+        }))
+        .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+
+    return entries.length > 0 ? auditLogRepository.appendMany(userId, entries) : [];
+};
+
+// Query: entity, action, entityId, actorId, from, to, page, pageSize.
+// Returns { errors } for invalid parameters.
+const queryAuditLog = (userId, query = {}) => {
+    const errors = [];
+
+    if (query.entity !== undefined && !AUDIT_ENTITIES.includes(query.entity)) {
+        errors.push(fieldError('entity', 'INVALID_AUDIT_ENTITY', { entities: AUDIT_ENTITIES.join(', ') }));
+    }
+    if (query.action !== undefined && !AUDIT_ACTIONS.includes(query.action)) {
+        errors.push(fieldError('action', 'INVALID_AUDIT_ACTION', { actions: AUDIT_ACTIONS.join(', ') }));
+    }
+    const from = query.from !== undefined ? parseDate(query.from) : null;
+    const to = query.to !== undefined ? parseDate(query.to, true) : null;
+    if (query.from !== undefined && !from) {
+        errors.push(fieldError('from', 'INVALID_START_DATE'));
+    }
+    if (query.to !== undefined && !to) {
+        errors.push(fieldError('to', 'INVALID_END_DATE'));
+    }
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    const pageSize = query.pageSize !== undefined ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push(fieldError('page', 'INVALID_PAGE'));
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.push(fieldError('pageSize', 'INVALID_PAGE_SIZE', { max: MAX_PAGE_SIZE }));
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const entries = auditLogRepository.listByUser(userId).filter(entry => {
+        const timestamp = new Date(entry.timestamp);
+        if (query.entity && entry.entity !== query.entity) return false;
+        if (query.action && entry.action !== query.action) return false;
+        if (query.entityId && entry.entityId !== query.entityId) return false;
+        if (query.actorId && entry.actorId !== query.actorId) return false;
+        if (from && timestamp < from) return false;
+        if (to && timestamp > to) return false;
+        return true;
+    });
+
+    return paginate(entries, page, pageSize);
+};
+
+module.exports = {
+    AUDIT_ENTITIES,
+    AUDIT_ACTIONS,
+    SYSTEM_CONTEXT,
+    auditContext,
+    snapshot,
+    profileSnapshot,
+    recordAudit,
+    queryAuditLog
+};
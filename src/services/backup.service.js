@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+const usersRepository = require('../data/repositories/users.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const recurrencesRepository = require('../data/repositories/recurrences.repository');
+const rulesRepository = require('../data/repositories/rules.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const exchangeRatesRepository = require('../data/repositories/exchangeRates.repository');
+const financialRecordSchema = require('../schemas/financialRecord.schema');
+const accountSchema = require('../schemas/account.schema');
+const ruleSchema = require('../schemas/rule.schema');
+const exchangeRateSchema = require('../schemas/exchangeRate.schema');
+const { fieldError, validate } = require('../utils/validation.utils');
+const { isUncategorized } = require('../utils/categories.utils');
+const { findDefaultKey } = require('../data/defaultCategories');
+const { DEFAULT_CURRENCY, isCurrencyCode } = require('../utils/currency.utils');
+const { normalizeLocale } = require('../utils/locale.utils');
+const { currencyOf } = require('./exchangeRates.service');
+const { SYSTEM_CONTEXT, recordAudit } = require('./audit.service');
+
+const BACKUP_VERSION = 1;
+
+// Only these user fields go into a backup: never the password, any other
+// secret or the role. Restoring applies the preferences (currency, language).
+const PROFILE_FIELDS = ['id', 'name', 'email', 'baseCurrency', 'locale'];
+
+const buildBackup = (userId) => {
+    const user = usersRepository.findById(userId);
+    const profile = PROFILE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: user[field] }), {});
+
+    return {
+        version: BACKUP_VERSION,
+        exportedAt: new Date(),
+        profile,
+        categories: categoriesRepository.listByUser(userId),
+        accounts: accountsRepository.listByUser(userId),
+        exchangeRates: exchangeRatesRepository.listByUser(userId),
+        recurrences: recurrencesRepository.listByUser(userId),
+        rules: rulesRepository.listByUser(userId),
+        transactions: transactionsRepository.listByUser(userId)
+    };
+};
+
+// A backup can only be restored into an account that still holds nothing but
+// the default categories and account, so restoring never mixes two histories
+const isFreshAccount = (userId) =>
+    transactionsRepository.listByUser(userId).length === 0 &&
+    recurrencesRepository.listByUser(userId).length === 0 &&
+    rulesRepository.listByUser(userId).length === 0 &&
+    categoriesRepository.listByUser(userId).every(category => category.isDefault) &&
+    accountsRepository.listByUser(userId).every(account => account.isDefault);
+
+const validateCategories = (categories) => categories.flatMap((category, index) => {
+    const errors = [];
+    if (!category.id || !category.name) {
+        errors.push(fieldError(`categories[${index}]`, 'BACKUP_CATEGORY_INCOMPLETE'));
+    }
+    if (category.type !== 'credito' && category.type !== 'debito') {
+        errors.push(fieldError(`categories[${index}].type`, 'INVALID_TYPE'));
+    }
+    return errors;
+});
+
+const validateAccounts = (accounts) => accounts.flatMap((account, index) =>
+    validate(accountSchema, account).errors
+        .map(error => ({ ...error, field: `accounts[${index}].${error.field}` })));
+
+const validateExchangeRates = (rates) => rates.flatMap((rate, index) =>
+    validate(exchangeRateSchema, rate).errors
+        .map(error => ({ ...error, field: `exchangeRates[${index}].${error.field}` })));
+
+// Restores a backup produced by buildBackup into `userId`. Every entity gets a
+// new id (references between them are remapped) and nothing is written unless
+// the whole backup is valid. Returns { errors } or the restored counts.
+// The replaced categories and the new transactions are audited as made by `context`.
+const restoreBackup = (userId, backup, { context = SYSTEM_CONTEXT } = {}) => {
+    if (!backup || backup.version !== BACKUP_VERSION) {
+        return { errors: [fieldError('version', 'BACKUP_VERSION_UNSUPPORTED', { version: BACKUP_VERSION })] };
+    }
+
+    const collections = ['categories', 'recurrences', 'transactions'];
+    const missing = collections.filter(name => !Array.isArray(backup[name]));
+    if (missing.length > 0) {
+        return { errors: missing.map(name => fieldError(name, 'FIELD_NOT_LIST', { label: name })) };
+    }
+
+    const shapeErrors = [
+        ...validateCategories(backup.categories),
+        ...validateAccounts(backup.accounts || []),
+        ...validateExchangeRates(backup.exchangeRates || [])
+    ];
+    if (shapeErrors.length > 0) {
+        return { errors: shapeErrors };
+    }
+
+    const categoryIds = new Map(backup.categories.map(category => [category.id, uuidv4()]));
+    const recurrenceIds = new Map(backup.recurrences.map(entry => [entry.id, uuidv4()]));
+    const transferIds = new Map();
+
+    // Backups made before accounts existed keep the current default account
+    const accounts = Array.isArray(backup.accounts) && backup.accounts.length > 0
+        ? backup.accounts.map(account => ({ ...account, id: uuidv4(), userId }))
+        : accountsRepository.listByUser(userId);
+    const accountIds = new Map(Array.isArray(backup.accounts)
+        ? backup.accounts.map((account, index) => [account.id, accounts[index].id])
+        : []);
+    if (!accounts.some(account => account.isDefault)) {
+        accounts[0].isDefault = true;
+    }
+    const defaultAccount = accounts.find(account => account.isDefault);
+
+    const exchangeRates = (backup.exchangeRates || [])
+        .map(rate => ({ ...validate(exchangeRateSchema, rate).data, id: uuidv4(), userId }));
+
+    // Subcategories keep their parent when it is part of the backup too.
+    // Defaults in backups made before `defaultKey` existed are matched by name.
+    const categories = backup.categories.map(category => ({
+        ...category,
+        id: categoryIds.get(category.id),
+        parentId: categoryIds.get(category.parentId) || null,
+        ...(category.isDefault && !category.defaultKey ? { defaultKey: findDefaultKey(category) } : {}),
+        userId
+    }));
+
+    // The uncategorized fallback must always exist
+    if (!categories.some(isUncategorized)) {
+        categories.push(categoriesRepository.findUncategorized(userId));
+    }
+
+    const uncategorized = categories.find(isUncategorized);
+    const errors = [];
+    const restoreEntry = (entry, index, collection, newId) => {
+        const { data, errors: entryErrors } = validate(financialRecordSchema, {
+            description: entry.description,
+            value: entry.value,
+            type: entry.type,
+            // Transfer legs have no category; the fallback only satisfies the schema
+            category: entry.transferId ? uncategorized.id : (categoryIds.get(entry.category) || entry.category),
+            date: entry.timestamp,
+            accountId: accountIds.get(entry.accountId) || defaultAccount.id,
+            currency: entry.currency,
+            splits: Array.isArray(entry.splits)
+                ? entry.splits.map(split => ({ ...split, category: categoryIds.get(split.category) || split.category }))
+                : undefined
+        }, { context: { categories, accounts } });
+
+        entryErrors.forEach(error => errors.push({ ...error, field: `${collection}[${index}].${error.field}` }));
+
+        const restored = {
+            ...entry,
+            id: newId,
+            timestamp: data.date,
+            category: entry.transferId ? null : data.category,
+            accountId: data.accountId,
+            currency: data.currency || null,
+            userId
+        };
+        if (data.splits) restored.splits = data.splits;
+        if (entry.transferId) {
+            if (!transferIds.has(entry.transferId)) transferIds.set(entry.transferId, uuidv4());
+            restored.transferId = transferIds.get(entry.transferId);
+        }
+        return restored;
+    };
+
+    // Backups made before rules existed have none; rule categories are remapped
+    // like those of transactions
+    const rules = (Array.isArray(backup.rules) ? backup.rules : []).map((rule, index) => {
+        const { data, errors: ruleErrors } = validate(ruleSchema, {
+            ...rule,
+            category: categoryIds.get(rule.category) || rule.category
+        }, { context: { categories } });
+        ruleErrors.forEach(error => errors.push({ ...error, field: `rules[${index}].${error.field}` }));
+        return {
+            ...rule,
+            ...data,
+            id: uuidv4(),
+            enabled: rule.enabled !== false,
+            priority: typeof rule.priority === 'number' ? rule.priority : index + 1,
+            userId
+        };
+    });
+
+    const recurrences = backup.recurrences.map((entry, index) =>
+        restoreEntry(entry, index, 'recurrences', recurrenceIds.get(entry.id)));
+
+    const transactions = backup.transactions.map((record, index) => {
+        const restored = restoreEntry(record, index, 'transactions', uuidv4());
+        // Backups made before currencies existed: the currency of the account
+        if (!restored.currency) {
+            const account = accounts.find(entry => entry.id === restored.accountId);
+            restored.currency = account ? currencyOf(account) : DEFAULT_CURRENCY;
+        }
+        if (record.recurrenceId) {
+            restored.recurrenceId = recurrenceIds.get(record.recurrenceId) || null;
+        }
+        return restored;
+    });
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const replacedCategories = categoriesRepository.listByUser(userId);
+    categoriesRepository.replaceAll(userId, categories);
+    accountsRepository.replaceAll(userId, accounts);
+    exchangeRatesRepository.replaceAll(userId, exchangeRates);
+    const profile = backup.profile || {};
+    if (isCurrencyCode(profile.baseCurrency)) {
+        usersRepository.update(userId, { baseCurrency: profile.baseCurrency });
+    }
+    if (normalizeLocale(profile.locale)) {
+        usersRepository.update(userId, { locale: normalizeLocale(profile.locale) });
+    }
+    recurrences.forEach(entry => recurrencesRepository.create(userId, entry));
+    rulesRepository.replaceAll(userId, rules);
+    transactionsRepository.createMany(userId, transactions);
+
+    recordAudit(userId, context, [
+        ...replacedCategories.map(category => ({ entity: 'category', action: 'delete', entityId: category.id, before: category })),
+        ...categories.map(category => ({ entity: 'category', action: 'create', entityId: category.id, after: category })),
+        ...transactions.map(record => ({ entity: 'transaction', action: 'create', entityId: record.id, after: record }))
+    ]);
+
+    return {
+        errors: [],
+        categories: categories.length,
+        accounts: accounts.length,
+        exchangeRates: exchangeRates.length,
+        recurrences: recurrences.length,
+        rules: rules.length,
+        transactions: transactions.length
+    };
+};
+
+module.exports = {
+    buildBackup,
+    isFreshAccount,
+    restoreBackup
+};
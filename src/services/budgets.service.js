@@ -0,0 +1,80 @@
+const { roundCurrency } = require('./reports.service');
+const { expandSplits } = require('../utils/splits.utils');
+const { getDescendantIds } = require('../utils/categories.utils');
+
+const DEFAULT_WARNING_THRESHOLD = 80; // percent of the available amount
+
+const toMonthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+// "2025-10" -> "2025-11"
+const nextMonthKey = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return toMonthKey(new Date(Date.UTC(year, monthIndex, 1)));
+};
+
+// Each part of a split transaction counts towards its own category, and
+// spending in subcategories counts towards the budget of their parents
+const spentByMonth = (records, category, categories) => {
+    const categoryIds = [category.id, ...getDescendantIds(categories, category.id)];
+    return expandSplits(records)
+        .filter(record => record.type === 'debito')
+        .filter(record => categoryIds.includes(record.category))
+        .reduce((totals, record) => {
+            const month = toMonthKey(record.timestamp);
+            totals[month] = (totals[month] || 0) + Math.abs(Number(record.value) || 0);
+            return totals;
+        }, {});
+};
+
+const getStatus = (spent, available, warningThreshold) => {
+    if (spent > available) return 'exceeded';
+    if (available > 0 && (spent / available) * 100 >= warningThreshold) return 'warning';
+    return 'ok';
+};
+
+// Budget situation of one category in `month`. With rollover, whatever was left
+// unspent in each month since the budget started is added to the next one;
+// overspending is not carried over. Spending in subcategories of `category`
+// (found in `categories`) counts towards its budget.
+const getBudgetStatus = (category, records, month, categories = []) => {
+    const { limit, rollover, since } = category.budget;
+    const warningThreshold = category.budget.warningThreshold || DEFAULT_WARNING_THRESHOLD;
+    const spent = spentByMonth(records, category, categories);
+
+    let carriedOver = 0;
+    if (rollover && since < month) {
+        for (let current = since; current < month; current = nextMonthKey(current)) {
+            carriedOver = Math.max(0, carriedOver + limit - (spent[current] || 0));
+        }
+    }
+
+    const available = roundCurrency(limit + carriedOver);
+    const spentInMonth = roundCurrency(spent[month] || 0);
+
+    return {
+        categoryId: category.id,
+        name: category.name,
+        color: category.color,
+        month,
+        limit,
+        rollover: !!rollover,
+        carriedOver: roundCurrency(carriedOver),
+        available,
+        spent: spentInMonth,
+        remaining: roundCurrency(available - spentInMonth),
+        percentUsed: available > 0 ? roundCurrency((spentInMonth / available) * 100) : null,
+        warningThreshold,
+        status: getStatus(spentInMonth, available, warningThreshold)
+    };
+};
+
+const getBudgetsStatus = (categories, records, month) => categories
+    .filter(category => category.budget)
+    .map(category => getBudgetStatus(category, records, month, categories));
+
+module.exports = {
+    DEFAULT_WARNING_THRESHOLD,
+    toMonthKey,
+    getBudgetStatus,
+    getBudgetsStatus
+};
@@ -0,0 +1,175 @@
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const financialRecordSchema = require('../schemas/financialRecord.schema');
+const { fieldError, validate } = require('../utils/validation.utils');
+const { parseRecordsQuery, filterRecords } = require('../utils/recordsQuery.utils');
+const { hasSplits } = require('../utils/splits.utils');
+const { tagsOf, normalizeTags } = require('../utils/tags.utils');
+const { SYSTEM_CONTEXT, snapshot, recordAudit } = require('./audit.service');
+const { trashTransactions } = require('./trash.service');
+
+const BULK_OPERATIONS = ['recategorize', 'retag', 'changeDate', 'delete'];
+const MAX_BULK_ITEMS = 1000;
+
+const isStringList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string' || typeof entry === 'number');
+
+// Checks the shape of the request itself; returns a list of fieldError
+const validateRequest = ({ ids, filter, operation, category, tags, date }) => {
+    const errors = [];
+
+    if (!BULK_OPERATIONS.includes(operation)) {
+        errors.push(fieldError('operation', 'INVALID_BULK_OPERATION', { operations: BULK_OPERATIONS.join(', ') }));
+    }
+    if ((ids === undefined) === (filter === undefined)) {
+        errors.push(fieldError('ids', 'BULK_TARGET_REQUIRED'));
+    } else if (ids !== undefined && (!isStringList(ids) || ids.length === 0)) {
+        errors.push(fieldError('ids', 'BULK_IDS_EMPTY'));
+    } else if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) {
+        errors.push(fieldError('filter', 'BULK_FILTER_NOT_OBJECT'));
+    }
+
+    if (operation === 'recategorize' && (category === undefined || category === null || category === '')) {
+        errors.push(fieldError('category', 'FIELD_REQUIRED', { label: 'FIELD_CATEGORY' }));
+    }
+    if (operation === 'retag') {
+        const lists = ['set', 'add', 'remove'].filter(key => tags && tags[key] !== undefined);
+        if (!tags || typeof tags !== 'object' || lists.length === 0) {
+            errors.push(fieldError('tags', 'BULK_TAGS_REQUIRED'));
+        } else if (tags.set !== undefined && (tags.add !== undefined || tags.remove !== undefined)) {
+            errors.push(fieldError('tags', 'BULK_TAGS_SET_EXCLUSIVE'));
+        } else {
+            lists.filter(key => !isStringList(tags[key]))
+                .forEach(key => errors.push(fieldError(`tags.${key}`, 'TAGS_NOT_TEXT')));
+        }
+    }
+    if (operation === 'changeDate' && (date === undefined || date === null || date === '')) {
+        errors.push(fieldError('date', 'FIELD_REQUIRED', { label: 'FIELD_DATE' }));
+    }
+    return errors;
+};
+
+// The records the request points at: the listed ids (missing ones reported
+// as item errors) or every record matching the filter. A filter selecting
+// nothing in particular (e.g. {} or only sorting) is refused rather than
+// taken as "every transaction".
+const resolveTargets = (userId, { ids, filter }) => {
+    const records = transactionsRepository.listByUser(userId);
+
+    if (ids !== undefined) {
+        const byId = new Map(records.map(record => [record.id, record]));
+        return { targets: [...new Set(ids.map(String))].map(id => ({ id, record: byId.get(id) || null })) };
+    }
+
+    const { filters, errors } = parseRecordsQuery(filter);
+    if (errors.length > 0) {
+        return { errors: errors.map(error => ({ ...error, field: `filter.${error.field}` })) };
+    }
+    if (Object.keys(filters).length === 0) {
+        return { errors: [fieldError('filter', 'BULK_FILTER_EMPTY')] };
+    }
+    const categories = categoriesRepository.listByUser(userId);
+    return { targets: filterRecords(records, filters, categories).map(record => ({ id: record.id, record })) };
+};
+
+const retag = (record, { set, add = [], remove = [] }) => {
+    if (set !== undefined) return set;
+    const removed = new Set(normalizeTags(remove).map(tag => tag.toLowerCase()));
+    return [...tagsOf(record), ...add].filter(tag => !removed.has(String(tag).trim().toLowerCase()));
+};
+
+// Changes one record would get, validated with the same schema as PUT /records/:id.
+// Returns { changes } or { errors }.
+const planItem = (record, request, context) => {
+    if (!record) {
+        return { errors: [fieldError('id', 'TRANSACTION_NOT_FOUND')] };
+    }
+    if (request.operation === 'delete') {
+        return { changes: null };
+    }
+    if (record.transferId) {
+        return { errors: [fieldError('id', 'TRANSFER_NOT_EDITABLE')] };
+    }
+    if (request.operation === 'recategorize' && hasSplits(record)) {
+        return { errors: [fieldError('category', 'SPLIT_NOT_RECATEGORIZABLE')] };
+    }
+
+    const input = {
+        recategorize: () => ({ category: request.category }),
+        retag: () => ({ tags: retag(record, request.tags) }),
+        changeDate: () => ({ date: request.date })
+    }[request.operation]();
+
+    const { data, errors } = validate(financialRecordSchema, input, { partial: true, base: record, context });
+    if (errors.length > 0) {
+        return { errors };
+    }
+    const { date, ...changes } = data;
+    return { changes: date !== undefined ? { ...changes, timestamp: date } : changes };
+};
+
+// Applies one operation to many transactions, all or nothing. Request:
+// - ids: transaction ids, or filter: the filters of GET /records
+// - operation: recategorize (category) | retag (tags: { set } or { add, remove })
+//   | changeDate (date) | delete (to the trash, as a single entry)
+// - dryRun: only report what would happen
+// Returns { errors } for a malformed request, { failed: true, results } when
+// any item is invalid (nothing is changed), or the results of the operation.
+const runBulkOperation = (userId, request = {}, { context = SYSTEM_CONTEXT } = {}) => {
+    const requestErrors = validateRequest(request);
+    if (requestErrors.length > 0) {
+        return { errors: requestErrors };
+    }
+
+    const { targets, errors } = resolveTargets(userId, request);
+    if (errors) {
+        return { errors };
+    }
+    if (targets.length > MAX_BULK_ITEMS) {
+        return { errors: [fieldError(request.ids ? 'ids' : 'filter', 'BULK_TOO_MANY', { max: MAX_BULK_ITEMS, count: targets.length })] };
+    }
+
+    const validationContext = {
+        categories: categoriesRepository.listByUser(userId),
+        accounts: accountsRepository.listByUser(userId)
+    };
+    const planned = targets.map(({ id, record }) => ({ id, record, ...planItem(record, request, validationContext) }));
+
+    const results = planned.map(({ id, changes, errors: itemErrors }) => (itemErrors
+        ? { id, status: 'error', errors: itemErrors }
+        : { id, status: 'ok', ...(changes ? { changes } : {}) }));
+
+    if (planned.some(item => item.errors)) {
+        return { failed: true, results };
+    }
+
+    const summary = { operation: request.operation, dryRun: request.dryRun === true, count: planned.length, results };
+    if (summary.dryRun || planned.length === 0) {
+        return summary;
+    }
+
+    if (request.operation === 'delete') {
+        // Transfers leave together: the other leg goes to the trash too
+        const transferIds = new Set(planned.map(item => item.record.transferId).filter(Boolean));
+        const removed = transactionsRepository.listByUser(userId)
+            .filter(record => planned.some(item => item.id === record.id) || transferIds.has(record.transferId));
+        const trashEntry = trashTransactions(userId, removed);
+        recordAudit(userId, context, removed.map(record => ({
+            entity: 'transaction', action: 'delete', entityId: record.id, before: record
+        })));
+        return { ...summary, trashId: trashEntry.id };
+    }
+
+    const before = new Map(planned.map(item => [item.id, snapshot(item.record)]));
+    const updated = transactionsRepository.updateMany(userId, planned.map(({ id, changes }) => ({ id, changes })));
+    recordAudit(userId, context, updated.map(record => ({
+        entity: 'transaction', action: 'update', entityId: record.id, before: before.get(record.id), after: record
+    })));
+    return summary;
+};
+
+module.exports = {
+    BULK_OPERATIONS,
+    MAX_BULK_ITEMS,
+    runBulkOperation
+};
@@ -0,0 +1,85 @@
+const usersRepository = require('../data/repositories/users.repository');
+const exchangeRatesRepository = require('../data/repositories/exchangeRates.repository');
+const { roundCurrency } = require('./reports.service');
+const { toDateKey } = require('../utils/recurrence.utils');
+const { DEFAULT_CURRENCY } = require('../utils/currency.utils');
+const { hasSplits } = require('../utils/splits.utils');
+
+const getBaseCurrency = (user) => (user && user.baseCurrency) || DEFAULT_CURRENCY;
+
+// Amounts stored before currencies existed are in the default currency
+const currencyOf = (entry) => entry.currency || DEFAULT_CURRENCY;
+
+// Value of one `from` in `to` on `date`: the most recent rate entered on or
+// before that day, for the pair itself or inverted from the opposite pair.
+// Returns null when there is none.
+const findRate = (rates, from, to, date) => {
+    if (from === to) return 1;
+
+    const day = toDateKey(date);
+    const effective = rates
+        .filter(rate => toDateKey(rate.date) <= day &&
+            ((rate.from === from && rate.to === to) || (rate.from === to && rate.to === from)))
+        .reduce((latest, rate) => (!latest || toDateKey(rate.date) >= toDateKey(latest.date) ? rate : latest), null);
+
+    if (!effective) return null;
+    return effective.from === from ? effective.rate : 1 / effective.rate;
+};
+
+// Converts amounts of `userId` into `currency` (the user's base currency by
+// default) with the rates of their table. Amounts without a rate are left out
+// and reported by missingRates(): per currency, the earliest day a rate is
+// needed for, in the shape POST /exchange-rates expects.
+const createConverter = (userId, currency = null) => {
+    const target = currency || getBaseCurrency(usersRepository.findById(userId));
+    const rates = exchangeRatesRepository.listByUser(userId);
+    const missing = new Map();
+
+    const convert = (value, from, date) => {
+        const rate = findRate(rates, from, target, date);
+        if (rate === null) {
+            const day = toDateKey(date);
+            if (!missing.has(from) || day < missing.get(from).date) {
+                missing.set(from, { from, to: target, date: day });
+            }
+            return null;
+        }
+        return roundCurrency((Number(value) || 0) * rate);
+    };
+
+    // Records in another currency get the converted value (and split amounts);
+    // the original value is kept in originalValue / originalCurrency
+    const convertRecords = (records) => records.reduce((converted, record) => {
+        const from = currencyOf(record);
+        if (from === target) {
+            converted.push(record);
+            return converted;
+        }
+        const value = convert(record.value, from, record.timestamp);
+        if (value !== null) {
+            const result = { ...record, value, currency: target, originalValue: record.value, originalCurrency: from };
+            if (hasSplits(record)) {
+                result.splits = record.splits.map(split => ({
+                    ...split,
+                    amount: convert(split.amount, from, record.timestamp)
+                }));
+            }
+            converted.push(result);
+        }
+        return converted;
+    }, []);
+
+    return {
+        currency: target,
+        convert,
+        convertRecords,
+        missingRates: () => [...missing.values()]
+    };
+};
+
+module.exports = {
+    getBaseCurrency,
+    currencyOf,
+    findRate,
+    createConverter
+};
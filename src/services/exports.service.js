@@ -0,0 +1,108 @@
+const { toDateKey } = require('../utils/recurrence.utils');
+const { embedCategory } = require('../utils/categories.utils');
+const { currencyOf } = require('./exchangeRates.service');
+const { formatDate, formatNumber } = require('../i18n');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ofx'];
+
+// Same headers the CSV import recognizes, so an export can be imported back
+const CSV_COLUMNS = ['date', 'type', 'category', 'description', 'amount', 'currency'];
+
+const escapeCsv = (value, delimiter = ',') => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const categoryName = (categories, id) => {
+    const category = categories.find(cat => cat.id === id);
+    return category ? category.name : '';
+};
+
+// With `locale`, dates and amounts are written the way that locale does
+// (05/10/2025, -150,50) and columns are separated by ";" when the decimal
+// separator is ",". Such a file imports back with the matching dateFormat,
+// decimalSeparator and delimiter options.
+const toCsv = (records, categories, { locale = null } = {}) => {
+    const delimiter = locale && formatNumber(0.5, locale).includes(',') ? ';' : ',';
+
+    const lines = records.map(record => [
+        locale ? formatDate(record.timestamp, locale) : toDateKey(record.timestamp),
+        record.type,
+        categoryName(categories, record.category),
+        record.description,
+        locale ? formatNumber(record.value, locale) : Number(record.value).toFixed(2),
+        currencyOf(record)
+    ].map(value => escapeCsv(value, delimiter)).join(delimiter));
+
+    return [CSV_COLUMNS.join(delimiter), ...lines].join('\n') + '\n';
+};
+
+const toJson = (records, categories) => records.map(embedCategory(categories));
+
+const escapeSgml = (text) => String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const toOfxDate = (date) => toDateKey(date).replace(/-/g, '');
+
+// OFX 1.02 (SGML) bank statement. OFX has no categories; FITID keeps the id
+// the entry was imported with, or the transaction id.
+const toOfx = (records, { accountId, currency = 'BRL' }) => {
+    const dates = records.map(record => new Date(record.timestamp)).sort((a, b) => a - b);
+    const now = new Date();
+
+    const transactions = records.map(record => {
+        const fitId = record.externalId ? record.externalId.split(':').pop() : record.id;
+        return [
+            '<STMTTRN>',
+            `<TRNTYPE>${record.value >= 0 ? 'CREDIT' : 'DEBIT'}`,
+            `<DTPOSTED>${toOfxDate(record.timestamp)}`,
+            `<TRNAMT>${Number(record.value).toFixed(2)}`,
+            `<FITID>${escapeSgml(fitId)}`,
+            `<NAME>${escapeSgml(record.description)}`,
+            '</STMTTRN>'
+        ].join('\n');
+    });
+
+    return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:UTF-8',
+        'CHARSET:NONE',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS>',
+        '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        `<DTSERVER>${toOfxDate(now)}`,
+        '<LANGUAGE>POR',
+        '</SONRS></SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1><STMTTRNRS>',
+        '<TRNUID>0',
+        '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        '<STMTRS>',
+        `<CURDEF>${currency}`,
+        `<BANKACCTFROM><BANKID>0<ACCTID>${escapeSgml(accountId)}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+        '<BANKTRANLIST>',
+        `<DTSTART>${toOfxDate(dates[0] || now)}`,
+        `<DTEND>${toOfxDate(dates[dates.length - 1] || now)}`,
+        ...transactions,
+        '</BANKTRANLIST>',
+        '</STMTRS>',
+        '</STMTTRNRS></BANKMSGSRSV1>',
+        '</OFX>',
+        ''
+    ].join('\n');
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    toCsv,
+    toJson,
+    toOfx
+};
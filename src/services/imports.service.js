@@ -0,0 +1,259 @@
+const { v4: uuidv4 } = require('uuid');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const rulesRepository = require('../data/repositories/rules.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const { compileRules, categorize } = require('./rules.service');
+const { currencyOf } = require('./exchangeRates.service');
+const financialRecordSchema = require('../schemas/financialRecord.schema');
+const { fieldError, validate } = require('../utils/validation.utils');
+const { normalizeText } = require('../utils/recordsQuery.utils');
+const { toDateKey } = require('../utils/recurrence.utils');
+const { codedError } = require('../i18n');
+
+// Uploaded files wait this long for confirmation before being discarded
+const PENDING_TTL_MS = 30 * 60 * 1000;
+
+const NEW_CATEGORY_COLOR = '#B0BEC5';
+
+// Uploads waiting for confirmation, by import id. They only live in memory:
+// a restart simply asks the user to upload the file again.
+const pendingImports = new Map();
+
+const importError = (code, status = 400) => codedError(code, status);
+
+const purgeExpired = () => {
+    const now = Date.now();
+    pendingImports.forEach((pending, id) => {
+        if (pending.expiresAt.getTime() <= now) pendingImports.delete(id);
+    });
+};
+
+// Same day, same amount and same description as an existing transaction
+const duplicateKey = (date, value, description) =>
+    `${toDateKey(date)}|${Number(value).toFixed(2)}|${normalizeText(description).trim()}`;
+
+// Resolves categories, validates and flags duplicates for every parsed row.
+// Runs on preview and again on confirm, so changed options take effect.
+//
+// Options:
+// - categoryMapping: { "name in the file": "category id or name" }
+// - createMissingCategories: unknown categories are created on confirm
+//   instead of making their rows invalid
+// - accountId: account receiving the rows (the default account otherwise)
+//
+// Rows without a category are run through the user's categorization rules and
+// go to the uncategorized fallback when none matches. Throws (404) when the
+// target account was deleted after the upload.
+const resolveRows = (userId, rows, { categoryMapping = {}, createMissingCategories = false, accountId = null } = {}) => {
+    const categories = categoriesRepository.listByUser(userId);
+    const accounts = accountsRepository.listByUser(userId);
+    const targetAccount = accountId
+        ? accountsRepository.findById(userId, accountId)
+        : accountsRepository.findDefault(userId);
+    if (!targetAccount) {
+        throw importError('IMPORT_ACCOUNT_NOT_FOUND', 404);
+    }
+    const rules = compileRules(rulesRepository.listByUser(userId));
+    const uncategorized = categoriesRepository.findUncategorized(userId);
+    const newCategories = new Map();
+    const unknownCategories = new Set();
+
+    const existing = transactionsRepository.listByUser(userId);
+    // Values are what a duplicate row reports: the stored transaction it
+    // repeats (duplicateOf) or the earlier row of the file (duplicateOfRow)
+    const byKey = new Map(existing.map(record =>
+        [duplicateKey(record.timestamp, record.value, record.description), { duplicateOf: record.id }]
+    ));
+    const byExternalId = new Map(existing
+        .filter(record => record.externalId)
+        .map(record => [record.externalId, { duplicateOf: record.id }]));
+
+    const findCategory = (ref) => categories.find(cat => cat.id === ref || cat.name === ref)
+        || newCategories.get(ref);
+
+    const results = rows.map(row => {
+        if (row.errors.length > 0) {
+            return { row: row.row, status: 'invalid', errors: row.errors, record: null };
+        }
+
+        let description = row.description;
+        let category;
+        if (row.category) {
+            const mapped = Object.prototype.hasOwnProperty.call(categoryMapping, row.category) && categoryMapping[row.category];
+            category = findCategory(mapped || row.category);
+        } else {
+            const changes = categorize(rules, categories, row);
+            category = changes ? findCategory(changes.category) : uncategorized;
+            if (changes && changes.description) description = changes.description;
+        }
+
+        if (!category && createMissingCategories) {
+            category = {
+                id: `new:${row.category}`,
+                name: row.category,
+                type: row.type,
+                color: NEW_CATEGORY_COLOR,
+                isDefault: false,
+                parentId: null
+            };
+            newCategories.set(row.category, category);
+        }
+
+        if (!category) {
+            unknownCategories.add(row.category);
+            return {
+                row: row.row,
+                status: 'invalid',
+                errors: [fieldError('category', 'UNKNOWN_CATEGORY', { name: row.category })],
+                record: null
+            };
+        }
+
+        const { data, errors } = validate(financialRecordSchema, {
+            description,
+            value: row.value,
+            type: row.type,
+            category: category.id,
+            date: row.date,
+            accountId: targetAccount.id,
+            // Without a currency in the file, rows are in the account's currency
+            currency: row.currency || currencyOf(targetAccount)
+        }, { context: { categories: [...categories, ...newCategories.values()], accounts } });
+
+        if (errors.length > 0) {
+            return { row: row.row, status: 'invalid', errors, record: null };
+        }
+
+        const record = {
+            timestamp: data.date,
+            description: data.description,
+            value: data.value,
+            type: data.type,
+            category: data.category,
+            accountId: data.accountId,
+            currency: data.currency
+        };
+        if (row.externalId) record.externalId = row.externalId;
+
+        const key = duplicateKey(record.timestamp, record.value, record.description);
+        const duplicateOf = (row.externalId && byExternalId.get(row.externalId)) || byKey.get(key);
+        if (duplicateOf) {
+            return { row: row.row, status: 'duplicate', errors: [], record, ...duplicateOf };
+        }
+
+        // Later rows repeating this one in the same file are duplicates too
+        byKey.set(key, { duplicateOfRow: row.row });
+        if (row.externalId) byExternalId.set(row.externalId, { duplicateOfRow: row.row });
+        return { row: row.row, status: 'valid', errors: [], record };
+    });
+
+    return {
+        rows: results,
+        unknownCategories: [...unknownCategories],
+        newCategories: [...newCategories.values()]
+    };
+};
+
+const toPreview = (pending, { rows, unknownCategories, newCategories }) => ({
+    importId: pending.id,
+    source: pending.source,
+    expiresAt: pending.expiresAt,
+    summary: {
+        total: rows.length,
+        valid: rows.filter(row => row.status === 'valid').length,
+        invalid: rows.filter(row => row.status === 'invalid').length,
+        duplicates: rows.filter(row => row.status === 'duplicate').length
+    },
+    unknownCategories,
+    newCategories: newCategories.map(category => category.name),
+    rows
+});
+
+// Phase 1: keeps the parsed rows and returns the preview; nothing is stored yet
+const createImport = (userId, source, rows, options = {}) => {
+    purgeExpired();
+
+    const pending = {
+        id: uuidv4(),
+        userId,
+        source,
+        rows,
+        options,
+        expiresAt: new Date(Date.now() + PENDING_TTL_MS)
+    };
+    pendingImports.set(pending.id, pending);
+
+    return toPreview(pending, resolveRows(userId, rows, options));
+};
+
+const findImport = (userId, importId) => {
+    purgeExpired();
+    const pending = pendingImports.get(importId);
+    return pending && pending.userId === userId ? pending : null;
+};
+
+const getImportPreview = (userId, importId) => {
+    const pending = findImport(userId, importId);
+    return pending ? toPreview(pending, resolveRows(userId, pending.rows, pending.options)) : null;
+};
+
+const discardImport = (userId, importId) => {
+    const pending = findImport(userId, importId);
+    return pending ? pendingImports.delete(importId) : false;
+};
+
+// Phase 2: stores the valid rows (and the duplicates when includeDuplicates is
+// set), creating the missing categories they use. `overrides` may change the
+// category options and list rows to leave out in `skipRows`.
+const confirmImport = (userId, importId, overrides = {}) => {
+    const pending = findImport(userId, importId);
+    if (!pending) {
+        return null;
+    }
+
+    const options = { ...pending.options, ...overrides };
+    const skipRows = new Set(options.skipRows || []);
+    const { rows, newCategories } = resolveRows(userId, pending.rows, options);
+
+    const toImport = rows.filter(row => !skipRows.has(row.row) &&
+        (row.status === 'valid' || (options.includeDuplicates && row.status === 'duplicate')));
+
+    const categoryIds = new Map();
+    const createdCategories = newCategories
+        .filter(category => toImport.some(row => row.record.category === category.id))
+        .map(category => {
+            const created = categoriesRepository.create(userId, { ...category, id: uuidv4(), userId });
+            categoryIds.set(category.id, created.id);
+            return created;
+        });
+
+    const records = transactionsRepository.createMany(userId, toImport.map(row => ({
+        id: uuidv4(),
+        ...row.record,
+        category: categoryIds.get(row.record.category) || row.record.category,
+        userId
+    })));
+
+    pendingImports.delete(importId);
+
+    const errors = rows
+        .filter(row => row.status === 'invalid')
+        .flatMap(row => row.errors.map(error => ({ row: row.row, ...error })));
+
+    return {
+        createdCount: records.length,
+        errorCount: errors.length,
+        errors,
+        skippedDuplicates: rows.filter(row => row.status === 'duplicate' && !toImport.includes(row)).length,
+        createdCategories,
+        records
+    };
+};
+
+module.exports = {
+    createImport,
+    getImportPreview,
+    discardImport,
+    confirmImport
+};
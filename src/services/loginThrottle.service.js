@@ -0,0 +1,49 @@
+const counters = require('../data/counters');
+
+// Failed logins are counted per account and per IP within LOGIN_LOCKOUT_MS.
+// An account reaching LOGIN_MAX_FAILURES, or an IP reaching
+// LOGIN_MAX_IP_FAILURES (guessing across many accounts), is locked for
+// LOGIN_LOCKOUT_MS from that moment.
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Returns when the lock ends ({ resetAt }) if the attempt must be refused
+// before even checking the password, null otherwise. Unknown emails are
+// counted like existing ones, so a lock says nothing about who has an account.
+const getLoginBlock = async (ip, email) => {
+    const locks = (await Promise.all([
+        counters.get(`login-lock:${accountKey(email)}`),
+        counters.get(`login-lock:${ipKey(ip)}`)
+    ])).filter(Boolean);
+
+    return locks.length > 0 ? { resetAt: Math.max(...locks.map(lock => lock.resetAt)) } : null;
+};
+
+const recordFailure = async (key, max) => {
+    const { count } = await counters.hit(`login-failures:${key}`, LOCKOUT_MS);
+    if (count === max) {
+        await counters.hit(`login-lock:${key}`, LOCKOUT_MS);
+    }
+};
+
+const recordLoginFailure = async (ip, email) => {
+    await Promise.all([
+        recordFailure(accountKey(email), MAX_ACCOUNT_FAILURES),
+        recordFailure(ipKey(ip), MAX_IP_FAILURES)
+    ]);
+};
+
+// The IP keeps its failures: one valid account must not clear the guesses at others
+const recordLoginSuccess = async (email) => {
+    await counters.reset(`login-failures:${accountKey(email)}`);
+};
+
+module.exports = {
+    getLoginBlock,
+    recordLoginFailure,
+    recordLoginSuccess
+};
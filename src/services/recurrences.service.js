@@ -0,0 +1,117 @@
+const { v4: uuidv4 } = require('uuid');
+const usersRepository = require('../data/repositories/users.repository');
+const recurrencesRepository = require('../data/repositories/recurrences.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const { toDateKey, listOccurrences } = require('../utils/recurrence.utils');
+const { currencyOf } = require('./exchangeRates.service');
+const { SYSTEM_CONTEXT, recordAudit } = require('./audit.service');
+
+const DEFAULT_JOB_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// A recurrence generates at most one transaction per occurrence date
+const occurrenceKey = (recurrenceId, date) => `${recurrenceId}:${toDateKey(date)}`;
+
+const buildTransaction = (entry, date, account) => ({
+    id: uuidv4(),
+    timestamp: date,
+    description: entry.description,
+    value: entry.value,
+    currency: entry.currency || currencyOf(account),
+    type: entry.type,
+    category: entry.category,
+    accountId: account.id,
+    userId: entry.userId,
+    recurrenceId: entry.id
+});
+
+// Creates the transactions that became due since each entry's last run.
+// Running it twice for the same period creates nothing the second time.
+// With dryRun the transactions are only returned, nothing is stored.
+// The audit trail credits them to `context` (the background job by default).
+const materialize = (userId, { until = new Date(), dryRun = false, context = SYSTEM_CONTEXT } = {}) => {
+    const existingKeys = new Set(
+        transactionsRepository.listByUser(userId)
+            .filter(record => record.recurrenceId)
+            .map(record => occurrenceKey(record.recurrenceId, record.timestamp))
+    );
+
+    const created = [];
+    const defaultAccount = accountsRepository.findDefault(userId);
+    const accountOf = (entry) => (entry.accountId && accountsRepository.findById(userId, entry.accountId)) ||
+        defaultAccount;
+
+    recurrencesRepository.listByUser(userId).forEach(entry => {
+        const from = entry.lastRunAt ? new Date(entry.lastRunAt) : null;
+
+        listOccurrences(entry, { from, to: until }).forEach(({ date }) => {
+            const key = occurrenceKey(entry.id, date);
+            if (existingKeys.has(key)) return;
+
+            existingKeys.add(key);
+            created.push(buildTransaction(entry, date, accountOf(entry)));
+        });
+    });
+
+    if (dryRun) {
+        return created;
+    }
+
+    recurrencesRepository.markRun(userId, until);
+    if (created.length > 0) {
+        transactionsRepository.createMany(userId, created);
+        recordAudit(userId, context, created.map(record => ({
+            entity: 'transaction', action: 'create', entityId: record.id, after: record
+        })));
+    }
+
+    return created;
+};
+
+// Upcoming occurrences of every recurrent entry, without touching any data
+const preview = (userId, { from = new Date(), until = null, limit = 12 } = {}) => {
+    return recurrencesRepository.listByUser(userId)
+        .flatMap(entry => listOccurrences(entry, { from, to: until, limit })
+            .map(({ index, date }) => ({
+                recurrenceId: entry.id,
+                occurrence: index + 1,
+                date,
+                description: entry.description,
+                value: entry.value,
+                type: entry.type,
+                category: entry.category
+            })))
+        .sort((a, b) => a.date - b.date);
+};
+
+const materializeAll = (options) => {
+    return usersRepository.list()
+        .reduce((count, user) => count + materialize(user.id, options).length, 0);
+};
+
+// Periodically catches up every user's recurrences; started by server.js only,
+// so importing the app (e.g. in tests) never schedules anything
+const startRecurrenceJob = (intervalMs = Number(process.env.RECURRENCE_JOB_INTERVAL_MS) || DEFAULT_JOB_INTERVAL_MS) => {
+    const run = () => {
+        try {
+            const count = materializeAll();
+            if (count > 0) {
+                console.log(`${new Date().toISOString()} - ${count} transações recorrentes geradas`);
+            }
+        } catch (error) {
+            console.error('Recurrence job failed:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    materialize,
+    materializeAll,
+    preview,
+    startRecurrenceJob
+};
@@ -0,0 +1,147 @@
+const { expandSplits } = require('../utils/splits.utils');
+const { parentOf, getAncestorIds, toTree } = require('../utils/categories.utils');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Sums of floats drift (0.1 + 0.2), every reported amount is rounded to cents
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+const toMonthKey = (date) => date.toISOString().slice(0, 7);
+
+// Weeks start on Monday and are identified by that day
+const toWeekKey = (date) => {
+    const offset = (date.getUTCDay() + 6) % 7;
+    return toDayKey(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - offset)));
+};
+
+const PERIOD_KEYS = { day: toDayKey, week: toWeekKey, month: toMonthKey };
+
+// Both legs of a transfer between accounts carry the same transferId
+const isTransfer = (record) => !!record.transferId;
+
+const findCategory = (categories, ref) => categories.find(cat => cat.id === ref || cat.name === ref);
+
+// Transfers are not income or expenses: they only move money between accounts,
+// so they are reported apart (and cancel out when every account is included)
+const summarize = (records) => {
+    const totals = records.reduce((acc, record) => {
+        const value = Number(record.value) || 0;
+        if (isTransfer(record)) acc.transfers += value;
+        else if (value >= 0) acc.income += value;
+        else acc.expenses += Math.abs(value);
+        return acc;
+    }, { income: 0, expenses: 0, transfers: 0 });
+
+    return {
+        income: roundCurrency(totals.income),
+        expenses: roundCurrency(totals.expenses),
+        transfers: roundCurrency(totals.transfers),
+        net: roundCurrency(totals.income - totals.expenses + totals.transfers)
+    };
+};
+
+// Current balance: opening balance of the accounts plus every signed transaction value
+const getBalance = (records, openingBalance = 0) => {
+    const { income, expenses, transfers, net } = summarize(records);
+    return {
+        balance: roundCurrency(openingBalance + net),
+        openingBalance,
+        income,
+        expenses,
+        transfers,
+        transactionCount: records.length
+    };
+};
+
+const groupBy = (records, keyOf) => records.reduce((groups, record) => {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+    return groups;
+}, new Map());
+
+// Income and expense totals per calendar month, oldest first
+const getMonthlySummary = (records) => {
+    const groups = groupBy(records, record => toMonthKey(new Date(record.timestamp)));
+    return [...groups.keys()].sort().map(month => ({ month, ...summarize(groups.get(month)) }));
+};
+
+// Amount per category for one transaction type, with its share of the total.
+// Each part of a split transaction counts towards its own category. Totals of
+// subcategories roll up into their parents: `total` and `count` include them,
+// `ownTotal` and `ownCount` do not. With `tree` the entries are nested
+// (`children`) instead of listed side by side.
+const getCategoryBreakdown = (records, categories, type = 'debito', { tree = false } = {}) => {
+    const ofType = expandSplits(records.filter(record => record.type === type && !isTransfer(record)));
+    const total = ofType.reduce((sum, record) => sum + Math.abs(Number(record.value) || 0), 0);
+
+    const groups = groupBy(ofType, record => {
+        const category = findCategory(categories, record.category);
+        return category ? category.id : record.category;
+    });
+
+    const totals = new Map();
+    groups.forEach((items, ref) => {
+        const amount = items.reduce((sum, record) => sum + Math.abs(Number(record.value) || 0), 0);
+        const category = findCategory(categories, ref);
+        [ref, ...(category ? getAncestorIds(categories, category.id) : [])].forEach((id, index) => {
+            const entry = totals.get(id) || { amount: 0, count: 0, ownAmount: 0, ownCount: 0 };
+            entry.amount += amount;
+            entry.count += items.length;
+            if (index === 0) {
+                entry.ownAmount += amount;
+                entry.ownCount += items.length;
+            }
+            totals.set(id, entry);
+        });
+    });
+
+    const entries = [...totals.entries()]
+        .map(([ref, { amount, count, ownAmount, ownCount }]) => {
+            const category = findCategory(categories, ref);
+            return {
+                categoryId: category ? category.id : null,
+                name: category ? category.name : ref,
+                color: category ? category.color : null,
+                parentId: category ? parentOf(category) : null,
+                type,
+                total: roundCurrency(amount),
+                ownTotal: roundCurrency(ownAmount),
+                percentage: total > 0 ? roundCurrency((amount / total) * 100) : 0,
+                count,
+                ownCount
+            };
+        })
+        .sort((a, b) => b.total - a.total);
+
+    return tree
+        ? toTree(entries, { idOf: entry => entry.categoryId || entry.name, compare: (a, b) => b.total - a.total })
+        : entries;
+};
+
+// Running balance per period. `openingRecords` are the transactions before the
+// range and `openingBalance` the accounts' opening balances, so the first period
+// starts from the real balance instead of zero.
+const getCashflow = (records, granularity = 'month', openingRecords = [], openingBalance = 0) => {
+    const keyOf = PERIOD_KEYS[granularity];
+    const groups = groupBy(records, record => keyOf(new Date(record.timestamp)));
+    let balance = roundCurrency(openingBalance + summarize(openingRecords).net);
+
+    return [...groups.keys()].sort().map(period => {
+        const totals = summarize(groups.get(period));
+        balance = roundCurrency(balance + totals.net);
+        return { period, ...totals, balance };
+    });
+};
+
+module.exports = {
+    GRANULARITIES,
+    roundCurrency,
+    isTransfer,
+    summarize,
+    getBalance,
+    getMonthlySummary,
+    getCategoryBreakdown,
+    getCashflow
+};
@@ -0,0 +1,164 @@
+const rulesRepository = require('../data/repositories/rules.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const { normalizeText } = require('../utils/recordsQuery.utils');
+const { isUncategorized } = require('../utils/categories.utils');
+const { compileUserRegex } = require('../utils/regex.utils');
+const { hasSplits } = require('../utils/splits.utils');
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Minimum similarity between two descriptions for a past transaction to vote
+const SUGGESTION_MIN_SIMILARITY = 0.3;
+
+// Rules ready to be matched: each regex is compiled once per pass instead of
+// once per record. A pattern stored before unsafe ones were refused compiles
+// to null and its rule never matches.
+const compileRules = (rules) => rules.map(rule => ({
+    ...rule,
+    compiledRegex: rule.descriptionRegex ? compileUserRegex(rule.descriptionRegex) : null
+}));
+
+// Every condition present on the rule (from compileRules) must match the record
+const matchesRule = (rule, record) => {
+    const description = String(record.description || '');
+    const amount = Math.abs(Number(record.value));
+
+    if (rule.enabled === false) return false;
+    if (rule.type && record.type !== rule.type) return false;
+    if (rule.descriptionContains &&
+        !normalizeText(description).includes(normalizeText(rule.descriptionContains))) return false;
+    if (rule.descriptionRegex && !(rule.compiledRegex && rule.compiledRegex.test(description))) return false;
+    if (isSet(rule.minValue) && !(amount >= rule.minValue)) return false;
+    if (isSet(rule.maxValue) && !(amount <= rule.maxValue)) return false;
+    return true;
+};
+
+// First matching rule (in priority order, compiled by compileRules) whose
+// category fits the record type. Returns the changes it makes
+// ({ category, description? }) or null.
+const categorize = (rules, categories, record) => {
+    for (const rule of rules) {
+        if (!matchesRule(rule, record)) continue;
+
+        const category = categories.find(cat => cat.id === rule.category);
+        if (!category || (category.type !== record.type && !isUncategorized(category))) continue;
+
+        const changes = { category: category.id, ruleId: rule.id };
+        if (rule.setDescription) changes.description = rule.setDescription;
+        return changes;
+    }
+    return null;
+};
+
+// Shortcut used on create and import: applies the user's stored rules
+const categorizeForUser = (userId, record) => categorize(
+    compileRules(rulesRepository.listByUser(userId)),
+    categoriesRepository.listByUser(userId),
+    record
+);
+
+// Existing transactions a (possibly unsaved) rule would change
+const testRule = (userId, rule) => {
+    const categories = categoriesRepository.listByUser(userId);
+    const rules = compileRules([{ ...rule, enabled: true }]);
+    return transactionsRepository.listByUser(userId)
+        .filter(record => !record.transferId)
+        .filter(record => categorize(rules, categories, record))
+        .map(record => ({
+            id: record.id,
+            timestamp: record.timestamp,
+            description: record.description,
+            value: record.value,
+            type: record.type,
+            category: record.category,
+            newCategory: rule.category,
+            newDescription: rule.setDescription || record.description
+        }));
+};
+
+// Re-runs the rules over past transactions. scope 'uncategorized' (default)
+// only touches transactions in the fallback category, 'all' every transaction.
+// Transfers and split transactions are left alone.
+const reapplyRules = (userId, { scope = 'uncategorized', dryRun = false } = {}) => {
+    const rules = compileRules(rulesRepository.listByUser(userId));
+    const categories = categoriesRepository.listByUser(userId);
+    const uncategorized = categoriesRepository.findUncategorized(userId);
+
+    const changes = transactionsRepository.listByUser(userId)
+        .filter(record => !record.transferId && !hasSplits(record))
+        .filter(record => scope === 'all' || (uncategorized && record.category === uncategorized.id))
+        .map(record => ({ record, result: categorize(rules, categories, record) }))
+        .filter(({ record, result }) => result && (
+            result.category !== record.category ||
+            (result.description && result.description !== record.description)
+        ))
+        .map(({ record, result }) => ({
+            id: record.id,
+            ruleId: result.ruleId,
+            category: { from: record.category, to: result.category },
+            description: { from: record.description, to: result.description || record.description }
+        }));
+
+    if (!dryRun) {
+        changes.forEach(change => transactionsRepository.update(userId, change.id, {
+            category: change.category.to,
+            description: change.description.to
+        }));
+    }
+
+    return changes;
+};
+
+const tokenize = (description) => new Set(
+    normalizeText(description)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length >= 3 && !/^\d+$/.test(token))
+);
+
+// Jaccard similarity between the token sets of two descriptions
+const similarity = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(token => { if (b.has(token)) shared++; });
+    return shared / (a.size + b.size - shared);
+};
+
+// Categories the user picked for similar descriptions in the past, best first
+const suggestCategories = (userId, description, { type = null, limit = 3 } = {}) => {
+    const tokens = tokenize(description);
+    const categories = categoriesRepository.listByUser(userId);
+    const scores = new Map();
+
+    transactionsRepository.listByUser(userId).forEach(record => {
+        if (type && record.type !== type) return;
+        const category = categories.find(cat => cat.id === record.category);
+        if (!category || isUncategorized(category)) return;
+
+        const score = similarity(tokens, tokenize(record.description));
+        if (score >= SUGGESTION_MIN_SIMILARITY) {
+            scores.set(category.id, (scores.get(category.id) || 0) + score);
+        }
+    });
+
+    const total = [...scores.values()].reduce((sum, score) => sum + score, 0);
+
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([categoryId, score]) => ({
+            categoryId,
+            name: categories.find(cat => cat.id === categoryId).name,
+            confidence: Math.round((score / total) * 100) / 100
+        }));
+};
+
+module.exports = {
+    compileRules,
+    matchesRule,
+    categorize,
+    categorizeForUser,
+    testRule,
+    reapplyRules,
+    suggestCategories
+};
@@ -0,0 +1,102 @@
+const { v4: uuidv4 } = require('uuid');
+const usersRepository = require('../data/repositories/users.repository');
+const sessionsRepository = require('../data/repositories/sessions.repository');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken, hashToken } = require('../utils/jwt.utils');
+const { codedError } = require('../i18n');
+
+// Same lifetime as the refresh token; every rotation starts it again
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A refresh token presented again this soon after being rotated comes from a
+// concurrent request (two tabs refreshing at once), not from a stolen copy
+const REUSE_GRACE_MS = 10 * 1000;
+
+const sessionError = (code, status = 401) => codedError(code, status);
+
+const issueTokens = (user, session, tokenId) => ({
+    accessToken: generateAccessToken({ userId: user.id, email: user.email, sessionId: session.id }),
+    refreshToken: generateRefreshToken({ userId: user.id, sessionId: session.id, tokenId })
+});
+
+// Every login starts a session (one per device) holding the refresh token
+// family. Returns the session and its first token pair.
+const startSession = (user, { userAgent = null, ip = null } = {}) => {
+    const tokenId = uuidv4();
+    const now = new Date();
+
+    const session = sessionsRepository.create(user.id, {
+        id: uuidv4(),
+        userAgent,
+        ip,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+        tokenHash: hashToken(tokenId),
+        previousTokenHash: null,
+        rotatedAt: null
+    });
+
+    return { session, ...issueTokens(user, session, tokenId) };
+};
+
+// Exchanges a refresh token for a new pair; the old refresh token stops
+// working. Presenting an already rotated token means it was copied, so the
+// whole session is revoked. Throws an Error with `status` on failure.
+const rotateSession = (refreshToken, { userAgent = null, ip = null } = {}) => {
+    const decoded = verifyRefreshToken(refreshToken);
+
+    const user = usersRepository.findById(decoded.userId);
+    if (!user) {
+        throw sessionError('USER_NOT_FOUND', 404);
+    }
+
+    // Tokens issued before sessions existed have no session to rotate
+    const session = decoded.sessionId && sessionsRepository.findById(user.id, decoded.sessionId);
+    if (!session) {
+        throw sessionError('SESSION_EXPIRED');
+    }
+
+    const presented = hashToken(decoded.tokenId);
+    if (presented !== session.tokenHash) {
+        const concurrent = presented === session.previousTokenHash &&
+            Date.now() - new Date(session.rotatedAt).getTime() < REUSE_GRACE_MS;
+        if (concurrent) {
+            throw sessionError('REFRESH_TOKEN_RACE', 409);
+        }
+        sessionsRepository.remove(user.id, session.id);
+        console.warn(`${new Date().toISOString()} - Refresh token reused, session ${session.id} revoked`);
+        throw sessionError('REFRESH_TOKEN_REUSED');
+    }
+
+    const tokenId = uuidv4();
+    const now = new Date();
+    const rotated = sessionsRepository.update(user.id, session.id, {
+        tokenHash: hashToken(tokenId),
+        previousTokenHash: session.tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+        userAgent: userAgent || session.userAgent,
+        ip: ip || session.ip
+    });
+
+    return { session: rotated, ...issueTokens(user, rotated, tokenId) };
+};
+
+// What GET /users/sessions shows: never the token hashes
+const toSessionSummary = (currentSessionId) => (session) => ({
+    id: session.id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+});
+
+module.exports = {
+    SESSION_TTL_MS,
+    startSession,
+    rotateSession,
+    toSessionSummary
+};
@@ -0,0 +1,207 @@
+const { v4: uuidv4 } = require('uuid');
+const usersRepository = require('../data/repositories/users.repository');
+const trashRepository = require('../data/repositories/trash.repository');
+const transactionsRepository = require('../data/repositories/transactions.repository');
+const categoriesRepository = require('../data/repositories/categories.repository');
+const accountsRepository = require('../data/repositories/accounts.repository');
+const recurrencesRepository = require('../data/repositories/recurrences.repository');
+const rulesRepository = require('../data/repositories/rules.repository');
+const { snapshot } = require('./audit.service');
+const { parentOf } = require('../utils/categories.utils');
+const { codedError } = require('../i18n');
+
+// Deleted transactions and categories stay restorable for TRASH_RETENTION_DAYS
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const trashError = (code, status = 400) => codedError(code, status);
+
+const addToTrash = (userId, entry) => {
+    const deletedAt = new Date();
+    return trashRepository.create(userId, {
+        id: uuidv4(),
+        ...entry,
+        deletedAt,
+        expiresAt: new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS)
+    });
+};
+
+const isExpired = (entry, now = new Date()) => new Date(entry.expiresAt) <= now;
+
+// Moves transactions (e.g. both legs of a transfer) into the trash as one entry
+const trashTransactions = (userId, records) => {
+    if (records.length === 0) {
+        return null;
+    }
+    transactionsRepository.removeMany(userId, records.map(record => record.id));
+    return addToTrash(userId, { entity: 'transaction', items: records });
+};
+
+// Where a category is used: the category of transactions, split parts,
+// recurrent entries and rules ({ collection, id, split? })
+const findCategoryReferences = (userId, categoryId) => [
+    ...transactionsRepository.listByUser(userId).flatMap(record => [
+        ...(record.category === categoryId ? [{ collection: 'transactions', id: record.id }] : []),
+        ...(record.splits || [])
+            .map((split, index) => (split.category === categoryId ? { collection: 'transactions', id: record.id, split: index } : null))
+            .filter(Boolean)
+    ]),
+    ...recurrencesRepository.listByUser(userId)
+        .filter(entry => entry.category === categoryId)
+        .map(entry => ({ collection: 'recurrences', id: entry.id })),
+    ...rulesRepository.listByUser(userId)
+        .filter(rule => rule.category === categoryId)
+        .map(rule => ({ collection: 'rules', id: rule.id }))
+];
+
+// Moves a category into the trash. Everything using it is reassigned to
+// `replacementId` (the uncategorized fallback or its parent) and its
+// subcategories move up to its parent, remembering which, so a restore can
+// put everything back.
+const trashCategory = (userId, category, replacementId) => {
+    const references = findCategoryReferences(userId, category.id);
+    const childIds = categoriesRepository.listByUser(userId)
+        .filter(entry => parentOf(entry) === category.id)
+        .map(entry => entry.id);
+
+    transactionsRepository.reassignCategory(userId, category.id, replacementId);
+    recurrencesRepository.reassignCategory(userId, category.id, replacementId);
+    rulesRepository.reassignCategory(userId, category.id, replacementId);
+    childIds.forEach(id => categoriesRepository.update(userId, id, { parentId: parentOf(category) }));
+    categoriesRepository.remove(userId, category.id);
+
+    return addToTrash(userId, {
+        entity: 'category',
+        items: [category],
+        reassignedTo: replacementId,
+        references,
+        childIds
+    });
+};
+
+// Puts the original category back wherever it still holds the replacement;
+// references edited since the deletion are left alone. Returns the changed
+// transactions as { before, after }.
+const restoreCategoryReferences = (userId, category, { reassignedTo, references }) => {
+    const previous = new Map();
+
+    references.forEach(reference => {
+        if (reference.collection === 'transactions') {
+            const record = transactionsRepository.findById(userId, reference.id);
+            if (!record) return;
+            const before = snapshot(record);
+            if (reference.split === undefined) {
+                if (record.category !== reassignedTo) return;
+                transactionsRepository.update(userId, record.id, { category: category.id });
+            } else {
+                const split = (record.splits || [])[reference.split];
+                if (!split || split.category !== reassignedTo) return;
+                transactionsRepository.update(userId, record.id, {
+                    splits: record.splits.map((part, index) => (index === reference.split ? { ...part, category: category.id } : part))
+                });
+            }
+            if (!previous.has(record.id)) previous.set(record.id, before);
+            return;
+        }
+
+        const repository = reference.collection === 'recurrences' ? recurrencesRepository : rulesRepository;
+        const entry = repository.findById(userId, reference.id);
+        if (entry && entry.category === reassignedTo) {
+            repository.update(userId, entry.id, { category: category.id });
+        }
+    });
+
+    return [...previous].map(([id, before]) => ({ before, after: transactionsRepository.findById(userId, id) }));
+};
+
+// Subcategories moved up on deletion return, unless moved elsewhere since
+const restoreChildren = (userId, category, childIds) => childIds.forEach(id => {
+    const child = categoriesRepository.findById(userId, id);
+    if (child && parentOf(child) === parentOf(category)) {
+        categoriesRepository.update(userId, id, { parentId: category.id });
+    }
+});
+
+// Transactions come back as they were, except that references to accounts or
+// categories deleted in the meantime fall back to the defaults
+const restoreTransactions = (userId, records) => {
+    const uncategorized = categoriesRepository.findUncategorized(userId);
+    const defaultAccount = accountsRepository.findDefault(userId);
+    const categoryOr = (id) => (categoriesRepository.findById(userId, id) ? id : uncategorized.id);
+
+    return transactionsRepository.createMany(userId, records.map(record => ({
+        ...record,
+        category: record.category && categoryOr(record.category),
+        accountId: accountsRepository.findById(userId, record.accountId) ? record.accountId : defaultAccount.id,
+        ...(record.splits ? { splits: record.splits.map(split => ({ ...split, category: categoryOr(split.category) })) } : {})
+    })));
+};
+
+// Restores a trash entry and removes it from the trash. Returns
+// { entry, items, updatedTransactions } (the transactions whose category
+// was put back, as { before, after }); throws an Error with `status` otherwise.
+const restoreFromTrash = (userId, id) => {
+    const entry = trashRepository.findById(userId, id);
+    if (!entry || isExpired(entry)) {
+        throw trashError('TRASH_ITEM_NOT_FOUND', 404);
+    }
+
+    let items;
+    let updatedTransactions = [];
+    if (entry.entity === 'transaction') {
+        items = restoreTransactions(userId, entry.items);
+    } else {
+        const [category] = entry.items;
+        if (categoriesRepository.findByName(userId, category.name)) {
+            throw trashError('TRASH_NAME_CONFLICT', 409);
+        }
+        // A parent deleted (or changed to the other type) in the meantime
+        // leaves it at the top level
+        const parent = parentOf(category) && categoriesRepository.findById(userId, parentOf(category));
+        const parentId = parent && parent.type === category.type ? parent.id : null;
+        items = [categoriesRepository.create(userId, { ...category, parentId })];
+        restoreChildren(userId, items[0], entry.childIds || []);
+        updatedTransactions = restoreCategoryReferences(userId, category, entry);
+    }
+
+    trashRepository.remove(userId, id);
+    return { entry, items, updatedTransactions };
+};
+
+// Drops expired entries for good; returns how many
+const purgeExpired = (userId, now = new Date()) => trashRepository
+    .removeWhere(userId, entry => isExpired(entry, now)).length;
+
+const purgeAllExpired = (now = new Date()) => usersRepository.list()
+    .reduce((count, user) => count + purgeExpired(user.id, now), 0);
+
+// Periodically empties expired trash entries; started by server.js only
+const startTrashPurgeJob = (intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_PURGE_INTERVAL_MS) => {
+    const run = () => {
+        try {
+            const count = purgeAllExpired();
+            if (count > 0) {
+                console.log(`${new Date().toISOString()} - ${count} itens expirados removidos da lixeira`);
+            }
+        } catch (error) {
+            console.error('Trash purge job failed:', error);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    RETENTION_DAYS,
+    isExpired,
+    trashTransactions,
+    trashCategory,
+    restoreFromTrash,
+    purgeExpired,
+    purgeAllExpired,
+    startTrashPurgeJob
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const usersRepository = require('../data/repositories/users.repository');
+const { hashPassword, comparePassword } = require('../utils/password.utils');
+const { generateActionToken, verifyActionToken } = require('../utils/jwt.utils');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp.utils');
+const { codedError } = require('../i18n');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Fin App';
+const RECOVERY_CODE_COUNT = 10;
+
+// Time the user has, after the password, to type the second factor
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const twoFactorError = (code, status = 400) => codedError(code, status);
+
+// user.twoFactor holds { secret, pendingSecret, recoveryCodes, lastUsedStep }
+// and never leaves the server; user.twoFactorEnabled is the visible flag
+const getState = (user) => user.twoFactor || {
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: null
+};
+
+const saveState = (user, changes) => usersRepository.update(user.id, {
+    twoFactor: { ...getState(user), ...changes }
+});
+
+// Formatted as xxxx-xxxx so they are easy to type from a printout
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+// Only hashes are kept (like passwords); the plain codes are shown once
+const hashRecoveryCodes = (codes) => Promise.all(codes.map(code => hashPassword(code)));
+
+const getStatus = (user) => ({
+    enabled: !!user.twoFactorEnabled,
+    recoveryCodesRemaining: user.twoFactorEnabled ? getState(user).recoveryCodes.length : 0
+});
+
+// Starts (or restarts) enrollment: the new secret only takes effect once a
+// code generated from it is confirmed
+const startEnrollment = (user) => {
+    if (user.twoFactorEnabled) {
+        throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    const secret = generateTotpSecret();
+    saveState(user, { pendingSecret: secret });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    };
+};
+
+// A TOTP code is accepted once: the step it belongs to is remembered
+const checkTotp = (user, secret, code) => {
+    const step = verifyTotp(secret, code);
+    const { lastUsedStep } = getState(user);
+    if (step === null || (lastUsedStep !== null && step <= lastUsedStep)) {
+        return false;
+    }
+    saveState(user, { lastUsedStep: step });
+    return true;
+};
+
+// Enables 2FA with the pending secret and returns the plain recovery codes
+const confirmEnrollment = async (user, code) => {
+    const { pendingSecret } = getState(user);
+    if (user.twoFactorEnabled) {
+        throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+    if (!pendingSecret) {
+        throw twoFactorError('TWO_FACTOR_NO_PENDING_SETUP');
+    }
+    if (!checkTotp(user, pendingSecret, code)) {
+        throw twoFactorError('INVALID_CODE');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    saveState(user, {
+        secret: pendingSecret,
+        pendingSecret: null,
+        recoveryCodes: await hashRecoveryCodes(recoveryCodes)
+    });
+    usersRepository.update(user.id, { twoFactorEnabled: true });
+
+    return recoveryCodes;
+};
+
+// Checks a second factor: either a current TOTP `code` or an unused
+// `recoveryCode`, which is spent. Returns false when neither matches.
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+    const state = getState(user);
+    if (!user.twoFactorEnabled) {
+        return false;
+    }
+
+    if (code) {
+        return checkTotp(user, state.secret, code);
+    }
+
+    if (recoveryCode) {
+        const normalized = normalizeRecoveryCode(recoveryCode);
+        for (let i = 0; i < state.recoveryCodes.length; i++) {
+            if (await comparePassword(normalized, state.recoveryCodes[i])) {
+                saveState(user, { recoveryCodes: state.recoveryCodes.filter((_, index) => index !== i) });
+                return true;
+            }
+        }
+    }
+    return false;
+};
+
+// Replaces every recovery code; requires a valid second factor
+const regenerateRecoveryCodes = async (user, factor) => {
+    if (!user.twoFactorEnabled) {
+        throw twoFactorError('TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!await verifySecondFactor(user, factor)) {
+        throw twoFactorError('INVALID_CODE');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    saveState(user, { recoveryCodes: await hashRecoveryCodes(recoveryCodes) });
+    return recoveryCodes;
+};
+
+// Turning 2FA off asks for the password and a second factor, so neither a
+// stolen session nor a stolen password is enough
+const disableTwoFactor = async (user, { password, ...factor } = {}) => {
+    if (!user.twoFactorEnabled) {
+        throw twoFactorError('TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!password || !await comparePassword(password, user.password)) {
+        throw twoFactorError('WRONG_PASSWORD', 401);
+    }
+    if (!await verifySecondFactor(user, factor)) {
+        throw twoFactorError('INVALID_CODE');
+    }
+
+    usersRepository.update(user.id, { twoFactorEnabled: false, twoFactor: null });
+};
+
+// Short-lived token proving the password step of a login passed; only
+// exchangeable for a session together with the second factor
+const issueLoginChallenge = (user) => generateActionToken(
+    { userId: user.id, purpose: 'twoFactorLogin' },
+    CHALLENGE_EXPIRES_IN
+);
+
+// Returns the user the challenge was issued to; throws an Error with `status`
+const resolveLoginChallenge = (challengeToken) => {
+    let decoded;
+    try {
+        decoded = verifyActionToken(String(challengeToken || ''));
+    } catch (error) {
+        throw twoFactorError('TWO_FACTOR_CHALLENGE_INVALID', 401);
+    }
+
+    const user = decoded.purpose === 'twoFactorLogin' && usersRepository.findById(decoded.userId);
+    if (!user || !user.twoFactorEnabled || user.disabled) {
+        throw twoFactorError('TWO_FACTOR_CHALLENGE_INVALID', 401);
+    }
+    return user;
+};
+
+module.exports = {
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    issueLoginChallenge,
+    resolveLoginChallenge
+};
@@ -0,0 +1,122 @@
+// `defaultKey` of the fallback category that receives transactions without (or
+// losing) a category. It accepts both credits and debits, and is found by this
+// key rather than its name, which depends on the locale and can be edited.
+const UNCATEGORIZED_KEY = 'uncategorized';
+
+const isUncategorized = (category) => !!category && category.defaultKey === UNCATEGORIZED_KEY;
+
+// Credits only take credit categories and debits debit ones; the fallback takes both
+const acceptsType = (category, type) => category.type === type || isUncategorized(category);
+
+// Fields of a category embedded in transaction responses
+const toCategorySummary = (category) => (category ? {
+    id: category.id,
+    name: category.name,
+    color: category.color,
+    type: category.type,
+    parentId: category.parentId || null
+} : null);
+
+// Returns a mapper that adds `categoryDetails` (resolved from the stored id)
+// to a transaction or recurrent entry, and to each of its splits, without
+// touching the stored object
+const embedCategory = (categories) => {
+    const byId = new Map(categories.map(category => [category.id, category]));
+    return (entry) => {
+        const embedded = {
+            ...entry,
+            categoryDetails: toCategorySummary(byId.get(entry.category))
+        };
+        if (Array.isArray(entry.splits)) {
+            embedded.splits = entry.splits.map(split => ({
+                ...split,
+                categoryDetails: toCategorySummary(byId.get(split.category))
+            }));
+        }
+        return embedded;
+    };
+};
+
+// Categories may have a parent (Alimentação -> Restaurante); top-level ones
+// and those stored before the hierarchy existed have none
+const parentOf = (category) => category.parentId || null;
+
+// Ids of every category below `categoryId`, at any depth
+const getDescendantIds = (categories, categoryId) => {
+    const descendants = [];
+    const pending = [categoryId];
+    while (pending.length > 0) {
+        const current = pending.shift();
+        categories
+            .filter(category => parentOf(category) === current && !descendants.includes(category.id))
+            .forEach(category => {
+                descendants.push(category.id);
+                pending.push(category.id);
+            });
+    }
+    return descendants;
+};
+
+// Ids from the direct parent of `categoryId` up to its root
+const getAncestorIds = (categories, categoryId) => {
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const ancestors = [];
+    let current = byId.get(categoryId);
+    while (current && parentOf(current) && !ancestors.includes(parentOf(current))) {
+        ancestors.push(parentOf(current));
+        current = byId.get(parentOf(current));
+    }
+    return ancestors;
+};
+
+// Error code saying why `parentId` cannot be the parent of `category`
+// ({ id?, type }, the id missing for a new category), or null when it can
+const findParentError = (categories, category, parentId) => {
+    const parent = categories.find(entry => entry.id === parentId);
+    if (!parent) {
+        return 'PARENT_CATEGORY_NOT_FOUND';
+    }
+    if (isUncategorized(parent)) {
+        return 'PARENT_CATEGORY_UNCATEGORIZED';
+    }
+    if (category.id && isUncategorized(categories.find(entry => entry.id === category.id))) {
+        return 'UNCATEGORIZED_AS_SUBCATEGORY';
+    }
+    if (parent.type !== category.type) {
+        return 'PARENT_CATEGORY_TYPE_MISMATCH';
+    }
+    // A category under itself or under one of its own subcategories would loop
+    if (category.id && (parent.id === category.id || getDescendantIds(categories, category.id).includes(parent.id))) {
+        return 'CATEGORY_CYCLE';
+    }
+    return null;
+};
+
+// Nests flat items ({ id, parentId }) into trees: each item gets `children`.
+// Items whose parent is not in the list become roots.
+const toTree = (items, { idOf = (item) => item.id, compare = null } = {}) => {
+    const nodes = new Map(items.map(item => [idOf(item), { ...item, children: [] }]));
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = node.parentId && nodes.get(node.parentId);
+        (parent ? parent.children : roots).push(node);
+    });
+    if (compare) {
+        const sortTree = (list) => list.sort(compare).forEach(node => sortTree(node.children));
+        sortTree(roots);
+    }
+    return roots;
+};
+
+module.exports = {
+    UNCATEGORIZED_KEY,
+    isUncategorized,
+    acceptsType,
+    toCategorySummary,
+    embedCategory,
+    parentOf,
+    getDescendantIds,
+    getAncestorIds,
+    findParentError,
+    toTree
+};
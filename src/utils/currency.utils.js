@@ -0,0 +1,24 @@
+const { fieldError } = require('./validation.utils');
+
+// Currency of every amount stored before currencies existed, and of new users
+const DEFAULT_CURRENCY = 'BRL';
+
+const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+// Schema rule that uppercases `field` and checks it is an ISO 4217 code
+const currencyRule = (field) => ({
+    fields: [field],
+    check: (data) => {
+        if (data[field] === undefined) return [];
+        data[field] = data[field].toUpperCase();
+        return isCurrencyCode(data[field])
+            ? []
+            : [fieldError(field, 'INVALID_CURRENCY')];
+    }
+});
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isCurrencyCode,
+    currencyRule
+};
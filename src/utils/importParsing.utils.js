@@ -0,0 +1,56 @@
+const DATE_FORMATS = ['iso', 'dd/mm/yyyy', 'mm/dd/yyyy', 'yyyy-mm-dd'];
+const DECIMAL_SEPARATORS = ['.', ','];
+
+// Parses an amount such as "1234.56", "-89,90", "R$ -1.234,56", "-$10.00" or
+// "(15.00)". Returns NaN when the text is not a number.
+const parseAmount = (raw, decimalSeparator = '.') => {
+    if (typeof raw === 'number') return raw;
+
+    // Currency symbols and spaces go first, so the sign is found wherever it is
+    let text = String(raw || '').replace(/[^\d.,()-]/g, '');
+    // Accounting notation: (15.00) means -15.00
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-') || text.endsWith('-');
+    text = text.replace(/[^\d.,]/g, '');
+
+    if (decimalSeparator === ',') {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    if (text === '' || !/^\d*\.?\d*$/.test(text)) return NaN;
+    const amount = Number(text);
+    return negative ? -amount : amount;
+};
+
+// Parses a date in one of DATE_FORMATS into a UTC Date (null when invalid).
+// 'iso' accepts anything the Date constructor understands.
+const parseDate = (raw, dateFormat = 'iso') => {
+    const text = String(raw || '').trim();
+
+    if (dateFormat === 'iso') {
+        const date = new Date(text);
+        return text === '' || isNaN(date.getTime()) ? null : date;
+    }
+
+    const parts = text.split(/[/.-]/).map(Number);
+    if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+
+    const [year, month, day] = {
+        'dd/mm/yyyy': () => [parts[2], parts[1], parts[0]],
+        'mm/dd/yyyy': () => [parts[2], parts[0], parts[1]],
+        'yyyy-mm-dd': () => parts
+    }[dateFormat]();
+
+    const date = new Date(Date.UTC(year < 100 ? 2000 + year : year, month - 1, day));
+    // Reject overflowing dates such as 31/02/2025
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date;
+};
+
+module.exports = {
+    DATE_FORMATS,
+    DECIMAL_SEPARATORS,
+    parseAmount,
+    parseDate
+};
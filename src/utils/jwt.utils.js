@@ -1,5 +1,11 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// One-time tokens sent by email (verification, password reset) are signed with
+// their own secret, so none of them can ever pass as an access token
+const getActionSecret = () => process.env.JWT_ACTION_SECRET ||
+    crypto.createHmac('sha256', process.env.JWT_ACCESS_SECRET).update('action-tokens').digest('hex');
+
 const generateAccessToken = (payload) => {
     return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, { expiresIn: '15m' });
 };
@@ -13,10 +19,10 @@ const verifyAccessToken = (token) => {
         return jwt.verify(token, process.env.JWT_ACCESS_SECRET);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
-            throw new Error('Token expirado');
+            throw Object.assign(new Error('Token expirado'), { code: 'TOKEN_EXPIRED' });
         }
         if (error.name === 'JsonWebTokenError') {
-            throw new Error('Token inválido');
+            throw Object.assign(new Error('Token inválido'), { code: 'TOKEN_INVALID' });
         }
         throw error;
     }
@@ -27,18 +33,40 @@ const verifyRefreshToken = (token) => {
         return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
-            throw new Error('Refresh token expirado');
+            throw Object.assign(new Error('Refresh token expirado'), { code: 'REFRESH_TOKEN_EXPIRED' });
         }
         if (error.name === 'JsonWebTokenError') {
-            throw new Error('Refresh token inválido');
+            throw Object.assign(new Error('Refresh token inválido'), { code: 'REFRESH_TOKEN_INVALID' });
         }
         throw error;
     }
 };
 
+const generateActionToken = (payload, expiresIn) => {
+    return jwt.sign(payload, getActionSecret(), { expiresIn });
+};
+
+const verifyActionToken = (token) => {
+    try {
+        return jwt.verify(token, getActionSecret());
+    } catch (error) {
+        if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+            throw Object.assign(new Error('Token inválido ou expirado'), { code: 'ACTION_TOKEN_INVALID' });
+        }
+        throw error;
+    }
+};
+
+// Only hashes of token ids are stored, so a copy of the database cannot be
+// turned into working tokens
+const hashToken = (tokenId) => crypto.createHash('sha256').update(String(tokenId)).digest('hex');
+
 module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyAccessToken,
-    verifyRefreshToken
+    verifyRefreshToken,
+    generateActionToken,
+    verifyActionToken,
+    hashToken
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+// Languages with default categories (and, for the API, messages). New users
+// and users created before locales existed get DEFAULT_LOCALE.
+const LOCALES = ['pt-BR', 'en', 'es'];
+const DEFAULT_LOCALE = 'pt-BR';
+
+// Resolves tags like "en-US", "es_AR" or "PT-br" to one of LOCALES, or null
+const normalizeLocale = (value) => {
+    if (typeof value !== 'string') return null;
+    const tag = value.trim().replace('_', '-').toLowerCase();
+    const exact = LOCALES.find(locale => locale.toLowerCase() === tag);
+    if (exact) return exact;
+    const language = tag.split('-')[0];
+    return LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+};
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    normalizeLocale
+};
@@ -13,6 +13,7 @@ const validatePasswordStrength = (password) => {
     if (!password || password.length < 6) {
         return { 
             valid: false, 
+            code: 'PASSWORD_TOO_SHORT',
             message: 'Senha deve ter no mínimo 6 caracteres' 
         };
     }
@@ -29,24 +30,28 @@ const validatePasswordStrength = (password) => {
     if(!hasUpperCase){
         return { 
             valid: false, 
+            code: 'PASSWORD_MISSING_UPPERCASE',
             message: 'Senha deve conter pelo menos uma letra maiúscula' 
         };
     }
     if(!hasLowerCase){
         return { 
             valid: false, 
+            code: 'PASSWORD_MISSING_LOWERCASE',
             message: 'Senha deve conter pelo menos uma letra minúscula' 
         };
     }
     if(!hasNumber){
         return { 
             valid: false, 
+            code: 'PASSWORD_MISSING_NUMBER',
             message: 'Senha deve conter pelo menos um número' 
         };
     }
     if(!hasSpecialChar){
         return { 
             valid: false, 
+            code: 'PASSWORD_MISSING_SPECIAL',
             message: 'Senha deve conter pelo menos um caractere especial' 
         };
     }
@@ -0,0 +1,166 @@
+const { categoriesOf } = require('./splits.utils');
+const { hasTag } = require('./tags.utils');
+const { getDescendantIds } = require('./categories.utils');
+const { fieldError } = require('./validation.utils');
+
+const SORT_FIELDS = ['timestamp', 'value', 'description', 'category'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Case and accent insensitive comparison ("farmacia" matches "Farmácia")
+const normalizeText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const parseDate = (value, endOfDay = false) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    // A bare "yyyy-mm-dd" upper bound includes the whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+const parseNumber = (value) => {
+    const number = Number(value);
+    return value === '' || Number.isNaN(number) ? null : number;
+};
+
+// Turns the query string into filters, sort and pagination options.
+// Invalid parameters are collected in `errors` (see fieldError).
+const parseRecordsQuery = (query = {}) => {
+    const errors = [];
+    const filters = {};
+
+    if (query.from !== undefined) {
+        filters.from = parseDate(query.from);
+        if (!filters.from) errors.push(fieldError('from', 'INVALID_DATE'));
+    }
+    if (query.to !== undefined) {
+        filters.to = parseDate(query.to, true);
+        if (!filters.to) errors.push(fieldError('to', 'INVALID_DATE'));
+    }
+    if (query.type !== undefined) {
+        if (query.type !== 'credito' && query.type !== 'debito') {
+            errors.push(fieldError('type', 'INVALID_TYPE'));
+        }
+        filters.type = query.type;
+    }
+    if (query.category !== undefined) {
+        filters.category = String(query.category);
+    }
+    if (query.accountId !== undefined) {
+        filters.accountId = String(query.accountId);
+    }
+    if (query.tag !== undefined && query.tag !== '') {
+        filters.tag = String(query.tag);
+    }
+    ['minValue', 'maxValue'].forEach(field => {
+        if (query[field] === undefined) return;
+        filters[field] = parseNumber(query[field]);
+        if (filters[field] === null) errors.push(fieldError(field, 'VALUE_NOT_NUMERIC'));
+    });
+    if (query.q !== undefined && query.q !== '') {
+        filters.q = String(query.q);
+    }
+
+    const sort = {
+        field: query.sort || 'timestamp',
+        direction: query.order || 'desc'
+    };
+    if (!SORT_FIELDS.includes(sort.field)) {
+        errors.push(fieldError('sort', 'INVALID_SORT', { fields: SORT_FIELDS.join(', ') }));
+    }
+    if (sort.direction !== 'asc' && sort.direction !== 'desc') {
+        errors.push(fieldError('order', 'INVALID_ORDER'));
+    }
+
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    const pageSize = query.pageSize !== undefined ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push(fieldError('page', 'INVALID_PAGE'));
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.push(fieldError('pageSize', 'INVALID_PAGE_SIZE', { max: MAX_PAGE_SIZE }));
+    }
+
+    return { filters, sort, page, pageSize, errors };
+};
+
+// `categories` is the user's category list, used to match a category filter
+// given by id against records stored by name (and vice versa). Filtering by a
+// category also matches records in its subcategories.
+const filterRecords = (records, filters, categories = []) => {
+    let categoryRefs = null;
+    if (filters.category !== undefined) {
+        const category = categories.find(cat => cat.id === filters.category || cat.name === filters.category);
+        categoryRefs = category
+            ? [category, ...categories.filter(cat => getDescendantIds(categories, category.id).includes(cat.id))]
+                .flatMap(cat => [cat.id, cat.name])
+            : [filters.category];
+    }
+    const search = filters.q !== undefined ? normalizeText(filters.q) : null;
+
+    return records.filter(record => {
+        const timestamp = new Date(record.timestamp);
+        // Value bounds apply to the amount, regardless of the debit sign
+        const amount = Math.abs(Number(record.value));
+
+        if (filters.from && timestamp < filters.from) return false;
+        if (filters.to && timestamp > filters.to) return false;
+        if (filters.type && record.type !== filters.type) return false;
+        // Split records match the category of any of their parts
+        if (categoryRefs && !categoriesOf(record).some(ref => categoryRefs.includes(ref))) return false;
+        if (filters.accountId && record.accountId !== filters.accountId) return false;
+        if (filters.tag && !hasTag(record, filters.tag)) return false;
+        if (filters.minValue !== undefined && amount < filters.minValue) return false;
+        if (filters.maxValue !== undefined && amount > filters.maxValue) return false;
+        if (search !== null && !normalizeText(record.description).includes(search)) return false;
+        return true;
+    });
+};
+
+// Sorting by category uses the category name, resolved from `categories`
+const sortRecords = (records, { field, direction }, categories = []) => {
+    const factor = direction === 'asc' ? 1 : -1;
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+    const valueOf = (record) => {
+        if (field === 'timestamp') return new Date(record.timestamp).getTime();
+        if (field === 'value') return Number(record.value);
+        if (field === 'category') return normalizeText(categoryNames.get(record.category) || record.category);
+        return normalizeText(record[field]);
+    };
+
+    return [...records].sort((a, b) => {
+        const left = valueOf(a);
+        const right = valueOf(b);
+        if (left < right) return -1 * factor;
+        if (left > right) return 1 * factor;
+        return 0;
+    });
+};
+
+const paginate = (records, page, pageSize) => {
+    const total = records.length;
+    const start = (page - 1) * pageSize;
+    return {
+        data: records.slice(start, start + pageSize),
+        pagination: {
+            page,
+            pageSize,
+            total,
+            totalPages: Math.ceil(total / pageSize)
+        }
+    };
+};
+
+module.exports = {
+    normalizeText,
+    parseDate,
+    parseRecordsQuery,
+    filterRecords,
+    sortRecords,
+    paginate
+};
@@ -0,0 +1,76 @@
+const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// Safety net for rules without end date or occurrence limit
+const MAX_ITERATIONS = 10000;
+
+// Entries created before rules existed repeat monthly on the day of their timestamp
+const DEFAULT_RULE = { frequency: 'monthly', interval: 1 };
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// All dates are handled in UTC so occurrences don't drift with the server timezone
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const getRule = (entry) => ({ ...DEFAULT_RULE, ...(entry.rule || {}) });
+
+// Date of the n-th occurrence (0 = start date) of a recurrent entry
+const occurrenceAt = (entry, index) => {
+    const rule = getRule(entry);
+    const start = new Date(entry.timestamp);
+    const interval = rule.interval || 1;
+
+    if (rule.frequency === 'weekly') {
+        return new Date(Date.UTC(
+            start.getUTCFullYear(),
+            start.getUTCMonth(),
+            start.getUTCDate() + index * 7 * interval
+        ));
+    }
+
+    const year = rule.frequency === 'yearly'
+        ? start.getUTCFullYear() + index * interval
+        : start.getUTCFullYear();
+    const month = rule.frequency === 'yearly'
+        ? start.getUTCMonth()
+        : start.getUTCMonth() + index * interval;
+
+    // Normalize month overflow (e.g. month 14) before clamping the day
+    const normalized = new Date(Date.UTC(year, month, 1));
+    const day = Math.min(
+        rule.dayOfMonth || start.getUTCDate(),
+        daysInMonth(normalized.getUTCFullYear(), normalized.getUTCMonth())
+    );
+
+    return new Date(Date.UTC(normalized.getUTCFullYear(), normalized.getUTCMonth(), day));
+};
+
+// Lists occurrences between `from` and `to` (inclusive), stopping at the rule's
+// end date / occurrence count or after `limit` results
+const listOccurrences = (entry, { from = null, to = null, limit = null } = {}) => {
+    const rule = getRule(entry);
+    const endDate = rule.endDate ? new Date(rule.endDate) : null;
+    const occurrences = [];
+
+    for (let index = 0; index < MAX_ITERATIONS; index++) {
+        if (rule.occurrences && index >= rule.occurrences) break;
+
+        const date = occurrenceAt(entry, index);
+        if (endDate && date > endDate) break;
+        if (to && date > to) break;
+
+        if (!from || date >= from) {
+            occurrences.push({ index, date });
+            if (limit && occurrences.length >= limit) break;
+        }
+    }
+
+    return occurrences;
+};
+
+module.exports = {
+    FREQUENCIES,
+    toDateKey,
+    getRule,
+    occurrenceAt,
+    listOccurrences
+};
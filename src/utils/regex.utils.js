@@ -0,0 +1,171 @@
+// Patterns typed by users run against every transaction description on the
+// single event loop, so those able to backtrack catastrophically are refused:
+// - a repeated group holding any quantifier (even "?" or "{0,n}") or an
+//   alternation, e.g. "(a+)+", "(\w?){18}" or "(a|aa)+": exponential time;
+// - repeated atoms next to each other (only optional atoms between them) that
+//   can match the same characters, e.g. "\w*\w*\w*": each one adds a degree
+//   to the polynomial time of a failing match;
+// - backreferences.
+
+// Characters tried to tell whether two atoms can match the same character
+const SAMPLE_CHARS = [
+    '\t', '\n', '\r', ' ',
+    ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+    ...'áàâãéêíóôõúçñüÁÀÂÃÉÊÍÓÔÕÚÇ'
+];
+
+// How many times the quantifier at `index` lets its atom match, and where it
+// ends. Returns null when there is no quantifier at `index`.
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    let quantifier = null;
+    if (char === '*') quantifier = { min: 0, max: Infinity, end: index + 1 };
+    if (char === '+') quantifier = { min: 1, max: Infinity, end: index + 1 };
+    if (char === '?') quantifier = { min: 0, max: 1, end: index + 1 };
+    if (char === '{') {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+        if (!match) return null;
+        const min = Number(match[1]);
+        const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+        quantifier = { min, max, end: index + match[0].length };
+    }
+    if (!quantifier) return null;
+    // Lazy marker
+    if (pattern[quantifier.end] === '?') quantifier.end++;
+    return { ...quantifier, repeats: quantifier.max > 1 };
+};
+
+// Whether two atoms can match a common character; `test` is null for groups,
+// assumed to match anything
+const overlaps = (a, b) => !a.test || !b.test || SAMPLE_CHARS.some(char => a.test(char) && b.test(char));
+
+const charTester = (source) => {
+    try {
+        const regex = new RegExp(`^${source}$`, 'i');
+        return (char) => regex.test(char);
+    } catch (e) {
+        return null;
+    }
+};
+
+// Recursive descent over the pattern. Each call reads alternatives up to the
+// closing parenthesis of the current group (or the end) and describes them.
+// `state.safe` turns false as soon as something unsafe is found.
+const readAlternatives = (pattern, state) => {
+    const group = { quantified: false, repeats: false, alternates: false };
+    // Repeated atoms since the last mandatory atom: a new repeated atom must
+    // not overlap any of them
+    let run = [];
+
+    while (state.safe && state.index < pattern.length && pattern[state.index] !== ')') {
+        const start = state.index;
+        const char = pattern[start];
+        let atom = null;
+
+        if (char === '|') {
+            group.alternates = true;
+            run = [];
+            state.index++;
+            continue;
+        }
+        if (char === '^' || char === '$') {
+            state.index++;
+            continue;
+        }
+
+        if (char === '\\') {
+            const next = pattern[start + 1] || '';
+            if (/[1-9k]/.test(next)) {
+                state.safe = false;
+                break;
+            }
+            state.index += 2;
+            // Word boundaries match no character
+            if (next === 'b' || next === 'B') continue;
+            atom = { test: charTester(pattern.slice(start, state.index)) };
+        } else if (char === '[') {
+            // Character class: skip to its closing bracket
+            let end = start + 1;
+            if (pattern[end] === '^') end++;
+            if (pattern[end] === ']') end++;
+            while (end < pattern.length && pattern[end] !== ']') {
+                end += pattern[end] === '\\' ? 2 : 1;
+            }
+            state.index = end + 1;
+            atom = { test: charTester(pattern.slice(start, state.index)) };
+        } else if (char === '(') {
+            state.index++;
+            let lookaround = false;
+            // Skip group modifiers: ?: ?= ?! ?<= ?<! ?<name>
+            if (pattern[state.index] === '?') {
+                if (pattern[state.index + 1] !== '<') {
+                    lookaround = pattern[state.index + 1] !== ':';
+                    state.index += 2;
+                } else if (/[=!]/.test(pattern[state.index + 2] || '')) {
+                    lookaround = true;
+                    state.index += 3;
+                } else {
+                    const close = pattern.indexOf('>', state.index);
+                    state.index = close === -1 ? pattern.length : close + 1;
+                }
+            }
+            const inner = readAlternatives(pattern, state);
+            state.index++;
+            if (lookaround) continue;
+            atom = { test: null, inner };
+        } else {
+            state.index++;
+            atom = { test: charTester(char === '.' ? '.' : pattern.slice(start, state.index)) };
+        }
+
+        const quantifier = readQuantifier(pattern, state.index);
+        if (quantifier) state.index = quantifier.end;
+
+        const nested = atom.inner && (atom.inner.quantified || atom.inner.alternates);
+        if (quantifier && quantifier.repeats && nested) {
+            state.safe = false;
+            break;
+        }
+
+        // A group with a repetition inside behaves as a repeated atom
+        const repeats = (quantifier && quantifier.repeats) || (atom.inner && atom.inner.repeats);
+        if (quantifier || (atom.inner && atom.inner.quantified)) group.quantified = true;
+        if (repeats && run.some(previous => overlaps(previous, atom))) {
+            state.safe = false;
+            break;
+        }
+        // A mandatory atom separates what comes before it from what follows
+        if (!quantifier || quantifier.min > 0) run = [];
+        if (repeats) {
+            group.repeats = true;
+            run.push(atom);
+        }
+    }
+
+    return group;
+};
+
+const isSafeRegex = (pattern) => {
+    const state = { index: 0, safe: true };
+    while (state.safe && state.index < pattern.length) {
+        readAlternatives(pattern, state);
+        // Unbalanced ")": skip it, the RegExp constructor refuses the pattern anyway
+        state.index++;
+    }
+    return state.safe;
+};
+
+// Case-insensitive RegExp for a user pattern, or null when it is invalid or unsafe
+const compileUserRegex = (pattern) => {
+    if (!isSafeRegex(pattern)) return null;
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (e) {
+        return null;
+    }
+};
+
+module.exports = {
+    isSafeRegex,
+    compileUserRegex
+};
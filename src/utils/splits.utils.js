@@ -0,0 +1,29 @@
+// A transaction may be split across several categories. `splits` holds
+// [{ category, amount, note }], with positive amounts that add up to the
+// transaction value; its own `category` stays the main one.
+const hasSplits = (record) => Array.isArray(record.splits) && record.splits.length > 0;
+
+// Every category a transaction counts towards
+const categoriesOf = (record) => (hasSplits(record)
+    ? [record.category, ...record.splits.map(split => split.category)]
+    : [record.category]);
+
+// Replaces each split transaction with one entry per split (its category and
+// signed amount), so per-category totals count every split separately
+const expandSplits = (records) => records.flatMap(record => {
+    if (!hasSplits(record)) return [record];
+
+    const { splits, ...rest } = record;
+    return splits.map(split => ({
+        ...rest,
+        category: split.category,
+        value: record.type === 'debito' ? -Math.abs(split.amount) : Math.abs(split.amount),
+        note: split.note
+    }));
+});
+
+module.exports = {
+    hasSplits,
+    categoriesOf,
+    expandSplits
+};
@@ -0,0 +1,51 @@
+const { fieldError } = require('./validation.utils');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+const tagKey = (tag) => String(tag).trim().toLowerCase();
+
+// Trims the tags and drops empty ones and repeats (ignoring case); the first
+// spelling of a tag is kept
+const normalizeTags = (tags) => {
+    const seen = new Set();
+    return tags
+        .map(tag => (typeof tag === 'string' || typeof tag === 'number' ? String(tag).trim() : tag))
+        .filter(tag => {
+            if (typeof tag !== 'string' || tag === '' || seen.has(tagKey(tag))) return false;
+            seen.add(tagKey(tag));
+            return true;
+        });
+};
+
+// Schema rule that normalizes the tag list in `field` and checks its limits
+const tagsRule = (field) => ({
+    fields: [field],
+    check: (data) => {
+        if (data[field] === undefined) return [];
+        if (data[field].some(tag => typeof tag !== 'string' && typeof tag !== 'number')) {
+            return [fieldError(field, 'TAGS_NOT_TEXT')];
+        }
+        data[field] = normalizeTags(data[field]);
+        if (data[field].length > MAX_TAGS) {
+            return [fieldError(field, 'TOO_MANY_TAGS', { max: MAX_TAGS })];
+        }
+        if (data[field].some(tag => tag.length > MAX_TAG_LENGTH)) {
+            return [fieldError(field, 'TAG_TOO_LONG', { maxLength: MAX_TAG_LENGTH })];
+        }
+        return [];
+    }
+});
+
+// Records stored before tags existed have none
+const tagsOf = (record) => record.tags || [];
+
+const hasTag = (record, tag) => tagsOf(record).some(entry => tagKey(entry) === tagKey(tag));
+
+module.exports = {
+    MAX_TAGS,
+    normalizeTags,
+    tagsRule,
+    tagsOf,
+    hasTag
+};
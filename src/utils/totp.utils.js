@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords with the parameters every
+// authenticator app assumes: HMAC-SHA1, 6 digits, 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return encoded;
+};
+
+const base32Decode = (text) => {
+    const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+        .map(char => {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Segredo TOTP inválido');
+            return index.toString(2).padStart(5, '0');
+        })
+        .join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160 random bits, the size RFC 4226 recommends, base32 encoded as apps expect
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Accepts the codes of the previous and next step too, for clock drift.
+// Returns the step the code belongs to (so callers can refuse it a second
+// time) or null when it does not match.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = codeAt(secret, step + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step + drift;
+        }
+    }
+    return null;
+};
+
+// Link an authenticator app reads from a QR code
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    generateTotpSecret,
+    codeAt,
+    currentStep,
+    verifyTotp,
+    buildOtpauthUri
+};
@@ -0,0 +1,28 @@
+// Fields of a stored user left out of every user response: the password
+// hash, the hashes behind sessions and one-time tokens, the 2FA secret, the
+// audit trail and the trash (served on their own by /audit and /trash)
+const SECRET_FIELDS = ['password', 'sessions', 'actionTokens', 'twoFactor', 'auditLog', 'trash'];
+
+const ROLES = ['user', 'admin'];
+
+// ADMIN_EMAILS (comma separated) bootstraps the first administrators: those
+// addresses get the admin role on registration, or when a user stored before
+// roles existed is migrated. Later role changes made through the admin API stick.
+const isBootstrapAdmin = (email) => (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(String(email || '').toLowerCase());
+
+const withoutSecrets = (user) => {
+    const visible = { ...user };
+    SECRET_FIELDS.forEach(field => delete visible[field]);
+    return visible;
+};
+
+module.exports = {
+    SECRET_FIELDS,
+    ROLES,
+    isBootstrapAdmin,
+    withoutSecrets
+};
@@ -0,0 +1,122 @@
+const { codedMessage } = require('../i18n');
+
+// Small declarative validator used by validateSchema.
+//
+// A schema looks like:
+// {
+//     fields: {
+//         value: { type: 'number', required: true, label: 'FIELD_VALUE' },
+//         type: { type: 'string', required: true, enum: ['credito', 'debito'] },
+//         date: { type: 'date' }
+//     },
+//     // Cross-field checks, run once every field is valid.
+//     // `fields` lists what the rule depends on (see `partial` below).
+//     rules: [{ fields: ['value', 'type'], check: (data, context) => [fieldError(field, code, params)] }]
+// }
+//
+// Labels are catalog keys (src/i18n/messages), so the errors can be translated.
+// Values are coerced to the declared type ('12.5' -> 12.5, '2025-10-01' -> Date).
+
+// Error about one field: { field, code, params, message }
+const fieldError = (field, code, params = null) => ({ field, ...codedMessage(code, params) });
+
+// Error code when a value cannot be read as the declared type
+const TYPE_ERRORS = {
+    string: 'FIELD_NOT_TEXT',
+    number: 'FIELD_NOT_NUMBER',
+    boolean: 'FIELD_NOT_BOOLEAN',
+    date: 'FIELD_NOT_DATE',
+    array: 'FIELD_NOT_LIST'
+};
+
+const coerce = (type, value) => {
+    switch (type) {
+        case 'number': {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+            if (typeof value !== 'string' || value.trim() === '') return undefined;
+            const number = Number(value.trim());
+            return Number.isFinite(number) ? number : undefined;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') return value === 'true';
+            return undefined;
+        case 'date': {
+            if (value === null || value === '' || typeof value === 'boolean') return undefined;
+            const date = value instanceof Date ? value : new Date(value);
+            return isNaN(date.getTime()) ? undefined : date;
+        }
+        case 'string':
+            return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : undefined;
+        case 'array':
+            return Array.isArray(value) ? value : undefined;
+        default:
+            return value;
+    }
+};
+
+const validateField = (name, spec, rawValue) => {
+    const label = spec.label || name;
+    const isMissing = rawValue === undefined || rawValue === null || rawValue === '';
+
+    if (isMissing) {
+        return spec.required
+            ? { error: fieldError(name, 'FIELD_REQUIRED', { label }) }
+            : { value: undefined };
+    }
+
+    const value = coerce(spec.type, rawValue);
+    if (value === undefined) {
+        return { error: fieldError(name, TYPE_ERRORS[spec.type], { label }) };
+    }
+    if (spec.type === 'string' && spec.required && value === '') {
+        return { error: fieldError(name, 'FIELD_REQUIRED', { label }) };
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        return { error: fieldError(name, 'FIELD_NOT_IN_LIST', { label, values: spec.enum.join(', ') }) };
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+        return { error: fieldError(name, 'FIELD_TOO_LONG', { label, maxLength: spec.maxLength }) };
+    }
+    return { value };
+};
+
+// Validates `input` against `schema`. Returns { data, errors }, where `data`
+// holds the coerced values of the fields present in `input`.
+//
+// Options:
+// - partial: fields are not required (updates); rules only run when one of
+//   their fields is present in `input`
+// - base: existing values merged under `input` before running the rules, so an
+//   update of `type` alone is still checked against the stored `value`
+// - context: passed to every rule (e.g. the user's categories)
+const validate = (schema, input = {}, { partial = false, base = null, context = {} } = {}) => {
+    const data = {};
+    const errors = [];
+
+    Object.entries(schema.fields).forEach(([name, spec]) => {
+        const fieldSpec = partial ? { ...spec, required: false } : spec;
+        const { value, error } = validateField(name, fieldSpec, input[name]);
+        if (error) errors.push(error);
+        else if (value !== undefined) data[name] = value;
+    });
+
+    if (errors.length > 0) {
+        return { data, errors };
+    }
+
+    const merged = { ...(base || {}), ...data };
+    (schema.rules || [])
+        .filter(rule => !partial || rule.fields.some(field => data[field] !== undefined))
+        .forEach(rule => errors.push(...(rule.check(merged, context) || [])));
+
+    // Rules may normalize values (e.g. a category name into its id)
+    Object.keys(data).forEach(name => { data[name] = merged[name]; });
+
+    return { data, errors };
+};
+
+module.exports = {
+    fieldError,
+    validate
+};
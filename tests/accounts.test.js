@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const SAVINGS = { name: 'Poupança', type: 'savings', openingBalance: 1000 };
+
+describe('Accounts', () => {
+    let session;
+    let main;
+
+    beforeAll(async () => {
+        session = await login(app);
+        main = (await session.as('get', '/accounts')).body.find(account => account.isDefault);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(app).get('/accounts');
+        expect(res.status).toBe(401);
+    });
+
+    test('seeds a default account holding every transaction', async () => {
+        expect(main).toMatchObject({ name: 'Conta Principal', currency: 'BRL', openingBalance: 0 });
+
+        const balance = await session.as('get', '/reports/balance');
+        expect(main.balance).toBe(balance.body.balance);
+    });
+
+    test('creates, updates and deletes an account', async () => {
+        const created = await session.as('post', '/accounts').send({ ...SAVINGS, currency: 'usd' });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ name: 'Poupança', currency: 'USD', isDefault: false, balance: 1000 });
+
+        const updated = await session.as('put', `/accounts/${created.body.id}`).send({ openingBalance: 1500 });
+        expect(updated.status).toBe(200);
+        expect(updated.body).toMatchObject({ name: 'Poupança', balance: 1500 });
+
+        const deleted = await session.as('delete', `/accounts/${created.body.id}`);
+        expect(deleted.status).toBe(200);
+        expect((await session.as('get', `/accounts/${created.body.id}`)).status).toBe(404);
+    });
+
+    test('validates the account', async () => {
+        const type = await session.as('post', '/accounts').send({ name: 'Cofre', type: 'vault' });
+        expect(type.status).toBe(400);
+        expect(type.body.error.details.map(error => error.field)).toEqual(['type']);
+
+        const currency = await session.as('post', '/accounts').send({ name: 'Cofre', type: 'cash', currency: 'real' });
+        expect(currency.body.error.details).toMatchObject([
+            { field: 'currency', code: 'INVALID_CURRENCY' }
+        ]);
+    });
+
+    test('keeps the default account and accounts in use', async () => {
+        const defaultRes = await session.as('delete', `/accounts/${main.id}`);
+        expect(defaultRes.status).toBe(400);
+        expect(defaultRes.body.error.code).toBe('DEFAULT_ACCOUNT_NOT_DELETABLE');
+
+        const savings = (await session.as('post', '/accounts').send(SAVINGS)).body;
+        await session.as('post', '/records').send({
+            description: 'Rendimento', value: 10, type: 'credito', category: 'Salário', accountId: savings.id
+        });
+
+        const inUse = await session.as('delete', `/accounts/${savings.id}`);
+        expect(inUse.status).toBe(400);
+        expect(inUse.body.error.code).toBe('ACCOUNT_IN_USE');
+    });
+
+    test('moves money between accounts without touching income or expenses', async () => {
+        const wallet = (await session.as('post', '/accounts').send({ name: 'Carteira', type: 'cash' })).body;
+        const before = (await session.as('get', '/reports/balance')).body;
+
+        const created = await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: main.id, toAccountId: wallet.id, amount: 200 });
+        expect(created.status).toBe(201);
+        expect(created.body.legs).toEqual([
+            expect.objectContaining({ value: -200, accountId: main.id, description: 'Transferência para Carteira' }),
+            expect.objectContaining({ value: 200, accountId: wallet.id, description: 'Transferência de Conta Principal' })
+        ]);
+
+        expect((await session.as('get', `/accounts/${wallet.id}`)).body.balance).toBe(200);
+        const after = (await session.as('get', '/reports/balance')).body;
+        expect(after).toMatchObject({ balance: before.balance, income: before.income, expenses: before.expenses });
+
+        const listed = await session.as('get', '/accounts/transfers');
+        expect(listed.body[0]).toMatchObject({
+            transferId: created.body.transferId, fromAccountId: main.id, toAccountId: wallet.id, amount: 200
+        });
+
+        const removed = await session.as('delete', `/accounts/transfers/${created.body.transferId}`);
+        expect(removed.status).toBe(200);
+        expect((await session.as('get', `/accounts/${wallet.id}`)).body.balance).toBe(0);
+        expect((await session.as('delete', `/accounts/transfers/${created.body.transferId}`)).status).toBe(404);
+    });
+
+    test('validates transfers', async () => {
+        const res = await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: main.id, toAccountId: main.id, amount: -5 });
+        expect(res.status).toBe(400);
+        expect(res.body.error.details).toMatchObject([
+            { field: 'amount', code: 'AMOUNT_NOT_POSITIVE' },
+            { field: 'toAccountId', code: 'SAME_TRANSFER_ACCOUNTS' }
+        ]);
+    });
+});
@@ -0,0 +1,115 @@
+// The seeded user and boss@example.com bootstrap as administrators
+process.env.ADMIN_EMAILS = 'matheusfonseca@gmail.com, Boss@example.com';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { login, authorized } = require('./helpers');
+const migrateRoles = require('../src/data/migrations/roles.migration');
+
+const PASSWORD = 'Abc123!';
+
+afterAll(() => {
+    delete process.env.ADMIN_EMAILS;
+});
+
+const register = async (email, name = 'Admin Test') => {
+    const res = await request(app).post('/users/register').send({ name, email, password: PASSWORD });
+    expect(res.status).toBe(201);
+    return { ...authorized(app, res.body.accessToken), user: res.body.user };
+};
+
+describe('Administration', () => {
+    let admin;
+    let member;
+
+    beforeAll(async () => {
+        admin = await login(app);
+        member = await register('member@example.com', 'Membro');
+    });
+
+    test('is for administrators only', async () => {
+        const res = await member.as('get', '/admin/users');
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('INSUFFICIENT_PERMISSION');
+        expect((await member.as('get', '/users')).status).toBe(403);
+
+        expect((await admin.as('get', '/users')).status).toBe(200);
+        expect((await member.as('get', '/users/me')).body.role).toBe('user');
+    });
+
+    test('ADMIN_EMAILS bootstraps administrators on registration', async () => {
+        const boss = await register('boss@example.com', 'Chefe');
+        expect(boss.user.role).toBe('admin');
+        expect((await boss.as('get', '/admin/stats')).status).toBe(200);
+    });
+
+    test('searches users without exposing their secrets', async () => {
+        const res = await admin.as('get', '/admin/users?q=membro');
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ email: 'member@example.com', role: 'user', transactionCount: 0 });
+        expect(res.body.data[0]).not.toHaveProperty('password');
+        expect(res.body.data[0]).not.toHaveProperty('transactions');
+
+        const invalid = await admin.as('get', '/admin/users?role=owner&disabled=maybe');
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error.details.map(error => error.field)).toEqual(['role', 'disabled']);
+    });
+
+    test('changes roles, but never the own one', async () => {
+        const promoted = await admin.as('put', `/admin/users/${member.user.id}/role`).send({ role: 'admin' });
+        expect(promoted.status).toBe(200);
+        expect(promoted.body.role).toBe('admin');
+        expect((await member.as('get', '/admin/stats')).status).toBe(200);
+
+        const demoted = await admin.as('put', `/admin/users/${member.user.id}/role`).send({ role: 'user' });
+        expect(demoted.body.role).toBe('user');
+
+        const own = await admin.as('put', `/admin/users/${admin.user.id}/role`).send({ role: 'user' });
+        expect(own.status).toBe(409);
+        expect(own.body.error.code).toBe('SELF_ADMIN_CHANGE');
+
+        const invalid = await admin.as('put', `/admin/users/${member.user.id}/role`).send({ role: 'owner' });
+        expect(invalid.status).toBe(400);
+        expect((await admin.as('put', '/admin/users/unknown/role').send({ role: 'user' })).status).toBe(404);
+    });
+
+    test('a disabled account is signed out and cannot log in', async () => {
+        const session = await login(app, { email: 'member@example.com', password: PASSWORD });
+
+        const res = await admin.as('post', `/admin/users/${member.user.id}/disable`);
+        expect(res.status).toBe(200);
+        expect(res.body.disabled).toBe(true);
+
+        const blocked = await session.as('get', '/categories');
+        expect(blocked.status).toBe(403);
+        expect(blocked.body.error.code).toBe('USER_DISABLED');
+        expect((await login(app, { email: 'member@example.com', password: PASSWORD })).res.status).toBe(403);
+
+        await admin.as('post', `/admin/users/${member.user.id}/enable`);
+        expect((await login(app, { email: 'member@example.com', password: PASSWORD })).res.status).toBe(200);
+    });
+
+    test('reports system statistics', async () => {
+        const res = await admin.as('get', '/admin/stats');
+        expect(res.body.users).toMatchObject({ total: 3, admins: 2, disabled: 0 });
+        expect(res.body.activeSessions).toBeGreaterThan(0);
+        expect(res.body.transactions).toBeGreaterThan(0);
+    });
+});
+
+describe('Roles migration', () => {
+    test('only sets the role of users stored before roles existed', () => {
+        const users = [
+            { email: 'boss@example.com' },
+            { email: 'someone@example.com' },
+            // Demoted through the admin API: stays demoted
+            { email: 'matheusfonseca@gmail.com', role: 'user', disabled: false }
+        ];
+
+        expect(migrateRoles(users)).toBe(4);
+        expect(users.map(user => user.role)).toEqual(['admin', 'user', 'user']);
+        expect(users.every(user => user.disabled === false)).toBe(true);
+        expect(migrateRoles(users)).toBe(0);
+    });
+});
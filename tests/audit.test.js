@@ -0,0 +1,79 @@
+process.env.ADMIN_EMAILS = 'matheusfonseca@gmail.com';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const MARKET = { description: 'Mercado', value: -80, type: 'debito', category: 'Alimentação' };
+
+afterAll(() => {
+    delete process.env.ADMIN_EMAILS;
+});
+
+describe('Audit trail', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    const auditOf = async (query) => (await session.as('get', `/audit?${query}`)).body.data;
+
+    test('requires authentication', async () => {
+        const res = await request(app).get('/audit');
+        expect(res.status).toBe(401);
+    });
+
+    test('records every change to a transaction, newest first', async () => {
+        const created = (await session.as('post', '/records').send(MARKET)).body;
+        await session.as('put', `/records/${created.id}`).send({ value: -90 });
+        await session.as('delete', `/records/${created.id}`);
+
+        const entries = await auditOf(`entity=transaction&entityId=${created.id}`);
+        expect(entries.map(entry => entry.action)).toEqual(['delete', 'update', 'create']);
+
+        const [deleted, updated, creation] = entries;
+        expect(creation).toMatchObject({ actorId: session.user.id, before: null, after: { value: -80 } });
+        expect(updated).toMatchObject({ changes: ['value'], before: { value: -80 }, after: { value: -90 } });
+        expect(deleted).toMatchObject({ before: { value: -90 }, after: null });
+    });
+
+    test('leaves out updates that change nothing', async () => {
+        const created = (await session.as('post', '/records').send(MARKET)).body;
+        await session.as('put', `/records/${created.id}`).send({ description: 'Mercado' });
+
+        expect((await auditOf(`entityId=${created.id}`)).map(entry => entry.action)).toEqual(['create']);
+    });
+
+    test('records category and profile changes without secrets', async () => {
+        const pets = { name: 'Pets', type: 'debito', color: '#654321' };
+        const category = (await session.as('post', '/categories').send(pets)).body;
+        await session.as('put', `/categories/${category.id}`).send({ ...pets, color: '#123456' });
+        expect((await auditOf(`entity=category&action=update&entityId=${category.id}`))[0].changes)
+            .toEqual(['color']);
+
+        await session.as('put', `/users/${session.user.id}`).send({ name: 'Matheus F.', password: 'Nova123!' });
+        const [profile] = await auditOf('entity=profile');
+        expect(profile.changes).toEqual(expect.arrayContaining(['name', 'passwordChangedAt']));
+        expect(JSON.stringify(profile)).not.toMatch(/Nova123!|\$2[aby]\$/);
+
+        // The trail is only served by /audit
+        expect((await session.as('get', '/users/me')).body).not.toHaveProperty('auditLog');
+    });
+
+    test('administrators show up as the actor of their changes', async () => {
+        const res = await request(app).post('/users/register')
+            .send({ name: 'Auditado', email: 'audited@example.com', password: 'Abc123!' });
+        await session.as('post', `/admin/users/${res.body.user.id}/disable`);
+
+        const trail = await session.as('get', `/admin/users/${res.body.user.id}/audit?entity=profile`);
+        expect(trail.status).toBe(200);
+        expect(trail.body.data[0]).toMatchObject({ actorId: session.user.id, changes: ['disabled'] });
+    });
+
+    test('validates the query', async () => {
+        const res = await session.as('get', '/audit?entity=account&action=read&from=ontem&pageSize=0');
+        expect(res.status).toBe(400);
+        expect(res.body.error.details.map(error => error.field)).toEqual(['entity', 'action', 'from', 'pageSize']);
+    });
+});
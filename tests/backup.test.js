@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const register = async (email, locale) => {
+    const res = await request(app)
+        .post('/users/register')
+        .send({ name: 'Backup Test', email, password: 'Abc123!', locale });
+    expect(res.status).toBe(201);
+    const { accessToken } = res.body;
+    return {
+        as: (method, url) => request(app)[method](url).set('Authorization', `Bearer ${accessToken}`)
+    };
+};
+
+describe('Backup and restore', () => {
+    let source;
+    let backup;
+
+    beforeAll(async () => {
+        source = await login(app);
+
+        const categories = await source.as('get', '/categories');
+        const food = categories.body.find(category => category.type === 'debito');
+        const rule = await source.as('post', '/rules').send({
+            name: 'Mercado',
+            descriptionContains: 'mercado',
+            category: food.id
+        });
+        expect(rule.status).toBe(201);
+
+        const res = await source.as('get', '/backup');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename="backup-/);
+        backup = res.body;
+    });
+
+    test('holds the whole account and no secrets', () => {
+        expect(backup.version).toBe(1);
+        expect(backup.profile).toMatchObject({ baseCurrency: 'BRL', locale: 'pt-BR' });
+        expect(backup.profile).not.toHaveProperty('password');
+        expect(backup.profile).not.toHaveProperty('role');
+        expect(backup.transactions.length).toBeGreaterThan(0);
+        expect(backup.recurrences.length).toBeGreaterThan(0);
+        expect(backup.rules.map(rule => rule.name)).toEqual(['Mercado']);
+    });
+
+    test('restores into a fresh account', async () => {
+        const target = await register('restore@example.com', 'en');
+
+        const res = await target.as('post', '/backup/restore').send(backup);
+        expect(res.status).toBe(201);
+        expect(res.body.restored).toEqual({
+            accounts: backup.accounts.length,
+            categories: backup.categories.length,
+            exchangeRates: backup.exchangeRates.length,
+            recurrences: backup.recurrences.length,
+            rules: backup.rules.length,
+            transactions: backup.transactions.length
+        });
+
+        const roundTrip = (await target.as('get', '/backup')).body;
+        expect(roundTrip.profile.locale).toBe('pt-BR');
+        expect(roundTrip.transactions.map(record => record.description).sort())
+            .toEqual(backup.transactions.map(record => record.description).sort());
+        expect(roundTrip.rules.map(rule => rule.name)).toEqual(['Mercado']);
+        // Restored entries and rules point at the restored categories
+        const categoryIds = roundTrip.categories.map(category => category.id);
+        [...roundTrip.transactions, ...roundTrip.recurrences, ...roundTrip.rules]
+            .forEach(entry => expect(categoryIds).toContain(entry.category));
+
+        const again = await target.as('post', '/backup/restore').send(backup);
+        expect(again.status).toBe(409);
+    });
+
+    test('accepts the backup as an uploaded file', async () => {
+        const target = await register('restore-file@example.com');
+
+        const res = await target.as('post', '/backup/restore')
+            .attach('file', Buffer.from(JSON.stringify(backup)), 'backup.json');
+        expect(res.status).toBe(201);
+        expect(res.body.restored.transactions).toBe(backup.transactions.length);
+    });
+
+    test('refuses an invalid backup without touching the account', async () => {
+        const target = await register('restore-invalid@example.com');
+
+        const res = await target.as('post', '/backup/restore').send({ ...backup, version: 99 });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_BACKUP');
+        expect(res.body.error.details[0].field).toBe('version');
+
+        const broken = { ...backup, transactions: [{ ...backup.transactions[0], value: 0 }] };
+        expect((await target.as('post', '/backup/restore').send(broken)).status).toBe(400);
+
+        const after = (await target.as('get', '/backup')).body;
+        expect(after.transactions).toEqual([]);
+    });
+});
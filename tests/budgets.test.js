@@ -0,0 +1,84 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+
+// yyyy-mm of the month `offset` months from now
+const monthFromNow = (offset) => {
+    const date = new Date();
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1)).toISOString().slice(0, 7);
+};
+
+describe('Budgets', () => {
+    let session;
+    let categoryByName;
+
+    beforeAll(async () => {
+        session = await login(app);
+        const categories = await session.as('get', '/categories');
+        categoryByName = (name) => categories.body.find(category => category.name === name);
+    });
+
+    const createCategory = async (name, type = 'debito') =>
+        (await session.as('post', '/categories').send({ name, type, color: '#123456' })).body;
+
+    test('reports spending against the limit of a month', async () => {
+        const food = categoryByName('Alimentação');
+        const set = await session.as('put', `/categories/${food.id}/budget`).send({ limit: 120 });
+        expect(set.status).toBe(200);
+        expect(set.body.budget).toMatchObject({ limit: 120, rollover: false, since: monthFromNow(0) });
+
+        const september = await session.as('get', '/reports/budgets?month=2025-09');
+        expect(september.body).toEqual([expect.objectContaining({
+            name: 'Alimentação', spent: 100.5, available: 120, remaining: 19.5, percentUsed: 83.75, status: 'warning'
+        })]);
+
+        const august = await session.as('get', '/reports/budgets?month=2025-08');
+        expect(august.body[0]).toMatchObject({ spent: 200, remaining: -80, status: 'exceeded' });
+
+        await session.as('delete', `/categories/${food.id}/budget`);
+        expect((await session.as('get', '/reports/budgets?month=2025-09')).body).toEqual([]);
+    });
+
+    test('rolls unspent amounts over to the next months', async () => {
+        const gifts = await createCategory('Presentes');
+        await session.as('put', `/categories/${gifts.id}/budget`).send({ limit: 50, rollover: true, warningThreshold: 90 });
+
+        const res = await session.as('get', `/reports/budgets?month=${monthFromNow(2)}`);
+        expect(res.body[0]).toMatchObject({ carriedOver: 100, available: 150, spent: 0, status: 'ok', warningThreshold: 90 });
+    });
+
+    test('validates the budget and the month', async () => {
+        const salary = categoryByName('Salário');
+        const credit = await session.as('put', `/categories/${salary.id}/budget`).send({ limit: 100 });
+        expect(credit.status).toBe(400);
+
+        const food = categoryByName('Alimentação');
+        expect((await session.as('put', `/categories/${food.id}/budget`).send({ limit: -1 })).status).toBe(400);
+        expect((await session.as('put', `/categories/${food.id}/budget`).send({ limit: 10, warningThreshold: 150 })).status).toBe(400);
+        expect((await session.as('get', '/reports/budgets?month=2025-13')).status).toBe(400);
+    });
+
+    test('categories in use keep their type', async () => {
+        const unused = await createCategory('Viagens');
+        const changed = await session.as('put', `/categories/${unused.id}`).send({ name: 'Viagens', type: 'credito', color: '#123456' });
+        expect(changed.status).toBe(200);
+        expect(changed.body.type).toBe('credito');
+
+        const budgeted = await createCategory('Pets');
+        await session.as('put', `/categories/${budgeted.id}/budget`).send({ limit: 100 });
+        const withBudget = await session.as('put', `/categories/${budgeted.id}`).send({ name: 'Pets', type: 'credito', color: '#123456' });
+        expect(withBudget.status).toBe(400);
+        expect(withBudget.body.error.code).toBe('CATEGORY_IN_USE_TYPE_LOCKED');
+
+        const used = await createCategory('Cursos');
+        await session.as('post', '/records').send({ description: 'Curso', value: -90, type: 'debito', category: 'Cursos' });
+        const withRecords = await session.as('put', `/categories/${used.id}`).send({ name: 'Cursos', type: 'credito', color: '#123456' });
+        expect(withRecords.status).toBe(400);
+
+        const scheduled = await createCategory('Academia');
+        await session.as('post', '/recurrences')
+            .send({ description: 'Mensalidade', value: -99, type: 'debito', category: 'Academia', rule: { frequency: 'monthly' } });
+        const withRecurrences = await session.as('put', `/categories/${scheduled.id}`).send({ name: 'Academia', type: 'credito', color: '#123456' });
+        expect(withRecurrences.status).toBe(400);
+    });
+});
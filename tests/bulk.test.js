@@ -0,0 +1,94 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+describe('Bulk operations', () => {
+    let session;
+    let debits;
+    let creditCategory;
+    let debitCategory;
+
+    const bulk = (body) => session.as('post', '/records/bulk').send(body);
+    const fetchRecord = async (id) => (await session.as('get', `/records/${id}`)).body;
+
+    beforeAll(async () => {
+        session = await login(app);
+
+        const records = (await session.as('get', '/records?type=debito&pageSize=100')).body.data;
+        debits = records.filter(record => !record.transferId && !record.splits).slice(0, 3);
+        expect(debits).toHaveLength(3);
+
+        const categories = (await session.as('get', '/categories')).body;
+        creditCategory = categories.find(category => category.type === 'credito');
+        debitCategory = categories.find(category => category.type === 'debito' &&
+            debits.every(record => record.category !== category.id));
+    });
+
+    test('an invalid item rejects the whole batch and changes nothing', async () => {
+        const ids = [debits[0].id, 'missing-id', debits[1].id];
+
+        const res = await bulk({ ids, operation: 'recategorize', category: debitCategory.id });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('BULK_OPERATION_REJECTED');
+        expect(res.body.error.details.map(item => item.status)).toEqual(['ok', 'error', 'ok']);
+        expect(res.body.error.details[1].errors[0].code).toBe('TRANSACTION_NOT_FOUND');
+
+        expect((await fetchRecord(debits[0].id)).category).toBe(debits[0].category);
+        expect((await fetchRecord(debits[1].id)).category).toBe(debits[1].category);
+    });
+
+    test('a category that does not take the records type rejects the batch', async () => {
+        const res = await bulk({ ids: [debits[0].id], operation: 'recategorize', category: creditCategory.id });
+        expect(res.status).toBe(400);
+        expect(res.body.error.details[0].errors[0].code).toBe('CATEGORY_IS_CREDIT');
+        expect((await fetchRecord(debits[0].id)).category).toBe(debits[0].category);
+    });
+
+    test('a dry run reports the changes without applying them', async () => {
+        const res = await bulk({ ids: [debits[0].id], operation: 'retag', tags: { add: ['revisar'] }, dryRun: true });
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ operation: 'retag', dryRun: true, count: 1 });
+        expect(res.body.results[0].changes.tags).toContain('revisar');
+        expect((await fetchRecord(debits[0].id)).tags || []).not.toContain('revisar');
+    });
+
+    test('a valid batch changes every record', async () => {
+        const ids = debits.map(record => record.id);
+
+        const res = await bulk({ ids, operation: 'recategorize', category: debitCategory.id });
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBe(3);
+
+        for (const id of ids) {
+            expect((await fetchRecord(id)).category).toBe(debitCategory.id);
+        }
+    });
+
+    test('deletes the batch into a single trash entry', async () => {
+        const ids = debits.slice(0, 2).map(record => record.id);
+
+        const res = await bulk({ ids, operation: 'delete' });
+        expect(res.status).toBe(200);
+        expect(res.body.trashId).toBeDefined();
+        expect((await session.as('get', `/records/${ids[0]}`)).status).toBe(404);
+
+        const restored = await session.as('post', `/trash/${res.body.trashId}/restore`);
+        expect(restored.status).toBe(200);
+        expect(restored.body.items.map(item => item.id).sort()).toEqual([...ids].sort());
+    });
+
+    test('refuses a filter that selects nothing in particular', async () => {
+        const empty = await bulk({ filter: {}, operation: 'delete' });
+        expect(empty.status).toBe(400);
+        expect(empty.body.error.details[0].code).toBe('BULK_FILTER_EMPTY');
+
+        const unknownOnly = await bulk({ filter: { foo: 'bar' }, operation: 'delete' });
+        expect(unknownOnly.status).toBe(400);
+        expect(unknownOnly.body.error.details[0].code).toBe('BULK_FILTER_EMPTY');
+    });
+
+    test('applies a filter to every record it selects', async () => {
+        const res = await bulk({ filter: { type: 'debito' }, operation: 'retag', tags: { add: ['despesa'] }, dryRun: true });
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBeGreaterThanOrEqual(debits.length);
+    });
+});
@@ -0,0 +1,68 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+const migrateCategoryIds = require('../src/data/migrations/categoryIds.migration');
+
+describe('Category references', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    const createCategory = async (name) =>
+        (await session.as('post', '/categories').send({ name, type: 'debito', color: '#336699' })).body;
+
+    test('records store the category id and embed its details', async () => {
+        const created = await session.as('post', '/records')
+            .send({ description: 'Feira', value: -42, type: 'debito', category: 'Alimentação' });
+        expect(created.status).toBe(201);
+        expect(created.body.categoryDetails).toMatchObject({ name: 'Alimentação', type: 'debito' });
+        expect(created.body.category).toBe(created.body.categoryDetails.id);
+
+        const listed = await session.as('get', '/records?q=feira');
+        expect(listed.body.data[0].categoryDetails.name).toBe('Alimentação');
+    });
+
+    test('renaming a category keeps its records linked', async () => {
+        const category = await createCategory('Mercado');
+        const record = (await session.as('post', '/records')
+            .send({ description: 'Hortifruti', value: -30, type: 'debito', category: category.id })).body;
+
+        await session.as('put', `/categories/${category.id}`).send({ name: 'Sacolão', type: 'debito', color: '#336699' });
+
+        const read = await session.as('get', `/records/${record.id}`);
+        expect(read.body.categoryDetails).toMatchObject({ id: category.id, name: 'Sacolão' });
+    });
+
+    test('deleting a category moves records and recurrences to the fallback', async () => {
+        const category = await createCategory('Streaming');
+        const record = (await session.as('post', '/records')
+            .send({ description: 'Filmes', value: -40, type: 'debito', category: 'Streaming' })).body;
+        const entry = (await session.as('post', '/recurrences').send({
+            description: 'Assinatura', value: -40, type: 'debito', category: 'Streaming', rule: { frequency: 'monthly' }
+        })).body;
+
+        expect((await session.as('delete', `/categories/${category.id}`)).status).toBe(200);
+
+        expect((await session.as('get', `/records/${record.id}`)).body.categoryDetails.name).toBe('Sem Categoria');
+        expect((await session.as('get', `/recurrences/${entry.id}`)).body.categoryDetails.name).toBe('Sem Categoria');
+    });
+});
+
+describe('Category ids migration', () => {
+    test('rewrites names to ids and sends unknown names to the fallback, once', () => {
+        const users = [{
+            categories: [
+                { id: 'c-food', name: 'Alimentação' },
+                { id: 'c-none', name: 'Sem Categoria', isDefault: true, defaultKey: 'uncategorized' }
+            ],
+            transactions: [{ category: 'Alimentação' }, { category: 'c-food' }, { category: 'Apagada' }],
+            recurrentDebits: [{ category: 'Alimentação' }]
+        }];
+
+        expect(migrateCategoryIds(users)).toBe(3);
+        expect(users[0].transactions.map(record => record.category)).toEqual(['c-food', 'c-food', 'c-none']);
+        expect(users[0].recurrentDebits[0].category).toBe('c-food');
+        expect(migrateCategoryIds(users)).toBe(0);
+    });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+// No seeded transaction falls on this day
+const DAY = 'from=2025-09-10&to=2025-09-10';
+
+const HOTEL = {
+    description: 'Hotel',
+    value: -100,
+    type: 'debito',
+    category: 'Lazer',
+    currency: 'usd',
+    date: '2025-09-10'
+};
+
+describe('Currencies', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('exchange rates require authentication', async () => {
+        const res = await request(app).get('/exchange-rates');
+        expect(res.status).toBe(401);
+    });
+
+    test('stores the currency of each transaction', async () => {
+        const res = await session.as('post', '/records').send(HOTEL);
+        expect(res.status).toBe(201);
+        expect(res.body.currency).toBe('USD');
+
+        const invalid = await session.as('post', '/records').send({ ...HOTEL, currency: 'dolar' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error.details).toMatchObject([
+            { field: 'currency', code: 'INVALID_CURRENCY' }
+        ]);
+    });
+
+    test('reports list the missing rates instead of mixing currencies', async () => {
+        const res = await session.as('get', `/reports/balance?${DAY}`);
+        expect(res.status).toBe(422);
+        expect(res.body.error.code).toBe('MISSING_EXCHANGE_RATES');
+        expect(res.body.error.details).toEqual([{ from: 'USD', to: 'BRL', date: '2025-09-10' }]);
+    });
+
+    test('converts with the latest rate on or before each day', async () => {
+        const created = await session.as('post', '/exchange-rates')
+            .send({ from: 'usd', to: 'brl', rate: 5.5, date: '2025-09-01' });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ from: 'USD', to: 'BRL', rate: 5.5 });
+
+        // Same pair and day: the value is replaced
+        const replaced = await session.as('post', '/exchange-rates')
+            .send({ from: 'USD', to: 'BRL', rate: 5, date: '2025-09-01' });
+        expect(replaced.status).toBe(200);
+        // Rates after the transaction do not apply to it
+        await session.as('post', '/exchange-rates').send({ from: 'USD', to: 'BRL', rate: 6, date: '2025-09-20' });
+
+        const res = await session.as('get', `/reports/balance?${DAY}`);
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ currency: 'BRL', expenses: 500, transactionCount: 1 });
+
+        expect((await session.as('get', '/exchange-rates?currency=usd')).body).toHaveLength(2);
+    });
+
+    test('reports follow the base currency, inverting the rates', async () => {
+        const updated = await session.as('put', `/users/${session.user.id}`).send({ baseCurrency: 'usd' });
+        expect(updated.status).toBe(200);
+
+        const res = await session.as('get', `/reports/balance?${DAY}`);
+        expect(res.body).toMatchObject({ currency: 'USD', expenses: 100 });
+
+        await session.as('put', `/users/${session.user.id}`).send({ baseCurrency: 'BRL' });
+        const invalid = await session.as('put', `/users/${session.user.id}`).send({ baseCurrency: 'real' });
+        expect(invalid.status).toBe(400);
+    });
+
+    test('validates exchange rates', async () => {
+        const res = await session.as('post', '/exchange-rates')
+            .send({ from: 'USD', to: 'USD', rate: 0, date: '2025-09-01' });
+        expect(res.status).toBe(400);
+        expect(res.body.error.details).toMatchObject([
+            { field: 'to', code: 'SAME_RATE_CURRENCIES' },
+            { field: 'rate', code: 'RATE_NOT_POSITIVE' }
+        ]);
+    });
+
+    test('imports a rates CSV only when every row is valid', async () => {
+        const upload = (csv) => session.as('post', '/exchange-rates/import')
+            .attach('file', Buffer.from(csv), 'cotacoes.csv');
+
+        const invalid = await upload('date,from,to,rate\n2025-08-01,EUR,BRL,6.1\n2025-08-02,EUR,BRL,-1');
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error.details[0]).toMatchObject({ row: 2, field: 'rate' });
+        expect((await session.as('get', '/exchange-rates?currency=EUR')).body).toHaveLength(0);
+
+        const res = await upload('date,from,to,rate\n2025-08-01,EUR,BRL,6.1\n2025-08-02,EUR,BRL,6.2');
+        expect(res.status).toBe(201);
+        expect(res.body).toEqual({ createdCount: 2, updatedCount: 0 });
+    });
+
+    test('transfers between currencies credit the converted amount', async () => {
+        const accounts = (await session.as('get', '/accounts')).body;
+        const main = accounts.find(account => account.isDefault);
+        const dollars = (await session.as('post', '/accounts')
+            .send({ name: 'Conta em dólar', type: 'checking', currency: 'USD' })).body;
+        const yen = (await session.as('post', '/accounts')
+            .send({ name: 'Conta em iene', type: 'cash', currency: 'JPY' })).body;
+
+        const converted = await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: main.id, toAccountId: dollars.id, amount: 500, date: '2025-09-11' });
+        expect(converted.status).toBe(201);
+        expect(converted.body.legs.map(leg => [leg.value, leg.currency])).toEqual([[-500, 'BRL'], [100, 'USD']]);
+
+        const missing = await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: main.id, toAccountId: yen.id, amount: 500, date: '2025-09-11' });
+        expect(missing.status).toBe(400);
+        expect(missing.body.error.details[0].field).toBe('toAmount');
+
+        const informed = await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: main.id, toAccountId: yen.id, amount: 500, toAmount: 14000, date: '2025-09-11' });
+        expect(informed.status).toBe(201);
+        expect((await session.as('get', `/accounts/${yen.id}`)).body.balance).toBe(14000);
+    });
+});
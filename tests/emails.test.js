@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { transport } = require('../src/mailer');
+const usersRepository = require('../src/data/repositories/users.repository');
+const actionTokensRepository = require('../src/data/repositories/actionTokens.repository');
+const { login, authorized } = require('./helpers');
+
+const PASSWORD = 'Abc123!';
+
+// Token of the last link sent to `email`
+const lastTokenSentTo = (email) => {
+    const message = [...transport.sent].reverse().find(entry => entry.to === email);
+    return decodeURIComponent(message.text.match(/\?token=(\S+)/)[1]);
+};
+
+const register = async (email) => {
+    const res = await request(app).post('/users/register').send({ name: 'Email Test', email, password: PASSWORD });
+    expect(res.status).toBe(201);
+    return authorized(app, res.body.accessToken);
+};
+
+describe('Email verification and password reset', () => {
+    beforeAll(() => {
+        // Failures are logged
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('registration sends a verification link that works once', async () => {
+        const session = await register('verify@example.com');
+        expect(usersRepository.findByEmail('verify@example.com').emailVerified).toBe(false);
+        const token = lastTokenSentTo('verify@example.com');
+
+        const res = await request(app).post('/users/verify-email').send({ token });
+        expect(res.status).toBe(200);
+        expect(usersRepository.findByEmail('verify@example.com').emailVerified).toBe(true);
+
+        const reused = await request(app).post('/users/verify-email').send({ token });
+        expect(reused.status).toBe(400);
+        expect(reused.body.error.code).toBe('ACTION_TOKEN_INVALID');
+
+        const again = await session.as('post', '/users/resend-verification');
+        expect(again.status).toBe(400);
+        expect(again.body.error.code).toBe('EMAIL_ALREADY_VERIFIED');
+    });
+
+    test('a new verification link replaces the previous one', async () => {
+        const session = await register('resend@example.com');
+        const first = lastTokenSentTo('resend@example.com');
+
+        const res = await session.as('post', '/users/resend-verification');
+        expect(res.status).toBe(200);
+        const second = lastTokenSentTo('resend@example.com');
+
+        expect((await request(app).post('/users/verify-email').send({ token: first })).status).toBe(400);
+        expect((await request(app).post('/users/verify-email').send({ token: second })).status).toBe(200);
+    });
+
+    test('resets the password and signs out every device', async () => {
+        await register('reset@example.com');
+        const session = await login(app, { email: 'reset@example.com', password: PASSWORD });
+
+        const unknown = await request(app).post('/users/forgot-password').send({ email: 'nobody@example.com' });
+        const res = await request(app).post('/users/forgot-password').send({ email: 'reset@example.com' });
+        expect(res.status).toBe(200);
+        // The same answer whether the address exists or not
+        expect(unknown.body).toEqual(res.body);
+
+        const token = lastTokenSentTo('reset@example.com');
+        const weak = await request(app).post('/users/reset-password').send({ token, password: '123' });
+        expect(weak.status).toBe(400);
+
+        const reset = await request(app).post('/users/reset-password').send({ token, password: 'Xyz789!' });
+        expect(reset.status).toBe(200);
+        expect((await session.as('get', '/categories')).status).toBe(401);
+        expect(usersRepository.findByEmail('reset@example.com').emailVerified).toBe(true);
+
+        const relogin = await login(app, { email: 'reset@example.com', password: 'Xyz789!' });
+        expect(relogin.res.status).toBe(200);
+        expect((await request(app).post('/users/reset-password').send({ token, password: 'Abc999!' })).status)
+            .toBe(400);
+    });
+
+    test('unexpected failures answer 500 instead of hanging', async () => {
+        const session = await register('failure@example.com');
+        const replace = jest.spyOn(actionTokensRepository, 'replace').mockImplementation(() => {
+            throw new Error('disk full');
+        });
+
+        const resend = await session.as('post', '/users/resend-verification');
+        expect(resend.status).toBe(500);
+        expect(resend.body.error.code).toBe('VERIFICATION_EMAIL_FAILED');
+
+        const forgot = await request(app).post('/users/forgot-password').send({ email: 'failure@example.com' });
+        expect(forgot.status).toBe(500);
+        expect(forgot.body.error.code).toBe('PASSWORD_RESET_REQUEST_FAILED');
+        replace.mockRestore();
+    });
+});
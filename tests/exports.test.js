@@ -0,0 +1,48 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+describe('Transaction export', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('exports filtered transactions as CSV with the import headers', async () => {
+        const res = await session.as('get', '/records/export?category=Alimentação&from=2025-09-01&to=2025-09-30&sort=timestamp&order=asc');
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.headers['content-disposition']).toMatch(/filename="transacoes-.*\.csv"/);
+        expect(res.text).toBe([
+            'date,type,category,description,amount,currency',
+            '2025-09-15,debito,Alimentação,Padaria,-15.50,BRL',
+            '2025-09-28,debito,Alimentação,Restaurante,-85.00,BRL',
+            ''
+        ].join('\n'));
+    });
+
+    test('exports JSON with the resolved categories', async () => {
+        const res = await session.as('get', '/records/export?format=json&q=padaria');
+        expect(res.body).toHaveLength(1);
+        expect(res.body[0].categoryDetails.name).toBe('Alimentação');
+    });
+
+    test('an exported OFX imports back as duplicates', async () => {
+        const exported = await session.as('get', '/records/export?format=ofx&from=2025-09-01&to=2025-09-30')
+            .buffer(true).parse((res, done) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => done(null, Buffer.concat(chunks)));
+            });
+        expect(exported.headers['content-type']).toMatch(/^application\/x-ofx/);
+
+        const preview = await session.as('post', '/records/import').attach('file', exported.body, 'export.ofx');
+        expect(preview.body.summary).toMatchObject({ total: 4, duplicates: 4 });
+    });
+
+    test('rejects an unknown format', async () => {
+        const res = await session.as('get', '/records/export?format=xls');
+        expect(res.status).toBe(400);
+        expect(res.body.error.details.map(detail => detail.field)).toEqual(['format']);
+    });
+});
@@ -0,0 +1,33 @@
+const request = require('supertest');
+
+// Seeded by src/data/userData.js
+const MOCK_USER = { email: 'matheusfonseca@gmail.com', password: '123456' };
+
+// `refreshToken=...` from the Set-Cookie headers of a response
+const refreshCookieOf = (res) => (res.headers['set-cookie'] || [])
+    .map(cookie => cookie.split(';')[0])
+    .find(cookie => cookie.startsWith('refreshToken='));
+
+// `as(method, url)` starts a request carrying the access token
+const authorized = (app, accessToken) => ({
+    accessToken,
+    as: (method, url) => request(app)[method](url).set('Authorization', `Bearer ${accessToken}`)
+});
+
+// Signs in and returns the session
+const login = async (app, credentials = MOCK_USER) => {
+    const res = await request(app).post('/users/login').send(credentials);
+    return {
+        ...authorized(app, res.body.accessToken),
+        res,
+        user: res.body.user,
+        refreshCookie: refreshCookieOf(res)
+    };
+};
+
+module.exports = {
+    MOCK_USER,
+    refreshCookieOf,
+    authorized,
+    login
+};
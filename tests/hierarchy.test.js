@@ -0,0 +1,90 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+// No seeded transaction falls on this day
+const DAY = 'from=2025-09-10&to=2025-09-10';
+
+describe('Category hierarchy', () => {
+    let session;
+    let food;
+    let restaurants;
+    let delivery;
+
+    const createCategory = async (name, parentId, type = 'debito') =>
+        (await session.as('post', '/categories').send({ name, type, color: '#FF7043', parentId })).body;
+    const spend = (category, value) => session.as('post', '/records')
+        .send({ description: category.name, value, type: 'debito', category: category.id, date: '2025-09-10' });
+
+    beforeAll(async () => {
+        session = await login(app);
+        food = (await session.as('get', '/categories')).body.find(category => category.name === 'Alimentação');
+        restaurants = await createCategory('Restaurante', food.id);
+        delivery = await createCategory('Delivery', restaurants.id);
+    });
+
+    test('nests subcategories in the tree view', async () => {
+        const res = await session.as('get', '/categories?view=tree');
+        const foodNode = res.body.find(category => category.id === food.id);
+        expect(foodNode.children.map(child => child.name)).toEqual(['Restaurante']);
+        expect(foodNode.children[0].children.map(child => child.name)).toEqual(['Delivery']);
+
+        expect((await session.as('get', '/categories?view=graph')).status).toBe(400);
+    });
+
+    test('refuses parents of another type, the fallback or loops', async () => {
+        const categories = (await session.as('get', '/categories')).body;
+        const salary = categories.find(category => category.name === 'Salário');
+        const uncategorized = categories.find(category => category.name === 'Sem Categoria');
+
+        const otherType = await session.as('post', '/categories')
+            .send({ name: 'Bar', type: 'debito', color: '#000000', parentId: salary.id });
+        expect(otherType.body.error.code).toBe('PARENT_CATEGORY_TYPE_MISMATCH');
+
+        const fallback = await session.as('post', '/categories')
+            .send({ name: 'Bar', type: 'debito', color: '#000000', parentId: uncategorized.id });
+        expect(fallback.body.error.code).toBe('PARENT_CATEGORY_UNCATEGORIZED');
+
+        const loop = await session.as('put', `/categories/${restaurants.id}`)
+            .send({ name: 'Restaurante', type: 'debito', color: '#FF7043', parentId: delivery.id });
+        expect(loop.status).toBe(400);
+        expect(loop.body.error.code).toBe('CATEGORY_CYCLE');
+    });
+
+    test('subcategory totals roll up into their parents', async () => {
+        await spend(food, -10);
+        await spend(restaurants, -20);
+        await spend(delivery, -30);
+
+        const res = await session.as('get', `/reports/categories?${DAY}`);
+        const byName = Object.fromEntries(res.body.map(entry => [entry.name, entry]));
+        expect(byName['Alimentação']).toMatchObject({ total: 60, ownTotal: 10, count: 3, ownCount: 1 });
+        expect(byName.Restaurante).toMatchObject({ total: 50, ownTotal: 20, parentId: food.id });
+        expect(byName.Delivery).toMatchObject({ total: 30, ownTotal: 30 });
+
+        const tree = await session.as('get', `/reports/categories?${DAY}&view=tree`);
+        expect(tree.body.map(entry => entry.name)).toEqual(['Alimentação']);
+        expect(tree.body[0].children[0].children[0].name).toBe('Delivery');
+    });
+
+    test('filtering by a category includes its subcategories', async () => {
+        const res = await session.as('get', `/records?${DAY}&category=${restaurants.id}`);
+        expect(res.body.data.map(record => record.description).sort()).toEqual(['Delivery', 'Restaurante']);
+    });
+
+    test('deleting a category moves its subcategories and transactions up to its parent', async () => {
+        const res = await session.as('delete', `/categories/${restaurants.id}?moveTo=parent`);
+        expect(res.status).toBe(200);
+        expect(res.body.code).toBe('CATEGORY_TRASHED');
+
+        const categories = (await session.as('get', '/categories')).body;
+        expect(categories.find(category => category.id === delivery.id).parentId).toBe(food.id);
+
+        const report = await session.as('get', `/reports/categories?${DAY}`);
+        expect(report.body.find(entry => entry.name === 'Alimentação')).toMatchObject({ total: 60, ownTotal: 30 });
+
+        const topLevel = await createCategory('Pets');
+        const orphan = await session.as('delete', `/categories/${topLevel.id}?moveTo=parent`);
+        expect(orphan.status).toBe(400);
+        expect(orphan.body.error.code).toBe('CATEGORY_HAS_NO_PARENT');
+    });
+});
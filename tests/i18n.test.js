@@ -0,0 +1,101 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { transport } = require('../src/mailer');
+const { login, authorized } = require('./helpers');
+
+// No seeded transaction falls on this day
+const DAY = 'from=2025-09-10&to=2025-09-10';
+
+describe('Messages in the language of the request', () => {
+    let session;
+    let jane;
+
+    beforeAll(async () => {
+        session = await login(app);
+        const res = await request(app).post('/users/register')
+            .send({ name: 'Jane', email: 'jane@example.com', password: 'Abc123!', locale: 'en' });
+        jane = authorized(app, res.body.accessToken);
+    });
+
+    test('errors carry a code and follow Accept-Language', async () => {
+        const portuguese = await request(app).get('/records');
+        expect(portuguese.body.error.code).toBe('ACCESS_TOKEN_MISSING');
+        expect(portuguese.body.error.message).toBe('Token de acesso não fornecido');
+        expect(portuguese.headers['content-language']).toBe('pt-BR');
+
+        const english = await request(app).get('/records').set('Accept-Language', 'fr;q=0.9, en-GB;q=0.8');
+        expect(english.body.error).toMatchObject({ code: 'ACCESS_TOKEN_MISSING', message: 'Access token not provided' });
+        expect(english.headers['content-language']).toBe('en');
+
+        // Spanish has default categories but no message catalog
+        const spanish = await request(app).get('/records').set('Accept-Language', 'es');
+        expect(spanish.body.error.message).toBe(portuguese.body.error.message);
+    });
+
+    test('the language chosen by the user wins over Accept-Language', async () => {
+        const english = await jane.as('get', '/records/unknown').set('Accept-Language', 'pt-BR');
+        expect(english.body.error.message).toBe('Transaction not found');
+
+        const portuguese = await session.as('get', '/records/unknown').set('Accept-Language', 'en');
+        expect(portuguese.body.error.message).toBe('Transação não encontrada');
+    });
+
+    test('field errors are translated, field names included', async () => {
+        const res = await jane.as('post', '/records').send({ value: 'muito' });
+        expect(res.body.error).toMatchObject({ code: 'INVALID_DATA', message: 'Invalid data' });
+        expect(res.body.error.details[0]).toEqual({
+            field: 'description',
+            code: 'FIELD_REQUIRED',
+            params: { label: 'FIELD_DESCRIPTION' },
+            message: 'description is required'
+        });
+    });
+
+    test('success messages are translated too', async () => {
+        const record = (await jane.as('post', '/records')
+            .send({ description: 'Groceries', value: -80, type: 'debito', category: 'Food' })).body;
+
+        const res = await jane.as('delete', `/records/${record.id}`);
+        expect(res.body).toMatchObject({ code: 'TRANSACTION_TRASHED', message: 'Transaction moved to the trash' });
+    });
+
+    test('emails are written in the language of the recipient', () => {
+        const email = [...transport.sent].reverse().find(entry => entry.to === 'jane@example.com');
+        expect(email.subject).toBe('Confirm your email');
+        expect(email.text).toMatch(/^Hello, Jane!/);
+    });
+});
+
+describe('Locale-aware formatting', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+        await session.as('post', '/records').send({
+            description: 'Notebook', value: -1234.56, type: 'debito', category: 'Outros', date: '2025-09-10'
+        });
+    });
+
+    test('reports add formatted amounts and months on request', async () => {
+        const plain = await session.as('get', `/reports/balance?${DAY}`);
+        expect(plain.body).not.toHaveProperty('formatted');
+
+        const res = await session.as('get', `/reports/monthly?${DAY}&formatted=true`);
+        expect(res.body[0].formatted.month).toBe('setembro de 2025');
+        expect(res.body[0].formatted.expenses).toMatch(/^-?R\$\s1\.234,56$/);
+    });
+
+    test('the CSV export can follow the locale and still import back', async () => {
+        const csv = (await session.as('get', `/records/export?${DAY}&formatted=true`)).text;
+        const [header, line] = csv.trim().split('\n');
+        expect(header.split(';')).toHaveLength(6);
+        expect(line).toBe('10/09/2025;debito;Outros;Notebook;-1234,56;BRL');
+
+        const preview = await session.as('post', '/records/import')
+            .field('dateFormat', 'dd/mm/yyyy')
+            .field('decimalSeparator', ',')
+            .field('delimiter', ';')
+            .attach('file', Buffer.from(csv), 'export.csv');
+        expect(preview.body.rows[0]).toMatchObject({ status: 'duplicate' });
+    });
+});
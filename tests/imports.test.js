@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const CSV = [
+    'date,type,category,description,amount',
+    '2024-03-01,debito,Alimentação,Mercado do mês,-250.40',
+    '2024-03-05,credito,Salário,Salário março,4500',
+    '2024-03-07,debito,Categoria Nova,Curso online,-120',
+    'not-a-date,debito,Alimentação,Linha quebrada,-10'
+].join('\n');
+
+const upload = (session, fields = {}, csv = CSV) => {
+    const req = session.as('post', '/records/import').attach('file', Buffer.from(csv), 'extrato.csv');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+};
+
+describe('Two-phase import', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(app).post('/records/import');
+        expect(res.status).toBe(401);
+    });
+
+    test('previews the file without storing anything', async () => {
+        const before = await session.as('get', '/records?pageSize=100');
+
+        const res = await upload(session);
+        expect(res.status).toBe(200);
+        expect(res.body.source).toBe('csv');
+        expect(res.body.summary).toEqual({ total: 4, valid: 2, invalid: 2, duplicates: 0 });
+        expect(res.body.unknownCategories).toEqual(['Categoria Nova']);
+        expect(res.body.rows[2].errors[0]).toMatchObject({ field: 'category', code: 'UNKNOWN_CATEGORY', params: { name: 'Categoria Nova' } });
+
+        const after = await session.as('get', '/records?pageSize=100');
+        expect(after.body.pagination.total).toBe(before.body.pagination.total);
+
+        const again = await session.as('get', `/records/import/${res.body.importId}`);
+        expect(again.status).toBe(200);
+        expect(again.body.summary).toEqual(res.body.summary);
+    });
+
+    test('confirm stores the valid rows, reports the invalid ones and consumes the import', async () => {
+        const preview = await upload(session, { createMissingCategories: 'true' });
+        expect(preview.body.summary).toMatchObject({ valid: 3, invalid: 1 });
+        expect(preview.body.newCategories).toEqual(['Categoria Nova']);
+
+        const res = await session.as('post', `/records/import/${preview.body.importId}/confirm`).send({});
+        expect(res.status).toBe(201);
+        expect(res.body.createdCount).toBe(3);
+        expect(res.body.errorCount).toBe(1);
+        expect(res.body.errors[0].row).toBe(4);
+        expect(res.body.createdCategories.map(category => category.name)).toEqual(['Categoria Nova']);
+
+        const again = await session.as('post', `/records/import/${preview.body.importId}/confirm`).send({});
+        expect(again.status).toBe(404);
+    });
+
+    test('flags rows already imported as duplicates', async () => {
+        const res = await upload(session);
+        expect(res.body.summary).toMatchObject({ valid: 0, duplicates: 3 });
+
+        const confirmed = await session.as('post', `/records/import/${res.body.importId}/confirm`).send({});
+        expect(confirmed.body.createdCount).toBe(0);
+        expect(confirmed.body.skippedDuplicates).toBe(3);
+    });
+
+    test('flags rows repeated within the same file', async () => {
+        const csv = [
+            'date,category,description,amount',
+            '2024-04-02,Lazer,Show,-75',
+            '2024-04-02,Lazer,Show,-75'
+        ].join('\n');
+
+        const res = await upload(session, {}, csv);
+        expect(res.body.summary).toMatchObject({ valid: 1, duplicates: 1 });
+        expect(res.body.rows[1]).toMatchObject({ status: 'duplicate', duplicateOfRow: 1 });
+    });
+
+    test('keeps the sign of amounts after a currency symbol', async () => {
+        const csv = [
+            'date;category;description;amount',
+            '2024-05-03;Contas;Internet;R$ -89,90',
+            '2024-05-04;Contas;Telefone;R$ 1.234,56-'
+        ].join('\n');
+
+        const res = await upload(session, { delimiter: ';', decimalSeparator: ',' }, csv);
+        expect(res.body.rows.map(row => [row.record.type, row.record.value])).toEqual([
+            ['debito', -89.9],
+            ['debito', -1234.56]
+        ]);
+    });
+
+    test('names the columns a row is missing', async () => {
+        const csv = ['Data,Valor,Descrição', ',,Sem nada'].join('\n');
+
+        const res = await upload(session, { columns: '{"date":"Data","amount":"Valor"}' }, csv);
+        expect(res.body.rows[0].errors).toMatchObject([
+            { field: 'date', code: 'IMPORT_COLUMN_MISSING', params: { columns: 'Data' } },
+            { field: 'value', code: 'IMPORT_COLUMN_MISSING', params: { columns: 'Valor' } }
+        ]);
+    });
+
+    test('rejects invalid options', async () => {
+        const res = await upload(session, { dateFormat: 'yyyy', columns: '{"foo":"bar"}' });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_IMPORT_OPTIONS');
+        expect(res.body.error.details.map(detail => detail.field)).toEqual(['columns', 'dateFormat']);
+    });
+
+    test('rejects a category mapping that is not an object of names', async () => {
+        const uploaded = await upload(session, { categoryMapping: '["Lazer"]' });
+        expect(uploaded.status).toBe(400);
+        expect(uploaded.body.error.details.map(detail => detail.field)).toEqual(['categoryMapping']);
+
+        const preview = await upload(session);
+        for (const categoryMapping of [null, 'Lazer', ['Lazer'], { Mercado: 42 }]) {
+            const res = await session.as('post', `/records/import/${preview.body.importId}/confirm`).send({ categoryMapping });
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('INVALID_IMPORT_OPTIONS');
+        }
+    });
+
+    test('refuses to confirm into an account deleted after the upload', async () => {
+        const account = (await session.as('post', '/accounts').send({ name: 'Temporária', type: 'cash' })).body;
+        const preview = await upload(session, { accountId: account.id });
+        expect(preview.status).toBe(200);
+        await session.as('delete', `/accounts/${account.id}`);
+
+        const res = await session.as('post', `/records/import/${preview.body.importId}/confirm`).send({});
+        expect(res.status).toBe(404);
+        expect(res.body.error.code).toBe('IMPORT_ACCOUNT_NOT_FOUND');
+    });
+
+    test('discards a pending import', async () => {
+        const preview = await upload(session);
+        const res = await session.as('delete', `/records/import/${preview.body.importId}`);
+        expect(res.status).toBe(200);
+
+        const gone = await session.as('get', `/records/import/${preview.body.importId}`);
+        expect(gone.status).toBe(404);
+    });
+});
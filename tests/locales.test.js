@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login, authorized } = require('./helpers');
+const migrateLocales = require('../src/data/migrations/locales.migration');
+
+const register = async (email, locale) => {
+    const res = await request(app).post('/users/register')
+        .send({ name: 'Locale Test', email, password: 'Abc123!', locale });
+    expect(res.status).toBe(201);
+    return authorized(app, res.body.accessToken);
+};
+
+describe('Locales', () => {
+    test('new users get defaults in the language they registered with', async () => {
+        const session = await register('english@example.com', 'en-US');
+        expect((await session.as('get', '/users/me')).body.locale).toBe('en');
+
+        const categories = (await session.as('get', '/categories')).body.map(category => category.name);
+        expect(categories).toEqual(expect.arrayContaining(['Food', 'Salary', 'Uncategorized']));
+
+        const [account] = (await session.as('get', '/accounts')).body;
+        expect(account.name).toBe('Main Account');
+        const savings = (await session.as('post', '/accounts').send({ name: 'Savings', type: 'savings' })).body;
+        const transfer = (await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: account.id, toAccountId: savings.id, amount: 10 })).body;
+        expect(transfer.legs.map(leg => leg.description)).toEqual(['Transfer to Savings', 'Transfer from Main Account']);
+
+        const spanish = await register('spanish@example.com', 'es_AR');
+        expect((await spanish.as('get', '/accounts')).body[0].name).toBe('Cuenta Principal');
+    });
+
+    test('refuses unknown languages', async () => {
+        const res = await request(app).post('/users/register')
+            .send({ name: 'Locale Test', email: 'german@example.com', password: 'Abc123!', locale: 'de' });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_LOCALE');
+
+        const session = await login(app);
+        expect((await session.as('put', `/users/${session.user.id}`).send({ locale: 'fr' })).status).toBe(400);
+    });
+
+    test('a renamed fallback still receives transactions without a category', async () => {
+        const session = await register('renamed@example.com', 'en');
+        const fallback = (await session.as('get', '/categories')).body
+            .find(category => category.name === 'Uncategorized');
+
+        const renamed = await session.as('put', `/categories/${fallback.id}`)
+            .send({ name: 'Misc', type: 'debito', color: '#D5DBDB' });
+        expect(renamed.status).toBe(200);
+        const retyped = await session.as('put', `/categories/${fallback.id}`)
+            .send({ name: 'Misc', type: 'credito', color: '#D5DBDB' });
+        expect(retyped.status).toBe(400);
+
+        const record = await session.as('post', '/records')
+            .send({ description: 'Refund', value: 15, type: 'credito' });
+        expect(record.status).toBe(201);
+        expect(record.body.categoryDetails.name).toBe('Misc');
+    });
+
+    test('the migration sets the default locale and keys the default categories', () => {
+        const users = [{
+            categories: [
+                { name: 'Sem Categoria', type: 'debito', isDefault: true },
+                { name: 'Pets', type: 'debito', isDefault: false }
+            ]
+        }];
+
+        expect(migrateLocales(users)).toBe(2);
+        expect(users[0].locale).toBe('pt-BR');
+        expect(users[0].categories.map(category => category.defaultKey)).toEqual(['uncategorized', undefined]);
+        expect(migrateLocales(users)).toBe(0);
+    });
+});
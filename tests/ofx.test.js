@@ -0,0 +1,70 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+// OFX 1.x: SGML header, leaf elements without closing tags, Windows-1252 text
+const OFX = Buffer.from([
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    '',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+    '<BANKACCTFROM><BANKID>0341<ACCTID>12345-6</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240610120000[-3:BRT]<TRNAMT>-42,50<FITID>A1<NAME>Padaria São João</STMTTRN>',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240611<TRNAMT>1500.00<FITID>A2<NAME>PIX RECEBIDO<MEMO>Aluguel</STMTTRN>',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+].join('\r\n'), 'latin1');
+
+const upload = (session, buffer, filename, fields = {}) => {
+    const req = session.as('post', '/records/import').attach('file', buffer, filename);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+};
+
+describe('OFX import', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('parses a statement detected by its header', async () => {
+        const res = await upload(session, OFX, 'extrato.txt');
+        expect(res.status).toBe(200);
+        expect(res.body.source).toBe('ofx');
+        expect(res.body.summary).toMatchObject({ total: 2, valid: 2 });
+        expect(res.body.rows.map(row => row.record)).toEqual([
+            expect.objectContaining({
+                description: 'Padaria São João',
+                value: -42.5,
+                type: 'debito',
+                timestamp: '2024-06-10T00:00:00.000Z',
+                externalId: '12345-6:A1'
+            }),
+            expect.objectContaining({ description: 'PIX RECEBIDO - Aluguel', value: 1500, type: 'credito' })
+        ]);
+    });
+
+    test('flags entries of an earlier statement by their FITID', async () => {
+        const first = await upload(session, OFX, 'extrato.ofx');
+        const confirmed = await session.as('post', `/records/import/${first.body.importId}/confirm`).send({});
+        expect(confirmed.body.createdCount).toBe(2);
+        expect(confirmed.body.records[0].categoryDetails.name).toBe('Sem Categoria');
+
+        const again = await upload(session, OFX, 'extrato.ofx');
+        expect(again.body.summary).toMatchObject({ valid: 0, duplicates: 2 });
+        expect(again.body.rows[0].duplicateOf).toBe(confirmed.body.records[0].id);
+    });
+
+    test('rejects an unknown format and a statement without transactions', async () => {
+        const format = await upload(session, OFX, 'extrato.ofx', { format: 'qif' });
+        expect(format.status).toBe(400);
+        expect(format.body.error.details.map(detail => detail.field)).toEqual(['format']);
+
+        const empty = await upload(session, Buffer.from('OFXHEADER:100\r\n<OFX></OFX>'), 'vazio.ofx');
+        expect(empty.status).toBe(400);
+        expect(empty.body.error.code).toBe('OFX_NO_TRANSACTIONS');
+    });
+});
@@ -0,0 +1,49 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const descriptionsOf = (res) => res.body.data.map(record => record.description);
+
+describe('Records query', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('filters by category, given by name or id, and date range', async () => {
+        const byName = await session.as('get', '/records?category=Alimentação&from=2025-08-01&to=2025-10-05');
+        expect(byName.status).toBe(200);
+        expect(descriptionsOf(byName)).toEqual(['Supermercado', 'Restaurante', 'Padaria', 'Mercado Agosto']);
+
+        const categories = await session.as('get', '/categories');
+        const food = categories.body.find(category => category.name === 'Alimentação');
+        const byId = await session.as('get', `/records?category=${food.id}&from=2025-08-01&to=2025-10-05`);
+        expect(descriptionsOf(byId)).toEqual(descriptionsOf(byName));
+    });
+
+    test('searches descriptions ignoring case and accents', async () => {
+        const res = await session.as('get', '/records?q=FARMACIA');
+        expect(descriptionsOf(res)).toEqual(['Farmácia']);
+    });
+
+    test('bounds the absolute amount and filters by type', async () => {
+        const debits = await session.as('get', '/records?type=debito&minValue=100&maxValue=150.5&to=2025-10-05');
+        expect(debits.body.data.map(record => record.value)).toEqual([-150.5, -120, -150, -100]);
+
+        const credits = await session.as('get', '/records?type=credito&minValue=1000');
+        credits.body.data.forEach(record => expect(record.value).toBeGreaterThanOrEqual(1000));
+    });
+
+    test('sorts and paginates', async () => {
+        const res = await session.as('get', '/records?sort=value&order=asc&pageSize=2&page=2&to=2025-10-05');
+        expect(res.body.data.map(record => record.value)).toEqual([-150.5, -150]);
+        expect(res.body.pagination).toMatchObject({ page: 2, pageSize: 2 });
+        expect(res.body.pagination.totalPages).toBe(Math.ceil(res.body.pagination.total / 2));
+    });
+
+    test('reports every invalid parameter', async () => {
+        const res = await session.as('get', '/records?from=ontem&type=pix&sort=cor&pageSize=0');
+        expect(res.status).toBe(400);
+        expect(res.body.error.details.map(detail => detail.field)).toEqual(['from', 'type', 'sort', 'pageSize']);
+    });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+const migrateRecurrences = require('../src/data/migrations/recurrences.migration');
+
+const monthsAgo = (months) => {
+    const date = new Date();
+    date.setMonth(date.getMonth() - months, 1);
+    return date.toISOString();
+};
+
+const RENT = {
+    description: 'Aluguel',
+    value: -1200,
+    type: 'debito',
+    category: 'Contas',
+    date: monthsAgo(3),
+    rule: { frequency: 'monthly' }
+};
+
+describe('Recurrences', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(app).get('/recurrences');
+        expect(res.status).toBe(401);
+    });
+
+    test('creates, reads, updates and deletes an entry', async () => {
+        const created = await session.as('post', '/recurrences').send({ ...RENT, date: undefined });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ value: -1200, lastRunAt: null, rule: { interval: 1 } });
+
+        const read = await session.as('get', `/recurrences/${created.body.id}`);
+        expect(read.body.description).toBe('Aluguel');
+
+        const updated = await session.as('put', `/recurrences/${created.body.id}`)
+            .send({ ...RENT, value: -1300, rule: { frequency: 'monthly', dayOfMonth: 10 } });
+        expect(updated.status).toBe(200);
+        expect(updated.body).toMatchObject({ value: -1300, rule: { dayOfMonth: 10 } });
+
+        const deleted = await session.as('delete', `/recurrences/${created.body.id}`);
+        expect(deleted.status).toBe(200);
+        expect((await session.as('get', `/recurrences/${created.body.id}`)).status).toBe(404);
+    });
+
+    test('applies the transaction sign rule to the value', async () => {
+        const zero = await session.as('post', '/recurrences').send({ ...RENT, value: 0 });
+        expect(zero.status).toBe(400);
+        expect(zero.body.error.code).toBe('VALUE_ZERO');
+
+        const positiveDebit = await session.as('post', '/recurrences').send({ ...RENT, value: 1200 });
+        expect(positiveDebit.status).toBe(400);
+        expect(positiveDebit.body.error.code).toBe('DEBIT_VALUE_NOT_NEGATIVE');
+
+        const negativeCredit = await session.as('post', '/recurrences')
+            .send({ ...RENT, type: 'credito', category: 'Salário', value: -10 });
+        expect(negativeCredit.status).toBe(400);
+        expect(negativeCredit.body.error.code).toBe('CREDIT_VALUE_NOT_POSITIVE');
+    });
+
+    test('only takes categories of the entry type, besides the fallback', async () => {
+        const mismatch = await session.as('post', '/recurrences').send({ ...RENT, category: 'Salário' });
+        expect(mismatch.status).toBe(400);
+        expect(mismatch.body.error.code).toBe('CATEGORY_TYPE_MISMATCH');
+
+        const fallback = await session.as('post', '/recurrences')
+            .send({ ...RENT, type: 'credito', value: 50, category: 'Sem Categoria' });
+        expect(fallback.status).toBe(201);
+        await session.as('delete', `/recurrences/${fallback.body.id}`);
+    });
+
+    test('previews upcoming occurrences without storing anything', async () => {
+        const before = await session.as('get', '/records');
+
+        const res = await session.as('get', '/recurrences/preview?limit=2');
+        expect(res.status).toBe(200);
+        expect(res.body.length).toBeGreaterThan(0);
+        res.body.forEach(occurrence => expect(new Date(occurrence.date).getTime()).toBeGreaterThan(Date.now() - 1000));
+
+        expect((await session.as('get', '/records')).body.pagination.total).toBe(before.body.pagination.total);
+        expect((await session.as('get', '/recurrences/preview?limit=0')).status).toBe(400);
+    });
+
+    test('materializes what became due exactly once', async () => {
+        const entry = (await session.as('post', '/recurrences').send(RENT)).body;
+        const before = await session.as('get', '/records');
+
+        const dryRun = await session.as('post', '/recurrences/run?dryRun=true');
+        expect(dryRun.status).toBe(200);
+        expect(dryRun.body.dryRun).toBe(true);
+        expect(dryRun.body.createdCount).toBeGreaterThanOrEqual(3);
+        expect((await session.as('get', '/records')).body.pagination.total).toBe(before.body.pagination.total);
+
+        const run = await session.as('post', '/recurrences/run');
+        expect(run.status).toBe(201);
+        expect(run.body.createdCount).toBe(dryRun.body.createdCount);
+        // The seeded entries already ran up to startup, so they do not backfill
+        run.body.records.forEach(record => expect(record).toMatchObject({ recurrenceId: entry.id, value: -1200 }));
+
+        const again = await session.as('post', '/recurrences/run');
+        expect(again.body.createdCount).toBe(0);
+        expect((await session.as('get', '/records')).body.pagination.total)
+            .toBe(before.body.pagination.total + run.body.createdCount);
+    });
+});
+
+describe('Recurrences migration', () => {
+    test('starts entries stored before the engine from now on, once', () => {
+        const users = [{
+            recurrentCredits: [{ id: 'c1' }],
+            recurrentDebits: [{ id: 'd1', lastRunAt: null }]
+        }];
+
+        expect(migrateRecurrences(users)).toBe(1);
+        expect(users[0].recurrentCredits[0].lastRunAt).toBeInstanceOf(Date);
+        expect(users[0].recurrentDebits[0].lastRunAt).toBeNull();
+        expect(migrateRecurrences(users)).toBe(0);
+    });
+});
@@ -0,0 +1,58 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const SEPTEMBER = 'from=2025-09-01&to=2025-09-30';
+
+describe('Reports', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('balance sums the filtered transactions', async () => {
+        const res = await session.as('get', `/reports/balance?${SEPTEMBER}`);
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            balance: 669.5, currency: 'BRL', openingBalance: 0, income: 800, expenses: 130.5, transfers: 0, transactionCount: 4
+        });
+    });
+
+    test('the user balance is computed from every transaction', async () => {
+        const res = await session.as('get', `/users/${session.user.id}`);
+        expect(res.body.balance).toBe(13697.3);
+    });
+
+    test('monthly summary goes oldest first', async () => {
+        const res = await session.as('get', '/reports/monthly?from=2025-08-01&to=2025-09-30');
+        expect(res.body).toEqual([
+            { month: '2025-08', income: 3500, expenses: 200, transfers: 0, net: 3300 },
+            { month: '2025-09', income: 800, expenses: 130.5, transfers: 0, net: 669.5 }
+        ]);
+    });
+
+    test('category breakdown shares the total of one type', async () => {
+        const res = await session.as('get', `/reports/categories?${SEPTEMBER}`);
+        expect(res.body.map(({ name, total, percentage, count }) => ({ name, total, percentage, count }))).toEqual([
+            { name: 'Alimentação', total: 100.5, percentage: 77.01, count: 2 },
+            { name: 'Lazer', total: 30, percentage: 22.99, count: 1 }
+        ]);
+        res.body.forEach(entry => expect(entry.categoryId).toEqual(expect.any(String)));
+    });
+
+    test('cashflow starts from the balance before the range', async () => {
+        const res = await session.as('get', '/reports/cashflow?from=2025-09-01');
+        expect(res.body).toEqual([
+            { period: '2025-09', income: 800, expenses: 130.5, transfers: 0, net: 669.5, balance: 14039.5 },
+            { period: '2025-10', income: 0, expenses: 342.2, transfers: 0, net: -342.2, balance: 13697.3 }
+        ]);
+
+        const weekly = await session.as('get', `/reports/cashflow?${SEPTEMBER}&granularity=week`);
+        expect(weekly.body.map(week => week.period)).toEqual(['2025-09-15', '2025-09-22']);
+    });
+
+    test('rejects an unknown granularity and invalid filters', async () => {
+        expect((await session.as('get', '/reports/cashflow?granularity=year')).status).toBe(400);
+        expect((await session.as('get', '/reports/balance?from=ontem')).status).toBe(400);
+    });
+});
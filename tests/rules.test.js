@@ -0,0 +1,114 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+const { isSafeRegex } = require('../src/utils/regex.utils');
+
+describe('Categorization rules', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    const createRule = (rule) => session.as('post', '/rules').send(rule);
+
+    test('categorizes new records sent without a category', async () => {
+        const rule = await createRule({
+            name: 'Apps de transporte',
+            descriptionRegex: '^(uber|99)\\b',
+            type: 'debito',
+            category: 'Transporte',
+            setDescription: 'Corrida'
+        });
+        expect(rule.status).toBe(201);
+        expect(rule.body).toMatchObject({ enabled: true, priority: 1 });
+
+        const record = await session.as('post', '/records').send({ description: 'UBER *TRIP', value: -18, type: 'debito' });
+        expect(record.status).toBe(201);
+        expect(record.body).toMatchObject({ description: 'Corrida', categoryDetails: { name: 'Transporte' } });
+
+        const unmatched = await session.as('post', '/records').send({ description: 'Livraria', value: -60, type: 'debito' });
+        expect(unmatched.body.categoryDetails.name).toBe('Sem Categoria');
+    });
+
+    test('applies to imported rows without a category', async () => {
+        const csv = ['date,description,amount', '2024-07-01,99 Pop,-12'].join('\n');
+        const res = await session.as('post', '/records/import').attach('file', Buffer.from(csv), 'extrato.csv');
+        expect(res.body.rows[0].record.description).toBe('Corrida');
+    });
+
+    test('tests, reapplies and suggests', async () => {
+        const rule = { name: 'Padarias', descriptionContains: 'padaria', category: 'Alimentação' };
+        const tested = await session.as('post', '/rules/test').send(rule);
+        expect(tested.body.matchCount).toBe(1);
+
+        await session.as('post', '/records').send({ description: 'Padaria Central', value: -9, type: 'debito' });
+        await createRule(rule);
+        const dryRun = await session.as('post', '/rules/apply').send({ dryRun: true });
+        expect(dryRun.body.changes.map(change => change.description.to)).toEqual(['Padaria Central']);
+        const applied = await session.as('post', '/rules/apply').send({});
+        expect(applied.body.changedCount).toBe(1);
+
+        const suggestions = await session.as('get', '/rules/suggestions?description=Mercado do bairro');
+        expect(suggestions.body[0].name).toBe('Alimentação');
+    });
+
+    test('refuses an update that clears every condition', async () => {
+        const rule = (await createRule({ name: 'Cinema', descriptionContains: 'cinema', category: 'Lazer' })).body;
+
+        const res = await session.as('put', `/rules/${rule.id}`).send({ descriptionContains: null });
+        expect(res.status).toBe(400);
+        expect(res.body.error.details[0]).toMatchObject({ field: 'conditions', code: 'RULE_CONDITION_REQUIRED' });
+
+        const renamed = await session.as('put', `/rules/${rule.id}`).send({ name: 'Cinemas' });
+        expect(renamed.status).toBe(200);
+    });
+
+    test('refuses invalid and backtracking-prone regexes', async () => {
+        const invalid = await createRule({ name: 'Quebrada', descriptionRegex: '(abc', category: 'Lazer' });
+        expect(invalid.body.error.details[0].code).toBe('INVALID_REGEX');
+
+        const unsafe = await createRule({ name: 'Lenta', descriptionRegex: '(\\w?){18}\\w{18}!', category: 'Lazer' });
+        expect(unsafe.status).toBe(400);
+        expect(unsafe.body.error.details[0].field).toBe('descriptionRegex');
+    });
+
+    test('categories used by a typed rule keep their type', async () => {
+        const category = (await session.as('post', '/categories').send({ name: 'Doações', type: 'debito', color: '#445566' })).body;
+        await createRule({ name: 'Doações', descriptionContains: 'doação', type: 'debito', category: category.id });
+
+        const res = await session.as('put', `/categories/${category.id}`).send({ name: 'Doações', type: 'credito', color: '#445566' });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('Regex safety', () => {
+    test.each([
+        '(\\w?){18}\\w{18}!',
+        '(.?){18}.{18}!',
+        '\\w*\\w*\\w*\\w*\\w*!',
+        '(a+)+',
+        '(?:a{0,3})+',
+        '(a|aa)+',
+        '(a)\\1',
+        '\\w+\\s?\\w+',
+        '\\d*[0-9]+',
+        '.*.*'
+    ])('refuses %s', (pattern) => {
+        expect(isSafeRegex(pattern)).toBe(false);
+    });
+
+    test.each([
+        'uber|99',
+        '^pix .*',
+        '\\d{2}/\\d{2}',
+        'mercado\\s+livre',
+        '(posto|shell)',
+        '[0-9]+,[0-9]{2}',
+        '.*foo.*',
+        '\\w+\\s+\\w+',
+        'a+b+',
+        '\\bifood\\b'
+    ])('accepts %s', (pattern) => {
+        expect(isSafeRegex(pattern)).toBe(true);
+    });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login, refreshCookieOf } = require('./helpers');
+
+const refresh = (cookie) => request(app).post('/users/refresh').set('Cookie', cookie);
+
+describe('Sessions and refresh token rotation', () => {
+    beforeAll(() => {
+        // Refresh failures are logged
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    let clock = null;
+
+    afterEach(() => {
+        if (clock) clock.mockRestore();
+        clock = null;
+    });
+
+    test('login sets an httpOnly refresh cookie', async () => {
+        const session = await login(app);
+        expect(session.res.status).toBe(200);
+        expect(session.refreshCookie).toBeDefined();
+        const cookie = session.res.headers['set-cookie'].find(entry => entry.startsWith('refreshToken='));
+        expect(cookie).toMatch(/HttpOnly/);
+    });
+
+    test('every refresh rotates the refresh token', async () => {
+        const session = await login(app);
+
+        const first = await refresh(session.refreshCookie);
+        expect(first.status).toBe(200);
+        expect(first.body.accessToken).toBeDefined();
+        const rotated = refreshCookieOf(first);
+        expect(rotated).toBeDefined();
+        expect(rotated).not.toBe(session.refreshCookie);
+
+        const second = await refresh(rotated);
+        expect(second.status).toBe(200);
+    });
+
+    test('a token reused right after rotation is a race, not a theft', async () => {
+        const session = await login(app);
+        const first = await refresh(session.refreshCookie);
+
+        const res = await refresh(session.refreshCookie);
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe('REFRESH_TOKEN_RACE');
+
+        // The session survives
+        const next = await refresh(refreshCookieOf(first));
+        expect(next.status).toBe(200);
+    });
+
+    test('a token reused later revokes the whole session', async () => {
+        const session = await login(app);
+        const first = await refresh(session.refreshCookie);
+        const rotated = refreshCookieOf(first);
+
+        // Past the grace period for concurrent refreshes
+        const later = Date.now() + 60 * 1000;
+        clock = jest.spyOn(Date, 'now').mockReturnValue(later);
+
+        const res = await refresh(session.refreshCookie);
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+        // Neither the legitimate refresh token nor the access tokens work anymore
+        const stolen = await refresh(rotated);
+        expect(stolen.status).toBe(401);
+        expect(stolen.body.error.code).toBe('SESSION_EXPIRED');
+
+        const me = await request(app).get('/categories')
+            .set('Authorization', `Bearer ${first.body.accessToken}`);
+        expect(me.status).toBe(401);
+    });
+
+    test('logout revokes the session', async () => {
+        const session = await login(app);
+
+        const res = await session.as('post', '/users/logout');
+        expect(res.status).toBe(200);
+        expect(res.body.code).toBe('LOGGED_OUT');
+
+        expect((await session.as('get', '/categories')).status).toBe(401);
+        expect((await refresh(session.refreshCookie)).status).toBe(401);
+    });
+
+    test('lists the sessions and revokes the other devices', async () => {
+        const phone = await login(app);
+        const laptop = await login(app);
+
+        const list = await laptop.as('get', '/users/sessions');
+        expect(list.status).toBe(200);
+        const current = list.body.filter(entry => entry.current);
+        expect(current).toHaveLength(1);
+        list.body.forEach(entry => expect(entry).not.toHaveProperty('tokenHash'));
+
+        const res = await laptop.as('delete', '/users/sessions');
+        expect(res.status).toBe(200);
+        expect(res.body.revokedCount).toBeGreaterThanOrEqual(1);
+
+        expect((await phone.as('get', '/categories')).status).toBe(401);
+        expect((await laptop.as('get', '/categories')).status).toBe(200);
+        expect((await laptop.as('get', '/users/sessions')).body).toHaveLength(1);
+    });
+});
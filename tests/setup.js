@@ -0,0 +1,7 @@
+// Runs before every test file. Jest sets NODE_ENV=test, so the data store and
+// the mailer are in memory and each test file starts from the seeded mock user.
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+// The request logger prints every request
+jest.spyOn(console, 'log').mockImplementation(() => {});
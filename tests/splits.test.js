@@ -0,0 +1,94 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+// No seeded transaction falls on this day
+const DAY = 'from=2025-09-10&to=2025-09-10';
+
+const SHOPPING = {
+    description: 'Hipermercado',
+    value: -150,
+    type: 'debito',
+    date: '2025-09-10',
+    splits: [
+        { category: 'Alimentação', amount: 100, note: 'comida' },
+        { category: 'Lazer', amount: 50 }
+    ]
+};
+
+describe('Split transactions', () => {
+    let session;
+    let record;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('stores the parts and takes the largest one as the main category', async () => {
+        const res = await session.as('post', '/records').send(SHOPPING);
+        expect(res.status).toBe(201);
+        expect(res.body.categoryDetails.name).toBe('Alimentação');
+        expect(res.body.splits.map(split => [split.categoryDetails.name, split.amount, split.note]))
+            .toEqual([['Alimentação', 100, 'comida'], ['Lazer', 50, undefined]]);
+        record = res.body;
+    });
+
+    test('reports count each part towards its own category', async () => {
+        const res = await session.as('get', `/reports/categories?${DAY}`);
+        expect(res.body.map(({ name, total, count }) => ({ name, total, count }))).toEqual([
+            { name: 'Alimentação', total: 100, count: 1 },
+            { name: 'Lazer', total: 50, count: 1 }
+        ]);
+
+        const balance = await session.as('get', `/reports/balance?${DAY}`);
+        expect(balance.body).toMatchObject({ expenses: 150, transactionCount: 1 });
+    });
+
+    test('the category filter matches any part', async () => {
+        const res = await session.as('get', `/records?${DAY}&category=Lazer`);
+        expect(res.body.data.map(entry => entry.id)).toEqual([record.id]);
+    });
+
+    test('validates the parts', async () => {
+        const tooFew = await session.as('post', '/records')
+            .send({ ...SHOPPING, splits: [{ category: 'Lazer', amount: 150 }] });
+        expect(tooFew.body.error.details).toMatchObject([
+            { field: 'splits', code: 'SPLITS_TOO_FEW' }
+        ]);
+
+        const wrongTotal = await session.as('post', '/records')
+            .send({ ...SHOPPING, splits: [{ category: 'Alimentação', amount: 100 }, { category: 'Lazer', amount: 40 }] });
+        expect(wrongTotal.body.error.details).toMatchObject([
+            { field: 'splits', code: 'SPLITS_TOTAL_MISMATCH', params: { total: '140.00', value: '150.00' } }
+        ]);
+
+        const invalidParts = await session.as('post', '/records')
+            .send({ ...SHOPPING, splits: [{ category: 'Salário', amount: 100 }, { category: 'Nenhuma', amount: 50 }] });
+        expect(invalidParts.status).toBe(400);
+        // The largest part also became the main category
+        expect(invalidParts.body.error.details.map(error => error.field))
+            .toEqual(['category', 'splits[0].category', 'splits[1].category']);
+    });
+
+    test('keeps the type of categories used only in a split', async () => {
+        const presents = { name: 'Presentes', type: 'debito', color: '#AA66CC' };
+        const gifts = (await session.as('post', '/categories').send(presents)).body;
+        await session.as('post', '/records').send({
+            ...SHOPPING,
+            date: '2025-09-11',
+            splits: [{ category: 'Alimentação', amount: 100 }, { category: gifts.id, amount: 50 }]
+        });
+
+        const res = await session.as('put', `/categories/${gifts.id}`).send({ ...presents, type: 'credito' });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('CATEGORY_IN_USE_TYPE_LOCKED');
+    });
+
+    test('an empty list turns the record back into a single-category one', async () => {
+        const res = await session.as('put', `/records/${record.id}`).send({ splits: [] });
+        expect(res.status).toBe(200);
+        expect(res.body.splits).toBeNull();
+
+        const breakdown = await session.as('get', `/reports/categories?${DAY}`);
+        expect(breakdown.body.map(entry => entry.name)).toEqual(['Alimentação']);
+    });
+});
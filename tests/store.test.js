@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { login } = require('./helpers');
+const createFileStore = require('../src/data/stores/file.store');
+
+// An app backed by the JSON file at `file`, with its own module registry, as
+// if the server had just started
+const loadApp = (file) => {
+    Object.assign(process.env, { DATA_STORE: 'file', DATA_FILE: file });
+    let app;
+    jest.isolateModules(() => {
+        app = require('../src/app');
+    });
+    delete process.env.DATA_STORE;
+    delete process.env.DATA_FILE;
+    return app;
+};
+
+describe('File store', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fin-app-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves atomically and revives dates on load', () => {
+        const file = path.join(dir, 'nested', 'db.json');
+        const store = createFileStore(file);
+        expect(store.load()).toBeNull();
+
+        const createdAt = new Date('2025-03-01T10:00:00.000Z');
+        store.save([{ id: 'u1', createdAt, label: '2025-03-01' }]);
+
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['db.json']);
+        const [user] = store.load();
+        expect(user.createdAt).toEqual(createdAt);
+        // Only full ISO timestamps are dates
+        expect(user.label).toBe('2025-03-01');
+    });
+
+    test('seeds the mock user on first run and keeps changes across restarts', async () => {
+        const file = path.join(dir, 'db.json');
+
+        const first = await login(loadApp(file));
+        const created = await first.as('post', '/categories')
+            .send({ name: 'Pets', type: 'debito', color: '#AABBCC' });
+        expect(created.status).toBe(201);
+        expect(fs.existsSync(file)).toBe(true);
+
+        const restarted = await login(loadApp(file));
+        const categories = await restarted.as('get', '/categories');
+        expect(categories.body.map(category => category.name)).toContain('Pets');
+    });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { MOCK_USER } = require('./helpers');
+
+// The limits are read when the modules load, so each scenario gets its own
+// app (and its own in-memory counters) built with the environment it needs
+const loadApp = (env) => {
+    Object.assign(process.env, env);
+    let app;
+    jest.isolateModules(() => {
+        app = require('../src/app');
+    });
+    Object.keys(env).forEach(name => delete process.env[name]);
+    return app;
+};
+
+const attempt = (app, password, email = MOCK_USER.email) =>
+    request(app).post('/users/login').send({ email, password });
+
+describe('Login lockout', () => {
+    test('locks the account after LOGIN_MAX_FAILURES failures, even for the right password', async () => {
+        const app = loadApp({ LOGIN_MAX_FAILURES: '3' });
+
+        for (let i = 0; i < 3; i++) {
+            expect((await attempt(app, 'wrong')).status).toBe(401);
+        }
+
+        const res = await attempt(app, MOCK_USER.password);
+        expect(res.status).toBe(429);
+        expect(res.body.error.code).toBe('TOO_MANY_LOGIN_ATTEMPTS');
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('a successful login clears the account failures', async () => {
+        const app = loadApp({ LOGIN_MAX_FAILURES: '3' });
+
+        await attempt(app, 'wrong');
+        await attempt(app, 'wrong');
+        expect((await attempt(app, MOCK_USER.password)).status).toBe(200);
+        await attempt(app, 'wrong');
+        await attempt(app, 'wrong');
+        expect((await attempt(app, MOCK_USER.password)).status).toBe(200);
+    });
+
+    test('locks an IP guessing across many accounts', async () => {
+        const app = loadApp({ LOGIN_MAX_IP_FAILURES: '3' });
+
+        for (let i = 0; i < 3; i++) {
+            expect((await attempt(app, 'wrong', `nobody${i}@example.com`)).status).toBe(401);
+        }
+
+        const res = await attempt(app, MOCK_USER.password);
+        expect(res.status).toBe(429);
+        expect(res.headers['retry-after']).toBeDefined();
+    });
+});
+
+describe('Rate limits', () => {
+    test('the auth endpoints allow AUTH_RATE_LIMIT_MAX requests per window', async () => {
+        const app = loadApp({ AUTH_RATE_LIMIT_MAX: '2' });
+
+        const first = await attempt(app, MOCK_USER.password);
+        expect(first.status).toBe(200);
+        expect(first.headers['ratelimit-limit']).toBe('2');
+        expect(first.headers['ratelimit-remaining']).toBe('1');
+        expect((await attempt(app, MOCK_USER.password)).status).toBe(200);
+
+        const res = await attempt(app, MOCK_USER.password);
+        expect(res.status).toBe(429);
+        expect(res.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+        expect(res.headers['retry-after']).toBeDefined();
+
+        // Other endpoints are not affected
+        const token = first.body.accessToken;
+        expect((await request(app).get('/categories').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+    });
+
+    test('the whole API allows RATE_LIMIT_MAX requests per window', async () => {
+        const app = loadApp({ RATE_LIMIT_MAX: '2' });
+
+        expect((await request(app).get('/categories')).status).toBe(401);
+        expect((await request(app).get('/categories')).status).toBe(401);
+
+        const res = await request(app).get('/categories');
+        expect(res.status).toBe(429);
+        expect(res.body.error.code).toBe('TOO_MANY_REQUESTS');
+    });
+});
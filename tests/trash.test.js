@@ -0,0 +1,100 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { login } = require('./helpers');
+const { purgeExpired } = require('../src/services/trash.service');
+
+const MARKET = { description: 'Mercado', value: -80, type: 'debito', category: 'Alimentação' };
+const PETS = { name: 'Pets', type: 'debito', color: '#8D6E63' };
+
+describe('Trash', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(app).get('/trash');
+        expect(res.status).toBe(401);
+    });
+
+    test('a deleted transaction can be restored as it was', async () => {
+        const record = (await session.as('post', '/records').send(MARKET)).body;
+
+        const deleted = await session.as('delete', `/records/${record.id}`);
+        expect(deleted.status).toBe(200);
+        expect(deleted.body.code).toBe('TRANSACTION_TRASHED');
+        expect((await session.as('get', `/records/${record.id}`)).status).toBe(404);
+
+        const trash = await session.as('get', '/trash?entity=transaction');
+        expect(trash.body[0]).toMatchObject({ id: deleted.body.trashId, entity: 'transaction' });
+
+        const restored = await session.as('post', `/trash/${deleted.body.trashId}/restore`);
+        expect(restored.status).toBe(200);
+        expect(restored.body.items[0]).toMatchObject({ id: record.id, value: -80 });
+        expect((await session.as('get', `/records/${record.id}`)).status).toBe(200);
+        expect((await session.as('post', `/trash/${deleted.body.trashId}/restore`)).status).toBe(404);
+
+        const audit = await session.as('get', `/audit?entityId=${record.id}&action=restore`);
+        expect(audit.body.data).toHaveLength(1);
+    });
+
+    test('both legs of a transfer go to the trash together', async () => {
+        const accounts = (await session.as('get', '/accounts')).body;
+        const wallet = (await session.as('post', '/accounts').send({ name: 'Carteira', type: 'cash' })).body;
+        const transfer = (await session.as('post', '/accounts/transfers')
+            .send({ fromAccountId: accounts[0].id, toAccountId: wallet.id, amount: 30 })).body;
+
+        const deleted = await session.as('delete', `/records/${transfer.legs[0].id}`);
+        const entry = (await session.as('get', '/trash')).body.find(item => item.id === deleted.body.trashId);
+        expect(entry.items.map(item => item.id).sort()).toEqual(transfer.legs.map(leg => leg.id).sort());
+        expect((await session.as('get', `/accounts/${wallet.id}`)).body.balance).toBe(0);
+    });
+
+    test('a restored category returns to the transactions that used it', async () => {
+        const category = (await session.as('post', '/categories').send(PETS)).body;
+        const record = (await session.as('post', '/records').send({ ...MARKET, category: category.id })).body;
+
+        const deleted = await session.as('delete', `/categories/${category.id}`);
+        expect(deleted.status).toBe(200);
+        expect((await session.as('get', `/records/${record.id}`)).body.categoryDetails.name).toBe('Sem Categoria');
+
+        const restored = await session.as('post', `/trash/${deleted.body.trashId}/restore`);
+        expect(restored.status).toBe(200);
+        expect(restored.body.updatedTransactionCount).toBe(1);
+        expect((await session.as('get', `/records/${record.id}`)).body.categoryDetails.name).toBe('Pets');
+    });
+
+    test('refuses to restore a category whose name was taken', async () => {
+        const category = (await session.as('post', '/categories').send({ ...PETS, name: 'Viagens' })).body;
+        const deleted = await session.as('delete', `/categories/${category.id}`);
+        await session.as('post', '/categories').send({ ...PETS, name: 'Viagens' });
+
+        const res = await session.as('post', `/trash/${deleted.body.trashId}/restore`);
+        expect(res.status).toBe(409);
+        expect(res.body.error.code).toBe('TRASH_NAME_CONFLICT');
+    });
+
+    test('deletes entries for good and empties the trash', async () => {
+        const record = (await session.as('post', '/records').send(MARKET)).body;
+        const { trashId } = (await session.as('delete', `/records/${record.id}`)).body;
+
+        expect((await session.as('delete', `/trash/${trashId}`)).status).toBe(200);
+        expect((await session.as('delete', `/trash/${trashId}`)).status).toBe(404);
+
+        const emptied = await session.as('delete', '/trash');
+        expect(emptied.body.purgedCount).toBeGreaterThan(0);
+        expect((await session.as('get', '/trash')).body).toEqual([]);
+        expect((await session.as('get', '/trash?entity=account')).status).toBe(400);
+    });
+
+    test('expired entries are purged', async () => {
+        const record = (await session.as('post', '/records').send(MARKET)).body;
+        await session.as('delete', `/records/${record.id}`);
+
+        expect(purgeExpired(session.user.id)).toBe(0);
+        const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+        expect(purgeExpired(session.user.id, later)).toBe(1);
+        expect((await session.as('get', '/trash')).body).toEqual([]);
+    });
+});
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { MOCK_USER, authorized, login, refreshCookieOf } = require('./helpers');
+const { codeAt, currentStep } = require('../src/utils/totp.utils');
+
+const secondStep = (body) => request(app).post('/users/login/2fa').send(body);
+
+describe('Two-factor authentication', () => {
+    let secret;
+    let recoveryCodes;
+    let step;
+
+    beforeAll(async () => {
+        const session = await login(app);
+
+        const setup = await session.as('post', '/users/2fa/setup');
+        expect(setup.status).toBe(200);
+        expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+        secret = setup.body.secret;
+
+        const wrong = await session.as('post', '/users/2fa/confirm').send({ code: '000000' });
+        expect(wrong.status).toBe(400);
+        expect(wrong.body.error.code).toBe('INVALID_CODE');
+
+        step = currentStep();
+        const confirmed = await session.as('post', '/users/2fa/confirm').send({ code: codeAt(secret, step) });
+        expect(confirmed.status).toBe(200);
+        expect(confirmed.body.code).toBe('TWO_FACTOR_ENABLED');
+        recoveryCodes = confirmed.body.recoveryCodes;
+    });
+
+    test('the password alone only earns a challenge', async () => {
+        const res = await request(app).post('/users/login').send(MOCK_USER);
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+        expect(refreshCookieOf(res)).toBeUndefined();
+    });
+
+    test('the challenge plus a code from the app signs in, once per code', async () => {
+        const { challengeToken } = (await request(app).post('/users/login').send(MOCK_USER)).body;
+
+        // Already spent confirming the setup
+        const replayed = await secondStep({ challengeToken, code: codeAt(secret, step) });
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.error.code).toBe('INVALID_CODE');
+
+        const res = await secondStep({ challengeToken, code: codeAt(secret, step + 1) });
+        expect(res.status).toBe(200);
+        expect(res.body.accessToken).toBeDefined();
+        expect(res.body.user).not.toHaveProperty('twoFactor');
+        expect(refreshCookieOf(res)).toBeDefined();
+
+        const again = await secondStep({ challengeToken, code: codeAt(secret, step + 1) });
+        expect(again.status).toBe(401);
+    });
+
+    test('a recovery code signs in once', async () => {
+        const { challengeToken } = (await request(app).post('/users/login').send(MOCK_USER)).body;
+
+        const res = await secondStep({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+        expect(res.status).toBe(200);
+        expect(res.body.accessToken).toBeDefined();
+
+        const reused = await secondStep({ challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(reused.status).toBe(401);
+
+        const status = await authorized(app, res.body.accessToken).as('get', '/users/2fa');
+        expect(status.body).toEqual({ enabled: true, recoveryCodesRemaining: recoveryCodes.length - 1 });
+    });
+
+    test('refuses a missing code or a forged challenge', async () => {
+        const { challengeToken } = (await request(app).post('/users/login').send(MOCK_USER)).body;
+
+        const missing = await secondStep({ challengeToken });
+        expect(missing.status).toBe(400);
+        expect(missing.body.error.code).toBe('VERIFICATION_CODE_REQUIRED');
+
+        const forged = await secondStep({ challengeToken: 'not-a-token', code: codeAt(secret, step + 1) });
+        expect(forged.status).toBe(401);
+    });
+});
@@ -0,0 +1,67 @@
+const app = require('../src/app');
+const { login } = require('./helpers');
+
+const MARKET = { description: 'Mercado', value: -80, type: 'debito', category: 'Alimentação' };
+
+describe('Record validation', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await login(app);
+    });
+
+    const errorsOf = (res) => res.body.error.details;
+
+    test('lists every invalid field', async () => {
+        const res = await session.as('post', '/records').send({ value: 'muito', type: 'pix', date: 'ontem' });
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_DATA');
+        expect(errorsOf(res)).toMatchObject([
+            { field: 'description', code: 'FIELD_REQUIRED' },
+            { field: 'value', code: 'FIELD_NOT_NUMBER' },
+            { field: 'type', code: 'FIELD_NOT_IN_LIST' },
+            { field: 'date', code: 'FIELD_NOT_DATE' }
+        ]);
+    });
+
+    test('coerces values and dates', async () => {
+        const res = await session.as('post', '/records')
+            .send({ ...MARKET, description: '  Feira  ', value: '-12.5', date: '2025-10-01' });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ description: 'Feira', value: -12.5, timestamp: '2025-10-01T00:00:00.000Z' });
+    });
+
+    test('checks the value sign against the type', async () => {
+        const zero = await session.as('post', '/records').send({ ...MARKET, value: 0 });
+        expect(errorsOf(zero)).toMatchObject([{ field: 'value', code: 'VALUE_ZERO' }]);
+
+        const positiveDebit = await session.as('post', '/records').send({ ...MARKET, value: 80 });
+        expect(errorsOf(positiveDebit)).toMatchObject([{ field: 'value', code: 'DEBIT_VALUE_NOT_NEGATIVE' }]);
+    });
+
+    test('checks the category type, besides the fallback', async () => {
+        const mismatch = await session.as('post', '/records').send({ ...MARKET, category: 'Salário' });
+        expect(errorsOf(mismatch)).toMatchObject([{ field: 'category', code: 'CATEGORY_IS_CREDIT', params: { name: 'Salário' } }]);
+
+        const unknown = await session.as('post', '/records').send({ ...MARKET, category: 'Inexistente' });
+        expect(errorsOf(unknown)).toMatchObject([{ field: 'category', code: 'CATEGORY_NOT_FOUND' }]);
+
+        const fallback = await session.as('post', '/records')
+            .send({ description: 'Reembolso', value: 20, type: 'credito', category: 'Sem Categoria' });
+        expect(fallback.status).toBe(201);
+    });
+
+    test('checks partial updates against the stored record', async () => {
+        const record = (await session.as('post', '/records').send(MARKET)).body;
+
+        const typeOnly = await session.as('put', `/records/${record.id}`).send({ type: 'credito' });
+        expect(typeOnly.status).toBe(400);
+        expect(errorsOf(typeOnly).map(error => error.field)).toEqual(['value', 'category']);
+
+        const valueOnly = await session.as('put', `/records/${record.id}`).send({ value: '-95' });
+        expect(valueOnly.status).toBe(200);
+        expect(valueOnly.body.value).toBe(-95);
+
+        expect((await session.as('put', '/records/inexistente').send({ value: -1 })).status).toBe(404);
+    });
+});